@@ -0,0 +1 @@
+module.exports = require('../functions/core/handlers/order-status');
@@ -0,0 +1,30 @@
+const express = require("express");
+const routes = require("./core/routes");
+
+// Records the exact request bytes for webhook signature checks (see core/http.js)
+function keepRawBody(req, res, buf) {
+  req.rawBody = buf;
+}
+
+// Express app serving the shared /api handlers. Handlers do their own CORS and
+// method checks, so this only parses bodies and routes.
+function createApp() {
+  const app = express();
+  app.disable("x-powered-by");
+  const parsers = [
+    express.json({ limit: "1mb", verify: keepRawBody }),
+    express.text({ limit: "1mb", verify: keepRawBody }),
+  ];
+  // Firebase has already parsed the body and kept the bytes in req.rawBody
+  app.use((req, res, next) => (req.rawBody ? next() : parsers[0](req, res, () => parsers[1](req, res, next))));
+
+  // Firebase strips the function name from direct calls (/create-order) but not
+  // from Hosting rewrites (/api/create-order), so accept both
+  for (const [name, handler] of Object.entries(routes)) {
+    app.all([`/${name}`, `/api/${name}`], (req, res, next) => Promise.resolve(handler(req, res)).catch(next));
+  }
+  app.use((req, res) => res.status(404).json({ error: "Not found" }));
+  return app;
+}
+
+module.exports = { createApp };
@@ -0,0 +1,52 @@
+const { admin } = require('./firebaseAdmin');
+const { ROLES, can } = require('./roles');
+
+// Admin access is a `role` custom claim on the Firebase user (see roles), backed
+// by `admin_users/{uid}` { uid, email, role, invitedBy, createdAt, updatedAt }.
+// The doc is checked on every request so revoking takes effect before the ID
+// token (and its claim) expires. Pending invites live in `admin_invites/{email}`.
+
+class AdminAuthError extends Error {
+  constructor(status, code) {
+    super(code);
+    this.status = status;
+    this.code = code;
+  }
+}
+
+// Verifies a Firebase ID token and the caller's role.
+// Returns { uid, email, role }; throws AdminAuthError otherwise.
+async function authorizeIdToken(idToken, permission) {
+  let decoded;
+  try {
+    decoded = await admin.auth().verifyIdToken(String(idToken || ''));
+  } catch {
+    throw new AdminAuthError(401, 'auth_failed');
+  }
+  const role = decoded.role;
+  if (!ROLES.includes(role)) throw new AdminAuthError(403, 'not_admin');
+  const snap = await admin.firestore().collection('admin_users').doc(decoded.uid).get();
+  if (!snap.exists || snap.data().role !== role) throw new AdminAuthError(403, 'not_admin');
+  if (permission && !can(role, permission)) throw new AdminAuthError(403, 'forbidden');
+  return { uid: decoded.uid, email: decoded.email || '', role };
+}
+
+// Checks the `Authorization: Bearer <Firebase ID token>` header for `permission`.
+// Returns { uid, email, role }; otherwise sends the error response and returns null.
+async function verifyAdmin(req, res, permission) {
+  const auth = req.headers.authorization || '';
+  const token = auth.startsWith('Bearer ') ? auth.slice(7) : null;
+  if (!token) {
+    res.status(401).json({ error: 'missing_token' });
+    return null;
+  }
+  try {
+    return await authorizeIdToken(token, permission);
+  } catch (e) {
+    if (!(e instanceof AdminAuthError)) console.error('verifyAdmin error', e);
+    res.status(e.status || 401).json({ error: e.code || 'auth_failed' });
+    return null;
+  }
+}
+
+module.exports = { AdminAuthError, authorizeIdToken, verifyAdmin };
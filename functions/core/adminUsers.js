@@ -0,0 +1,99 @@
+const { admin } = require('./firebaseAdmin');
+const { ROLES } = require('./roles');
+const { normalizeEmail } = require('./entitlements');
+const { recordAudit } = require('./audit');
+
+// Team management behind /api/admin-users. A role lives in two places that are
+// always written together: the `role` custom claim (read by security rules) and
+// `admin_users/{uid}` (read by the API; see adminAuth).
+
+function adminUsers(db) {
+  return db.collection('admin_users');
+}
+
+function adminInvites(db) {
+  return db.collection('admin_invites');
+}
+
+async function setRole(db, { uid, email, role, by }) {
+  if (!ROLES.includes(role)) throw new Error(`Unknown role ${role}`);
+  const user = await admin.auth().getUser(uid);
+  await admin.auth().setCustomUserClaims(uid, { ...(user.customClaims || {}), role });
+  // A changed role ends sessions, so tokens carrying the old claim stop working
+  const previous = user.customClaims?.role;
+  if (previous && previous !== role) await admin.auth().revokeRefreshTokens(uid);
+  const now = admin.firestore.FieldValue.serverTimestamp();
+  await adminUsers(db).doc(uid).set({ uid, email: normalizeEmail(email || user.email), role, updatedBy: by || null, updatedAt: now }, { merge: true });
+  return role;
+}
+
+async function removeRole(db, uid) {
+  const user = await admin.auth().getUser(uid);
+  const { role, ...claims } = user.customClaims || {};
+  await admin.auth().setCustomUserClaims(uid, claims);
+  // Ends sessions so the claim cannot outlive the revocation in security rules
+  await admin.auth().revokeRefreshTokens(uid);
+  await adminUsers(db).doc(uid).delete();
+  // Keep a revoked admin from being migrated again from the legacy list
+  if (user.email) {
+    await db.collection('config').doc('admins').set({
+      allowedEmails: admin.firestore.FieldValue.arrayRemove(user.email),
+    }, { merge: true });
+  }
+}
+
+async function countOwners(db) {
+  const snap = await adminUsers(db).where('role', '==', 'owner').get();
+  return snap.size;
+}
+
+// Emails allowed to become owner on first sign-in: OWNER_EMAILS (comma-separated)
+// plus the legacy config/admins.allowedEmails list this system replaced.
+async function bootstrapOwnerEmails(db) {
+  const fromEnv = String(process.env.OWNER_EMAILS || '').split(',').map(normalizeEmail).filter(Boolean);
+  const legacy = await db.collection('config').doc('admins').get();
+  const fromLegacy = legacy.exists ? (legacy.data().allowedEmails || []).map(normalizeEmail) : [];
+  return new Set([...fromEnv, ...fromLegacy]);
+}
+
+// Called by the admin panel after sign-in. Accepts a pending invite or an owner
+// bootstrap entry and returns the caller's role, or null if they are not on the team.
+async function startAdminSession(db, decoded) {
+  const existing = await adminUsers(db).doc(decoded.uid).get();
+  if (existing.exists) {
+    // Re-issue the claim if it was lost (e.g. claims edited by hand)
+    if (decoded.role !== existing.data().role) await setRole(db, { uid: decoded.uid, email: decoded.email, role: existing.data().role });
+    return existing.data().role;
+  }
+  const email = normalizeEmail(decoded.email);
+  if (!email || !decoded.email_verified) return null;
+
+  const inviteRef = adminInvites(db).doc(email);
+  const invite = await inviteRef.get();
+  if (invite.exists) {
+    const role = await setRole(db, { uid: decoded.uid, email, role: invite.data().role, by: invite.data().invitedBy });
+    await inviteRef.delete();
+    await recordAudit(db, { action: 'team_join', actor: { uid: decoded.uid, email, role }, targetType: 'admin_user', targetId: decoded.uid, details: { via: 'invite', invitedBy: invite.data().invitedBy } });
+    return role;
+  }
+  if ((await bootstrapOwnerEmails(db)).has(email)) {
+    const role = await setRole(db, { uid: decoded.uid, email, role: 'owner', by: 'bootstrap' });
+    await recordAudit(db, { action: 'team_join', actor: { uid: decoded.uid, email, role }, targetType: 'admin_user', targetId: decoded.uid, details: { via: 'bootstrap' } });
+    return role;
+  }
+  return null;
+}
+
+async function inviteAdmin(db, { email, role, by }) {
+  const lower = normalizeEmail(email);
+  if (!/[^@\s]+@[^@\s]+\.[^@\s]+/.test(lower)) throw new Error('invalid_email');
+  if (!ROLES.includes(role)) throw new Error('invalid_role');
+  await adminInvites(db).doc(lower).set({
+    email: lower,
+    role,
+    invitedBy: by,
+    createdAt: admin.firestore.FieldValue.serverTimestamp(),
+  });
+}
+
+module.exports = { setRole, removeRole, countOwners, startAdminSession, inviteAdmin };
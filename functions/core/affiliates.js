@@ -0,0 +1,178 @@
+const { admin } = require('./firebaseAdmin');
+
+// Affiliates in Firestore `affiliates/{CODE}`:
+//   { code, name, email, commissionPercent, active, clicks, conversions,
+//     revenueINR, commissionOwedINR, commissionPaidINR, createdAt, updatedAt }
+// Each paid order referred by `?ref=CODE` is recorded once in
+// `affiliates/{CODE}/conversions/{orderId}`:
+//   { orderId, courseId, amountINR, commissionINR, status, at, paidAt, reversedAt }
+// status is owed | paid | reversed (full refund before payout).
+
+function normalizeAffiliateCode(raw) {
+  const code = String(raw || '').trim().toUpperCase();
+  return /^[A-Z0-9_-]{3,32}$/.test(code) ? code : '';
+}
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+// Returns the affiliate if `code` can be credited with a sale, else null.
+async function getActiveAffiliate(db, code) {
+  const id = normalizeAffiliateCode(code);
+  if (!id) return null;
+  const snap = await db.collection('affiliates').doc(id).get();
+  if (!snap.exists || snap.data().active === false) return null;
+  return { code: id, ...snap.data() };
+}
+
+async function recordAffiliateClick(db, code) {
+  const affiliate = await getActiveAffiliate(db, code);
+  if (!affiliate) return false;
+  await db.collection('affiliates').doc(affiliate.code).update({
+    clicks: admin.firestore.FieldValue.increment(1),
+  });
+  return true;
+}
+
+// Credits the affiliate on a paid order. Safe to call more than once per order.
+async function recordAffiliateConversion(db, order) {
+  const id = normalizeAffiliateCode(order?.affiliateCode);
+  if (!id) return false;
+  const ref = db.collection('affiliates').doc(id);
+  const conversionRef = ref.collection('conversions').doc(order.orderId);
+  return db.runTransaction(async (tx) => {
+    const [snap, conversion] = await Promise.all([tx.get(ref), tx.get(conversionRef)]);
+    if (!snap.exists || conversion.exists) return false;
+    const amountINR = Number(order.amountINR) || 0;
+    const commissionINR = round2((amountINR * (Number(snap.data().commissionPercent) || 0)) / 100);
+    const now = admin.firestore.FieldValue.serverTimestamp();
+    tx.set(conversionRef, {
+      orderId: order.orderId,
+      courseId: order.courseId,
+      amountINR,
+      commissionINR,
+      status: 'owed',
+      at: now,
+    });
+    tx.update(ref, {
+      conversions: admin.firestore.FieldValue.increment(1),
+      revenueINR: admin.firestore.FieldValue.increment(amountINR),
+      commissionOwedINR: admin.firestore.FieldValue.increment(commissionINR),
+      updatedAt: now,
+    });
+    return true;
+  });
+}
+
+// A fully refunded order earns no commission. Commission already paid out is
+// left alone and has to be settled by hand.
+async function reverseAffiliateConversion(db, order) {
+  const id = normalizeAffiliateCode(order?.affiliateCode);
+  if (!id) return false;
+  const ref = db.collection('affiliates').doc(id);
+  const conversionRef = ref.collection('conversions').doc(order.orderId);
+  return db.runTransaction(async (tx) => {
+    const conversion = await tx.get(conversionRef);
+    if (!conversion.exists || conversion.data().status !== 'owed') return false;
+    const { amountINR, commissionINR } = conversion.data();
+    const now = admin.firestore.FieldValue.serverTimestamp();
+    tx.update(conversionRef, { status: 'reversed', reversedAt: now });
+    tx.update(ref, {
+      conversions: admin.firestore.FieldValue.increment(-1),
+      revenueINR: admin.firestore.FieldValue.increment(-(amountINR || 0)),
+      commissionOwedINR: admin.firestore.FieldValue.increment(-(commissionINR || 0)),
+      updatedAt: now,
+    });
+    return true;
+  });
+}
+
+// Affiliates with commission owed, for the payout export.
+// Returns [{ affiliate, conversions: [...] }].
+async function listOwedPayouts(db) {
+  const snap = await db.collection('affiliates').where('commissionOwedINR', '>', 0).get();
+  const out = [];
+  for (const doc of snap.docs) {
+    const owed = await doc.ref.collection('conversions').where('status', '==', 'owed').get();
+    if (owed.empty) continue;
+    out.push({ affiliate: { code: doc.id, ...doc.data() }, conversions: owed.docs.map((d) => d.data()) });
+  }
+  return out;
+}
+
+// Marks every owed conversion of an affiliate as paid out. Returns { count, amountINR }.
+async function markAffiliatePaid(db, code, { paidBy, reference } = {}) {
+  const id = normalizeAffiliateCode(code);
+  if (!id) return { count: 0, amountINR: 0 };
+  const ref = db.collection('affiliates').doc(id);
+  const owed = await ref.collection('conversions').where('status', '==', 'owed').get();
+  if (owed.empty) return { count: 0, amountINR: 0 };
+  return db.runTransaction(async (tx) => {
+    const docs = await Promise.all(owed.docs.map((d) => tx.get(d.ref)));
+    const still = docs.filter((d) => d.exists && d.data().status === 'owed');
+    const amountINR = round2(still.reduce((sum, d) => sum + (d.data().commissionINR || 0), 0));
+    const now = admin.firestore.FieldValue.serverTimestamp();
+    still.forEach((d) => tx.update(d.ref, { status: 'paid', paidAt: now, paidBy: paidBy || null, payoutReference: reference || null }));
+    tx.update(ref, {
+      commissionOwedINR: admin.firestore.FieldValue.increment(-amountINR),
+      commissionPaidINR: admin.firestore.FieldValue.increment(amountINR),
+      updatedAt: now,
+    });
+    return { count: still.length, amountINR };
+  });
+}
+
+// Creates an affiliate from admin input (see /api/affiliates). Returns
+// { ok: true, affiliate } or { ok: false, reason }: invalid_code,
+// invalid_commission or affiliate_exists.
+async function createAffiliate(db, input) {
+  const code = normalizeAffiliateCode(input?.code);
+  if (!code) return { ok: false, reason: 'invalid_code' };
+  const commissionPercent = Number(input.commissionPercent);
+  if (!(commissionPercent > 0 && commissionPercent <= 100)) return { ok: false, reason: 'invalid_commission' };
+
+  const now = admin.firestore.FieldValue.serverTimestamp();
+  const affiliate = {
+    code,
+    name: String(input.name || '').trim().slice(0, 200),
+    email: String(input.email || '').trim().toLowerCase().slice(0, 320),
+    commissionPercent,
+    active: true,
+    clicks: 0,
+    conversions: 0,
+    revenueINR: 0,
+    commissionOwedINR: 0,
+    commissionPaidINR: 0,
+    createdAt: now,
+    updatedAt: now,
+  };
+  try {
+    await db.collection('affiliates').doc(code).create(affiliate);
+  } catch (e) {
+    // ALREADY_EXISTS
+    if (e.code === 6) return { ok: false, reason: 'affiliate_exists' };
+    throw e;
+  }
+  return { ok: true, affiliate };
+}
+
+// Turns an affiliate on or off. Returns false if it does not exist.
+async function setAffiliateActive(db, code, active) {
+  const id = normalizeAffiliateCode(code);
+  if (!id) return false;
+  const ref = db.collection('affiliates').doc(id);
+  if (!(await ref.get()).exists) return false;
+  await ref.update({ active: active === true, updatedAt: admin.firestore.FieldValue.serverTimestamp() });
+  return true;
+}
+
+module.exports = {
+  normalizeAffiliateCode,
+  getActiveAffiliate,
+  recordAffiliateClick,
+  recordAffiliateConversion,
+  reverseAffiliateConversion,
+  listOwedPayouts,
+  markAffiliatePaid,
+  createAffiliate,
+  setAffiliateActive,
+};
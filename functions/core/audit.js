@@ -0,0 +1,34 @@
+const { admin } = require('./firebaseAdmin');
+
+// Append-only record of privileged actions in `audit_log/{autoId}`:
+//   { action, actorUid, actorEmail, actorRole, targetType, targetId, details, at }
+// Only the API (admin SDK) writes it; security rules deny all client writes.
+// `actor` is the { uid, email, role } returned by verifyAdmin, or a system
+// actor for changes triggered by payment webhooks, scheduled jobs and
+// maintenance scripts.
+
+const SYSTEM_ACTORS = {
+  cashfree: { uid: null, email: null, role: 'system:cashfree' },
+  cron: { uid: null, email: null, role: 'system:cron' },
+  maintenance: { uid: null, email: null, role: 'system:maintenance' },
+};
+
+// Never throws: the action has already happened, so a failed write is only logged.
+async function recordAudit(db, { action, actor, targetType, targetId, details }) {
+  try {
+    await db.collection('audit_log').add({
+      action,
+      actorUid: actor?.uid || null,
+      actorEmail: actor?.email || null,
+      actorRole: actor?.role || null,
+      targetType: targetType || null,
+      targetId: targetId === undefined || targetId === null ? null : String(targetId),
+      details: details || null,
+      at: admin.firestore.FieldValue.serverTimestamp(),
+    });
+  } catch (e) {
+    console.error('audit log write failed', action, targetId, e);
+  }
+}
+
+module.exports = { SYSTEM_ACTORS, recordAudit };
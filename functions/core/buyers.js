@@ -0,0 +1,111 @@
+const { admin } = require('./firebaseAdmin');
+const { LEGACY_COURSE_ID, getCourse } = require('./courses');
+const { normalizeEmail, entitlementFor, entitlementStatus, syncUidEntitlement } = require('./entitlements');
+const { getMaxDownloads } = require('./downloadTokens');
+
+// Optional buyer accounts (Firebase Auth: Google or email link) in `buyers/{uid}`:
+//   { uid, email, linkedAt, lastSeenAt }
+// Signing in links the account to everything bought with the same verified
+// email: orders get `buyerUid`, `entitlements_by_email/{email}.uids` lists the
+// account, and `entitlements/{uid}` mirrors its courses (see entitlements).
+// Access checks still go by email, so buying without an account keeps working.
+
+// Orders worth showing to a buyer; abandoned checkouts are left out
+const LIBRARY_ORDER_STATUSES = ['paid', 'disputed', 'refunded'];
+
+const millis = (ts) => (ts?.toMillis ? ts.toMillis() : ts || null);
+
+// Checks `Authorization: Bearer <Firebase ID token>` for a verified email.
+// Returns the decoded token; otherwise sends the error response and returns null.
+async function verifyBuyer(req, res) {
+  const auth = req.headers.authorization || '';
+  if (!auth.startsWith('Bearer ')) {
+    res.status(401).json({ error: 'missing_token' });
+    return null;
+  }
+  let decoded;
+  try {
+    decoded = await admin.auth().verifyIdToken(auth.slice(7));
+  } catch {
+    res.status(401).json({ error: 'auth_failed' });
+    return null;
+  }
+  // Purchases are matched by email, so it has to be proven
+  if (!decoded.email || !decoded.email_verified) {
+    res.status(403).json({ error: 'email_not_verified' });
+    return null;
+  }
+  return decoded;
+}
+
+// Idempotent; safe to call on every library load.
+async function linkBuyerAccount(db, decoded) {
+  const email = normalizeEmail(decoded.email);
+  const now = admin.firestore.FieldValue.serverTimestamp();
+  const buyerRef = db.collection('buyers').doc(decoded.uid);
+  const existing = await buyerRef.get();
+  await buyerRef.set({
+    uid: decoded.uid,
+    email,
+    ...(existing.exists ? {} : { linkedAt: now }),
+    lastSeenAt: now,
+  }, { merge: true });
+
+  const orders = await db.collection('orders').where('email', '==', email).get();
+  const unlinked = orders.docs.filter((d) => d.data().buyerUid !== decoded.uid);
+  for (let i = 0; i < unlinked.length; i += 400) {
+    const batch = db.batch();
+    unlinked.slice(i, i + 400).forEach((d) => batch.update(d.ref, { buyerUid: decoded.uid }));
+    await batch.commit();
+  }
+
+  const entRef = db.collection('entitlements_by_email').doc(email);
+  if ((await entRef.get()).exists) {
+    await entRef.set({ uids: admin.firestore.FieldValue.arrayUnion(decoded.uid) }, { merge: true });
+    await syncUidEntitlement(db, email);
+  }
+  return { email, linkedOrders: unlinked.length };
+}
+
+// Courses and orders of a buyer, for the "My library" page.
+async function getLibrary(db, email) {
+  const [entSnap, orderSnap] = await Promise.all([
+    db.collection('entitlements_by_email').doc(email).get(),
+    db.collection('orders').where('email', '==', email).get(),
+  ]);
+  const data = entSnap.exists ? entSnap.data() : null;
+  const courseIds = new Set(Object.keys(data?.courses || {}));
+  if (data?.granted) courseIds.add(LEGACY_COURSE_ID);
+
+  const courses = [];
+  for (const courseId of courseIds) {
+    const entry = entitlementFor(data, courseId);
+    const course = await getCourse(db, courseId);
+    courses.push({
+      courseId,
+      title: course?.title || courseId,
+      status: entitlementStatus(entry),
+      expiresAt: millis(entry.expiresAt),
+      downloads: entry.downloads || 0,
+      maxDownloads: getMaxDownloads(course),
+      currentRelease: course?.currentRelease || null,
+    });
+  }
+
+  const orders = orderSnap.docs
+    .map((d) => d.data())
+    .filter((o) => LIBRARY_ORDER_STATUSES.includes(o.status))
+    .map((o) => ({
+      orderId: o.orderId,
+      courseId: o.courseId,
+      status: o.status,
+      amountINR: o.amountINR,
+      invoiceNumber: o.invoiceNumber || null,
+      createdAt: millis(o.createdAt),
+    }))
+    .sort((a, b) => (b.createdAt || 0) - (a.createdAt || 0));
+
+  return { email, courses: courses.sort((a, b) => a.title.localeCompare(b.title)), orders };
+}
+
+module.exports = { verifyBuyer, linkBuyerAccount, getLibrary };
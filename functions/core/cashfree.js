@@ -0,0 +1,87 @@
+const crypto = require('crypto');
+
+function cashfreeBase() {
+  const mode = process.env.CASHFREE_MODE || 'PROD'; // PROD or TEST
+  return mode === 'TEST' ? 'https://sandbox.cashfree.com' : 'https://api.cashfree.com';
+}
+
+function cashfreeHeaders() {
+  return {
+    'x-client-id': process.env.CASHFREE_APP_ID,
+    'x-client-secret': process.env.CASHFREE_SECRET,
+    'x-api-version': '2022-09-01',
+  };
+}
+
+// GET /pg/orders/{orderId}. Returns { ok, data } without throwing on API errors.
+async function fetchCashfreeOrder(orderId) {
+  const resp = await fetch(`${cashfreeBase()}/pg/orders/${encodeURIComponent(orderId)}`, {
+    method: 'GET',
+    headers: cashfreeHeaders(),
+  });
+  const data = await resp.json().catch(() => ({}));
+  return { ok: resp.ok, data };
+}
+
+// POST /pg/orders/{orderId}/refunds. refundId must be unique per refund.
+async function createCashfreeRefund(orderId, { refundId, amountINR, note }) {
+  const resp = await fetch(`${cashfreeBase()}/pg/orders/${encodeURIComponent(orderId)}/refunds`, {
+    method: 'POST',
+    headers: { ...cashfreeHeaders(), 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      refund_id: refundId,
+      refund_amount: amountINR,
+      refund_note: note || undefined,
+    }),
+  });
+  const data = await resp.json().catch(() => ({}));
+  return { ok: resp.ok, data };
+}
+
+// Cashfree signs webhooks as base64(HMAC-SHA256(timestamp + rawBody, secret)),
+// sending the result in x-webhook-signature and the timestamp (epoch ms) in
+// x-webhook-timestamp.
+const DEFAULT_WEBHOOK_TOLERANCE_SEC = 300;
+
+function getWebhookSecret() {
+  return process.env.CASHFREE_WEBHOOK_SECRET || process.env.CASHFREE_SECRET || '';
+}
+
+function getWebhookToleranceSec() {
+  const n = Number(process.env.CASHFREE_WEBHOOK_TOLERANCE_SEC);
+  return Number.isFinite(n) && n > 0 ? n : DEFAULT_WEBHOOK_TOLERANCE_SEC;
+}
+
+// Returns { ok: true } or { ok: false, reason } where reason is one of
+// missing_signature, missing_secret, stale_timestamp, invalid_signature.
+function verifyWebhookSignature({ rawBody, signature, timestamp, secret, toleranceSec, now = Date.now() }) {
+  if (!signature || !timestamp) return { ok: false, reason: 'missing_signature' };
+  if (!secret) return { ok: false, reason: 'missing_secret' };
+
+  // Replay window: Cashfree sends milliseconds, but tolerate seconds too
+  let ts = Number(timestamp);
+  if (!Number.isFinite(ts)) return { ok: false, reason: 'stale_timestamp' };
+  if (ts < 1e12) ts *= 1000;
+  if (Math.abs(now - ts) > toleranceSec * 1000) return { ok: false, reason: 'stale_timestamp' };
+
+  const expected = crypto
+    .createHmac('sha256', secret)
+    .update(String(timestamp))
+    .update(rawBody)
+    .digest();
+  const given = Buffer.from(String(signature), 'base64');
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+    return { ok: false, reason: 'invalid_signature' };
+  }
+  return { ok: true };
+}
+
+module.exports = {
+  cashfreeBase,
+  cashfreeHeaders,
+  fetchCashfreeOrder,
+  createCashfreeRefund,
+  getWebhookSecret,
+  getWebhookToleranceSec,
+  verifyWebhookSignature,
+};
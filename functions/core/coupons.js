@@ -0,0 +1,202 @@
+const { admin } = require('./firebaseAdmin');
+const { normalizeCourseId } = require('./courses');
+
+// Discount codes in Firestore `coupons/{CODE}`:
+//   { code, type: 'percent' | 'flat', value, courseIds: [] (empty = every course),
+//     startsAt, expiresAt, maxUses, maxUsesPerEmail, active,
+//     uses, discountTotalINR, revenueINR, createdBy, createdAt, updatedAt }
+// Limits count paid orders, each recorded once in
+// `coupons/{CODE}/redemptions/{orderId}` { orderId, email, courseId, discountINR, amountINR, at },
+// plus unpaid orders holding a use in
+// `coupons/{CODE}/reservations/{orderId}` { orderId, email, courseId, expiresAt, at }.
+// A hold is taken when the order is created and dropped when it is paid. A
+// failed or abandoned attempt keeps it, since the order may still be paid on a
+// retry; holds past expiresAt no longer count.
+
+// Cashfree rejects orders below ₹1, so a discount never takes the price under it.
+const MIN_ORDER_INR = 1;
+
+// How long an unpaid order holds its coupon use. create-order makes the
+// Cashfree order expire at the same time, so it cannot be paid after its hold lapses.
+const COUPON_HOLD_MS = 30 * 60 * 1000;
+
+function normalizeCouponCode(raw) {
+  const code = String(raw || '').trim().toUpperCase();
+  return /^[A-Z0-9_-]{3,32}$/.test(code) ? code : '';
+}
+
+function toMillis(value) {
+  if (!value) return null;
+  if (typeof value.toMillis === 'function') return value.toMillis();
+  const ms = new Date(value).getTime();
+  return Number.isFinite(ms) ? ms : null;
+}
+
+function discountFor(coupon, priceINR) {
+  const value = Number(coupon.value) || 0;
+  const raw = coupon.type === 'percent' ? (priceINR * Math.min(value, 100)) / 100 : value;
+  const capped = Math.min(Math.max(raw, 0), priceINR - MIN_ORDER_INR);
+  return Math.round(Math.max(capped, 0) * 100) / 100;
+}
+
+// Checks a code against a course, buyer and list price. The limits checked here
+// only give early feedback (e.g. for quotes); reserveCoupon enforces them.
+// Returns { ok: true, coupon, discountINR, amountINR } or { ok: false, reason } where
+// reason is coupon_invalid, coupon_not_started, coupon_expired,
+// coupon_not_applicable, coupon_exhausted or coupon_email_limit.
+async function applyCoupon(db, { code, course, email, priceINR, now = Date.now() }) {
+  const id = normalizeCouponCode(code);
+  if (!id) return { ok: false, reason: 'coupon_invalid' };
+  const ref = db.collection('coupons').doc(id);
+  const snap = await ref.get();
+  if (!snap.exists || snap.data().active === false) return { ok: false, reason: 'coupon_invalid' };
+  const coupon = { code: id, ...snap.data() };
+
+  const startsAt = toMillis(coupon.startsAt);
+  const expiresAt = toMillis(coupon.expiresAt);
+  if (startsAt && now < startsAt) return { ok: false, reason: 'coupon_not_started' };
+  if (expiresAt && now > expiresAt) return { ok: false, reason: 'coupon_expired' };
+  if (Array.isArray(coupon.courseIds) && coupon.courseIds.length && !coupon.courseIds.includes(course.id)) {
+    return { ok: false, reason: 'coupon_not_applicable' };
+  }
+  if (coupon.maxUses && (coupon.uses || 0) >= coupon.maxUses) return { ok: false, reason: 'coupon_exhausted' };
+  if (coupon.maxUsesPerEmail && email) {
+    const used = await ref.collection('redemptions').where('email', '==', String(email).toLowerCase()).limit(coupon.maxUsesPerEmail).get();
+    if (used.size >= coupon.maxUsesPerEmail) return { ok: false, reason: 'coupon_email_limit' };
+  }
+
+  const discountINR = discountFor(coupon, priceINR);
+  if (!discountINR) return { ok: false, reason: 'coupon_not_applicable' };
+  return { ok: true, coupon, discountINR, amountINR: Math.round((priceINR - discountINR) * 100) / 100 };
+}
+
+// Holds one use of a coupon for a new, unpaid order. The limits are checked
+// against paid redemptions plus live holds, and every hold writes the coupon
+// doc, so concurrent checkouts are serialized and cannot overshoot them.
+// Returns { ok: true, expiresAt } or { ok: false, reason } (reasons as in applyCoupon).
+async function reserveCoupon(db, { code, orderId, email, courseId, now = Date.now() }) {
+  const id = normalizeCouponCode(code);
+  if (!id) return { ok: false, reason: 'coupon_invalid' };
+  const ref = db.collection('coupons').doc(id);
+  const holds = ref.collection('reservations');
+  const buyer = String(email).toLowerCase();
+  return db.runTransaction(async (tx) => {
+    const snap = await tx.get(ref);
+    if (!snap.exists || snap.data().active === false) return { ok: false, reason: 'coupon_invalid' };
+    const coupon = snap.data();
+    const live = (await tx.get(holds.where('expiresAt', '>', now))).docs.map((d) => d.data());
+    if (coupon.maxUses && (coupon.uses || 0) + live.length >= coupon.maxUses) return { ok: false, reason: 'coupon_exhausted' };
+    if (coupon.maxUsesPerEmail) {
+      const used = await tx.get(ref.collection('redemptions').where('email', '==', buyer).limit(coupon.maxUsesPerEmail));
+      const held = live.filter((h) => h.email === buyer).length;
+      if (used.size + held >= coupon.maxUsesPerEmail) return { ok: false, reason: 'coupon_email_limit' };
+    }
+    const expiresAt = now + COUPON_HOLD_MS;
+    tx.set(holds.doc(orderId), { orderId, email: buyer, courseId, expiresAt, at: admin.firestore.FieldValue.serverTimestamp() });
+    tx.update(ref, { reservedAt: admin.firestore.FieldValue.serverTimestamp() });
+    return { ok: true, expiresAt };
+  });
+}
+
+// Gives back the use held by an order that was never created at Cashfree.
+// Any other unpaid order may still be paid on a retry, so its hold stays until
+// it expires together with the order.
+async function releaseCoupon(db, order) {
+  const id = normalizeCouponCode(order?.couponCode);
+  if (!id) return;
+  await db.collection('coupons').doc(id).collection('reservations').doc(order.orderId).delete();
+}
+
+// Counts a paid order against its coupon and drops its hold. Safe to call more
+// than once per order. A payment that arrives anyway is always counted.
+async function redeemCoupon(db, order) {
+  const id = normalizeCouponCode(order?.couponCode);
+  if (!id) return false;
+  const ref = db.collection('coupons').doc(id);
+  const redemptionRef = ref.collection('redemptions').doc(order.orderId);
+  return db.runTransaction(async (tx) => {
+    const [snap, redemption] = await Promise.all([tx.get(ref), tx.get(redemptionRef)]);
+    if (!snap.exists || redemption.exists) return false;
+    const now = admin.firestore.FieldValue.serverTimestamp();
+    tx.delete(ref.collection('reservations').doc(order.orderId));
+    tx.set(redemptionRef, {
+      orderId: order.orderId,
+      email: order.email,
+      courseId: order.courseId,
+      discountINR: order.discountINR || 0,
+      amountINR: order.amountINR || 0,
+      at: now,
+    });
+    tx.update(ref, {
+      uses: admin.firestore.FieldValue.increment(1),
+      discountTotalINR: admin.firestore.FieldValue.increment(order.discountINR || 0),
+      revenueINR: admin.firestore.FieldValue.increment(order.amountINR || 0),
+      updatedAt: now,
+    });
+    return true;
+  });
+}
+
+const positiveIntOrNull = (v) => (Number.isInteger(Number(v)) && Number(v) > 0 ? Number(v) : null);
+
+// Creates a coupon from admin input (see /api/coupons). Returns
+// { ok: true, coupon } or { ok: false, reason }: invalid_code, invalid_value,
+// invalid_course, invalid_expiry or coupon_exists.
+async function createCoupon(db, input, { by }) {
+  const code = normalizeCouponCode(input?.code);
+  if (!code) return { ok: false, reason: 'invalid_code' };
+  const type = input.type === 'flat' ? 'flat' : 'percent';
+  const value = Number(input.value);
+  if (!(value > 0) || (type === 'percent' && value > 100)) return { ok: false, reason: 'invalid_value' };
+  const rawCourseIds = Array.isArray(input.courseIds) ? input.courseIds : [];
+  const courseIds = rawCourseIds.map(normalizeCourseId);
+  if (courseIds.some((id) => !id)) return { ok: false, reason: 'invalid_course' };
+  const expiresAt = input.expiresAt ? new Date(input.expiresAt) : null;
+  if (expiresAt && !Number.isFinite(expiresAt.getTime())) return { ok: false, reason: 'invalid_expiry' };
+
+  const now = admin.firestore.FieldValue.serverTimestamp();
+  const coupon = {
+    code,
+    type,
+    value,
+    courseIds,
+    expiresAt,
+    maxUses: positiveIntOrNull(input.maxUses),
+    maxUsesPerEmail: positiveIntOrNull(input.maxUsesPerEmail),
+    active: true,
+    uses: 0,
+    discountTotalINR: 0,
+    revenueINR: 0,
+    createdBy: by,
+    createdAt: now,
+    updatedAt: now,
+  };
+  try {
+    await db.collection('coupons').doc(code).create(coupon);
+  } catch (e) {
+    // ALREADY_EXISTS
+    if (e.code === 6) return { ok: false, reason: 'coupon_exists' };
+    throw e;
+  }
+  return { ok: true, coupon };
+}
+
+// Turns a coupon on or off. Returns false if it does not exist.
+async function setCouponActive(db, code, active) {
+  const id = normalizeCouponCode(code);
+  if (!id) return false;
+  const ref = db.collection('coupons').doc(id);
+  if (!(await ref.get()).exists) return false;
+  await ref.update({ active: active === true, updatedAt: admin.firestore.FieldValue.serverTimestamp() });
+  return true;
+}
+
+module.exports = {
+  normalizeCouponCode,
+  applyCoupon,
+  reserveCoupon,
+  releaseCoupon,
+  redeemCoupon,
+  createCoupon,
+  setCouponActive,
+};
@@ -0,0 +1,124 @@
+const { admin } = require('./firebaseAdmin');
+
+// Course catalog helpers shared by the API routes.
+// Courses live in Firestore `courses/{courseId}` (public storefront content):
+//   { title, subtitle, bullets, priceINR, published, sortOrder, version, currentRelease }
+// Admin edits go through /api/courses: unpublished changes in
+// `course_drafts/{courseId}`, and every publish kept in
+// `courses/{courseId}/versions/{version}` { ...content, version, publishedBy, publishedAt }.
+// The uploaded ZIP is tracked separately in `course_files/{courseId}` so its URL
+// is never readable by clients: { storageProvider, blobPath, currentVersion,
+// latestVersion, updatedAt }, with every upload kept as a release (see releases).
+
+// The course sold before the catalog existed. Its ZIP used to be a public URL
+// in settings/global.courseBlobUrl; migrate-legacy-course.js moves it into
+// course_files like any other upload.
+const LEGACY_COURSE_ID = 'pocket-mba';
+
+// Course ids double as URL segments and blob folder names, so keep them slug-like.
+function normalizeCourseId(raw) {
+  const id = String(raw || '').trim().toLowerCase();
+  return /^[a-z0-9][a-z0-9-]{0,63}$/.test(id) ? id : '';
+}
+
+async function getCourse(db, courseId) {
+  const id = normalizeCourseId(courseId);
+  if (!id) return null;
+  const snap = await db.collection('courses').doc(id).get();
+  if (snap.exists) return { id: snap.id, ...snap.data() };
+  // Keep existing buyers' downloads working until migrate-legacy-course.js
+  // publishes the legacy course doc; it cannot be bought before that (no price)
+  return id === LEGACY_COURSE_ID ? { id, legacy: true } : null;
+}
+
+// The authoritative price of a course in rupees (paise precision), or 0 if none is configured.
+function getCoursePriceINR(course) {
+  const price = Number(course?.priceINR);
+  return Number.isFinite(price) && price > 0 ? Math.round(price * 100) / 100 : 0;
+}
+
+// The stored file record of the current course ZIP, for storage.fileReadUrl,
+// or null if nothing was uploaded yet.
+async function getCourseFile(db, course) {
+  const file = await db.collection('course_files').doc(course.id).get();
+  return file.exists && (file.data().blobPath || file.data().blobUrl) ? file.data() : null;
+}
+
+// Storefront fields an admin edits, cleaned up. Mirrors pickCourseContent in the
+// admin panel. A price of 0 means not set yet, which only a draft may have.
+function pickCourseContent(raw) {
+  const c = raw || {};
+  const price = Number(c.priceINR);
+  return {
+    title: String(c.title || '').trim().slice(0, 200),
+    subtitle: String(c.subtitle || '').trim().slice(0, 1000),
+    bullets: (Array.isArray(c.bullets) ? c.bullets : []).map((b) => String(b).trim().slice(0, 300)).filter(Boolean).slice(0, 50),
+    priceINR: Number.isFinite(price) && price > 0 ? Math.round(price * 100) / 100 : 0,
+    published: c.published !== false,
+    sortOrder: Number(c.sortOrder) || 0,
+  };
+}
+
+// Fields that differ between two versions of course content, as { field: { from, to } }.
+function courseChanges(before, after) {
+  const changes = {};
+  Object.keys(after).forEach((key) => {
+    const from = before?.[key] === undefined ? null : before[key];
+    if (JSON.stringify(from) !== JSON.stringify(after[key])) changes[key] = { from, to: after[key] };
+  });
+  return changes;
+}
+
+// Creates an unpublished course. Returns false if the id is taken.
+async function createCourse(db, { courseId, content }) {
+  const now = admin.firestore.FieldValue.serverTimestamp();
+  try {
+    await db.collection('courses').doc(courseId).create({ ...content, published: false, createdAt: now, updatedAt: now });
+    return true;
+  } catch (e) {
+    // ALREADY_EXISTS
+    if (e.code === 6) return false;
+    throw e;
+  }
+}
+
+async function saveCourseDraft(db, { courseId, content, by }) {
+  await db.collection('course_drafts').doc(courseId).set({
+    ...content,
+    updatedBy: by,
+    updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+  });
+}
+
+async function discardCourseDraft(db, courseId) {
+  await db.collection('course_drafts').doc(courseId).delete();
+}
+
+// Makes `content` live as the course's next version, keeps a copy of it in
+// versions and drops the draft. Returns { version, changes }.
+async function publishCourse(db, { courseId, content, by }) {
+  const courseRef = db.collection('courses').doc(courseId);
+  return db.runTransaction(async (tx) => {
+    const snap = await tx.get(courseRef);
+    const before = snap.exists ? snap.data() : {};
+    const version = (before.version || 0) + 1;
+    const now = admin.firestore.FieldValue.serverTimestamp();
+    tx.set(courseRef, { ...content, version, publishedAt: now, updatedAt: now }, { merge: true });
+    tx.set(courseRef.collection('versions').doc(String(version)), { ...content, version, publishedBy: by, publishedAt: now });
+    tx.delete(db.collection('course_drafts').doc(courseId));
+    return { version, changes: courseChanges(before, content) };
+  });
+}
+
+module.exports = {
+  LEGACY_COURSE_ID,
+  normalizeCourseId,
+  getCourse,
+  getCoursePriceINR,
+  getCourseFile,
+  pickCourseContent,
+  createCourse,
+  saveCourseDraft,
+  discardCourseDraft,
+  publishCourse,
+};
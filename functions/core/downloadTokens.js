@@ -0,0 +1,69 @@
+const crypto = require('crypto');
+
+// Short-lived, HMAC-signed download tokens: `<base64url(payload)>.<base64url(sig)>`
+// where payload is { e: email, c: courseId, o: orderId, exp: epoch seconds }.
+// Tokens are stateless; the per-entitlement download counter is what stops a
+// leaked link from being used indefinitely within its lifetime.
+
+const DEFAULT_TTL_SEC = 15 * 60;
+const DEFAULT_MAX_DOWNLOADS = 5;
+
+function getTokenSecret() {
+  const secret = process.env.DOWNLOAD_TOKEN_SECRET;
+  if (!secret) throw new Error('DOWNLOAD_TOKEN_SECRET is not configured');
+  return secret;
+}
+
+function getDownloadTtlSec() {
+  const n = Number(process.env.DOWNLOAD_LINK_TTL_SEC);
+  return Number.isFinite(n) && n > 0 ? n : DEFAULT_TTL_SEC;
+}
+
+// Per-course `maxDownloads` wins over the DOWNLOAD_MAX env default.
+function getMaxDownloads(course) {
+  const n = Number(course?.maxDownloads || process.env.DOWNLOAD_MAX);
+  return Number.isFinite(n) && n > 0 ? n : DEFAULT_MAX_DOWNLOADS;
+}
+
+function hmac(data) {
+  return crypto.createHmac('sha256', getTokenSecret()).update(data).digest('base64url');
+}
+
+function signDownloadToken({ email, courseId, orderId }, ttlSec = getDownloadTtlSec()) {
+  const exp = Math.floor(Date.now() / 1000) + ttlSec;
+  const body = Buffer.from(JSON.stringify({ e: email, c: courseId, o: orderId || null, exp })).toString('base64url');
+  return { token: `${body}.${hmac(body)}`, expiresAt: exp * 1000 };
+}
+
+// Returns { ok: true, email, courseId, orderId } or { ok: false, reason }
+// where reason is invalid_token or expired_token.
+function verifyDownloadToken(token) {
+  const [body, sig] = String(token || '').split('.');
+  if (!body || !sig) return { ok: false, reason: 'invalid_token' };
+  const expected = Buffer.from(hmac(body));
+  const given = Buffer.from(sig);
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+    return { ok: false, reason: 'invalid_token' };
+  }
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+  } catch {
+    return { ok: false, reason: 'invalid_token' };
+  }
+  if (!payload.exp || payload.exp * 1000 < Date.now()) return { ok: false, reason: 'expired_token' };
+  return { ok: true, email: payload.e, courseId: payload.c, orderId: payload.o };
+}
+
+// Absolute URL of the download endpoint for a token (see apiBaseUrl in http).
+function downloadUrlFor(baseUrl, token) {
+  return `${baseUrl}/api/download?token=${encodeURIComponent(token)}`;
+}
+
+module.exports = {
+  getDownloadTtlSec,
+  getMaxDownloads,
+  signDownloadToken,
+  verifyDownloadToken,
+  downloadUrlFor,
+};
@@ -0,0 +1,153 @@
+const { admin } = require('./firebaseAdmin');
+const { getMailTransport } = require('./mail');
+const { renderEmail } = require('./emailTemplates');
+const { signDownloadToken, downloadUrlFor } = require('./downloadTokens');
+
+// Every transactional email is recorded in `email_deliveries/{deliveryId}`:
+//   { deliveryId, to, template, vars, linkVars, orderId, status, retryable,
+//     attemptCount, attempts: [{ at, ok, transport, messageId, error }],
+//     lastError, sentAt, createdAt, updatedAt }
+// status is queued | pending | sent | failed. A deterministic deliveryId (e.g.
+// `receipt_<orderId>`) makes sending idempotent across webhook retries.
+// Queued deliveries (bulk mail, see queueEmail) and failed retryable ones are
+// sent by sendPendingDeliveries, run from a scheduled job.
+
+const MAX_ATTEMPTS = 5;
+// Attempts made inline before giving up until the next sendPendingDeliveries run
+const INLINE_ATTEMPTS = 3;
+const BACKOFF_MS = [0, 500, 2000];
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+function deliveries(db) {
+  return db.collection('email_deliveries');
+}
+
+// Signed download links described by `linkVars` ({ [var]: { type: 'download',
+// courseId, orderId, ttlSec, baseUrl } }), minted for the recipient at send time.
+function mintLinkVars(delivery) {
+  const minted = {};
+  Object.entries(delivery.linkVars || {}).forEach(([key, spec]) => {
+    if (spec.type !== 'download') throw new Error(`Unknown link type ${spec.type}`);
+    const { token } = signDownloadToken({ email: delivery.to, courseId: spec.courseId, orderId: spec.orderId }, spec.ttlSec);
+    minted[key] = downloadUrlFor(spec.baseUrl, token);
+  });
+  return minted;
+}
+
+async function attemptDelivery(ref, delivery, vars, tries) {
+  const message = renderEmail(delivery.template, { ...vars, ...mintLinkVars(delivery) });
+  let attemptCount = delivery.attemptCount || 0;
+  for (let i = 0; i < tries && attemptCount < MAX_ATTEMPTS; i++, attemptCount++) {
+    if (BACKOFF_MS[i]) await sleep(BACKOFF_MS[i]);
+    let transport = 'unknown';
+    try {
+      const mailer = getMailTransport();
+      transport = mailer.name;
+      const { id } = await mailer.send({ to: delivery.to, ...message });
+      await ref.update({
+        status: 'sent',
+        attemptCount: attemptCount + 1,
+        attempts: admin.firestore.FieldValue.arrayUnion({ at: new Date().toISOString(), ok: true, transport, messageId: id || null }),
+        lastError: null,
+        sentAt: admin.firestore.FieldValue.serverTimestamp(),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+      return { status: 'sent', messageId: id };
+    } catch (e) {
+      const error = String(e?.message || e).slice(0, 500);
+      console.error('email delivery attempt failed', ref.id, error);
+      await ref.update({
+        status: 'failed',
+        attemptCount: attemptCount + 1,
+        attempts: admin.firestore.FieldValue.arrayUnion({ at: new Date().toISOString(), ok: false, transport, error }),
+        lastError: error,
+        // Out of attempts: keep it out of the queue
+        ...(attemptCount + 1 >= MAX_ATTEMPTS ? { retryable: false } : {}),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+    }
+  }
+  return { status: 'failed' };
+}
+
+// Records and sends a templated email, retrying inline with backoff.
+// `secretVars` (e.g. one-time links) are used for sending but stored redacted,
+// which makes the delivery non-retryable later unless `linkVars` says how to
+// mint them again: those are freshly signed on every attempt, so a later retry
+// never sends an expired link. Never throws on send failure.
+async function deliverEmail(db, { deliveryId, to, template, vars, orderId, secretVars = [], linkVars = {} }) {
+  const ref = deliveryId ? deliveries(db).doc(deliveryId) : deliveries(db).doc();
+  const existing = await ref.get();
+  if (existing.exists && existing.data().status === 'sent') return { status: 'sent', duplicate: true };
+
+  const storedVars = { ...vars };
+  secretVars.forEach((key) => { storedVars[key] = '[redacted]'; });
+  const delivery = existing.exists ? existing.data() : {
+    deliveryId: ref.id,
+    to,
+    template,
+    vars: storedVars,
+    linkVars,
+    orderId: orderId || null,
+    status: 'pending',
+    retryable: secretVars.every((key) => linkVars[key]),
+    attemptCount: 0,
+    attempts: [],
+    createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+  };
+  if (!existing.exists) await ref.set(delivery);
+  return attemptDelivery(ref, delivery, vars, INLINE_ATTEMPTS);
+}
+
+// Records a templated email without sending it, for mail that goes to many
+// buyers at once and must not hold up the request that triggers it. Returns
+// 'queued', or 'exists' when the deliveryId was recorded before.
+async function queueEmail(db, { deliveryId, to, template, vars, orderId }) {
+  const ref = deliveryId ? deliveries(db).doc(deliveryId) : deliveries(db).doc();
+  try {
+    await ref.create({
+      deliveryId: ref.id,
+      to,
+      template,
+      vars,
+      linkVars: {},
+      orderId: orderId || null,
+      status: 'queued',
+      retryable: true,
+      attemptCount: 0,
+      attempts: [],
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+    return 'queued';
+  } catch (e) {
+    // ALREADY_EXISTS
+    if (e.code === 6) return 'exists';
+    throw e;
+  }
+}
+
+// One attempt for each queued delivery, then one more for failed, retryable
+// ones, up to `max` in total. Meant for a scheduled job.
+async function sendPendingDeliveries(db, { max = 20 } = {}) {
+  const results = [];
+  for (const status of ['queued', 'failed']) {
+    if (results.length >= max) break;
+    const snap = await deliveries(db)
+      .where('status', '==', status)
+      .where('retryable', '==', true)
+      .limit(max - results.length)
+      .get();
+    for (const doc of snap.docs) {
+      const delivery = doc.data();
+      if ((delivery.attemptCount || 0) >= MAX_ATTEMPTS) continue;
+      const result = await attemptDelivery(doc.ref, delivery, delivery.vars, 1);
+      results.push({ deliveryId: doc.id, ...result });
+    }
+  }
+  return results;
+}
+
+module.exports = { deliverEmail, queueEmail, sendPendingDeliveries };
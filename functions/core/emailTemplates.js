@@ -0,0 +1,115 @@
+// Transactional email templates. Each template has a subject, a plain-text body
+// and an HTML body using {{name}} placeholders. Values are HTML-escaped in the
+// HTML body; placeholders ending in Url are used as link targets.
+
+const TEMPLATES = {
+  purchase_receipt: {
+    subject: 'Your receipt and download link for {{courseTitle}}',
+    text: [
+      'Hi,',
+      '',
+      'Thanks for buying {{courseTitle}}. Your payment was successful.',
+      '',
+      'Order: {{orderId}}',
+      'Amount paid: ₹{{amountINR}}',
+      'Date: {{paidOn}}',
+      '',
+      'Download your course ZIP here (valid for {{linkValidity}}, up to {{maxDownloads}} downloads):',
+      '{{downloadUrl}}',
+      '',
+      'If the link has expired, request a new one from the course page with this email address.',
+      '',
+      "— Let's Earn",
+    ].join('\n'),
+    html: `
+      <p>Hi,</p>
+      <p>Thanks for buying <b>{{courseTitle}}</b>. Your payment was successful.</p>
+      <table cellpadding="4" style="border-collapse:collapse;font-size:14px">
+        <tr><td>Order</td><td><b>{{orderId}}</b></td></tr>
+        <tr><td>Amount paid</td><td><b>₹{{amountINR}}</b></td></tr>
+        <tr><td>Date</td><td>{{paidOn}}</td></tr>
+      </table>
+      <p><a href="{{downloadUrl}}" style="display:inline-block;padding:10px 18px;background:#000;color:#fff;border-radius:10px;text-decoration:none">Download your course ZIP</a></p>
+      <p style="font-size:12px;color:#666">The link is valid for {{linkValidity}} and up to {{maxDownloads}} downloads. If it has expired, request a new one from the course page with this email address.</p>
+      <p>— Let's Earn</p>`,
+  },
+  download_link: {
+    subject: 'Your download link for {{courseTitle}}',
+    text: [
+      'Hi,',
+      '',
+      'Use this link to download {{courseTitle}}:',
+      '{{downloadUrl}}',
+      '',
+      'It works once and expires in {{linkValidity}}. If you did not ask for it, ignore this email.',
+    ].join('\n'),
+    html: `
+      <p>Hi,</p>
+      <p>Use this link to download <b>{{courseTitle}}</b>:</p>
+      <p><a href="{{downloadUrl}}">Download {{courseTitle}}</a></p>
+      <p>It works once and expires in {{linkValidity}}. If you did not ask for it, ignore this email.</p>`,
+  },
+  release_update: {
+    subject: 'Update available: {{courseTitle}} v{{version}}',
+    text: [
+      'Hi,',
+      '',
+      'A new version of {{courseTitle}} (v{{version}}) is available. What changed:',
+      '',
+      '{{notes}}',
+      '',
+      'Download it from the course page with the email you paid with:',
+      '{{courseUrl}}',
+      '',
+      "— Let's Earn",
+    ].join('\n'),
+    html: `
+      <p>Hi,</p>
+      <p>A new version of <b>{{courseTitle}}</b> (v{{version}}) is available. What changed:</p>
+      <p style="white-space:pre-line;padding:10px;background:#f6f6f6;border-radius:8px">{{notes}}</p>
+      <p><a href="{{courseUrl}}" style="display:inline-block;padding:10px 18px;background:#000;color:#fff;border-radius:10px;text-decoration:none">Go to the course page</a></p>
+      <p style="font-size:12px;color:#666">Download it there with the email you paid with.</p>
+      <p>— Let's Earn</p>`,
+  },
+  admin_invite: {
+    subject: "You're invited to the Let's Earn admin panel",
+    text: [
+      'Hi,',
+      '',
+      '{{invitedBy}} invited you to the admin panel as {{role}}.',
+      'Open the link below and sign in with Google using this email address to accept:',
+      '{{adminUrl}}',
+      '',
+      "— Let's Earn",
+    ].join('\n'),
+    html: `
+      <p>Hi,</p>
+      <p>{{invitedBy}} invited you to the admin panel as <b>{{role}}</b>.</p>
+      <p><a href="{{adminUrl}}">Open the admin panel</a> and sign in with Google using this email address to accept.</p>
+      <p>— Let's Earn</p>`,
+  },
+};
+
+function escapeHtml(s) {
+  return String(s).replace(/[&<>"']/g, (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
+
+function fill(template, vars, escape) {
+  return template.replace(/\{\{(\w+)\}\}/g, (_, key) => {
+    const value = vars[key] === undefined || vars[key] === null ? '' : String(vars[key]);
+    return escape ? escapeHtml(value) : value;
+  });
+}
+
+// Returns { subject, text, html } for a template name and its variables.
+function renderEmail(name, vars) {
+  const template = TEMPLATES[name];
+  if (!template) throw new Error(`Unknown email template ${name}`);
+  return {
+    subject: fill(template.subject, vars, false),
+    text: fill(template.text, vars, false),
+    html: `<div style="font-family:system-ui,sans-serif;font-size:15px;line-height:1.5;color:#111">${fill(template.html, vars, true)}</div>`,
+  };
+}
+
+module.exports = { renderEmail };
@@ -0,0 +1,276 @@
+const { admin } = require('./firebaseAdmin');
+const { LEGACY_COURSE_ID } = require('./courses');
+const { SYSTEM_ACTORS, recordAudit } = require('./audit');
+
+// Entitlements are keyed by buyer email in `entitlements_by_email/{email}`:
+//   { email, courses: { [courseId]: { granted, status, reason, orderId, grantedAt,
+//                                     source, note, grantedBy, expiresAt,
+//                                     downloads, lastDownloadAt, bytesServed } }, updatedAt }
+// status is active | suspended (open dispute) | revoked (refund / lost dispute /
+// support). Active access past `expiresAt` reads as expired.
+// Each counted download is logged in `entitlements_by_email/{email}/downloads`,
+// with the requests and bytes the download proxy served for it and the ETag and
+// size of the copy it serves.
+// Docs written before the catalog existed only carry a top-level `granted: true`,
+// which covers the legacy course.
+// When the buyer has a Firebase Auth account, `entitlements/{uid}` mirrors the
+// courses map so signed-in clients can read their own access.
+
+const ENTITLEMENT_STATUSES = ['active', 'suspended', 'revoked'];
+
+// Audit log action for each status change
+const STATUS_AUDIT_ACTIONS = { active: 'entitlement_reinstate', suspended: 'entitlement_suspend', revoked: 'entitlement_revoke' };
+
+function normalizeEmail(raw) {
+  return String(raw || '').trim().toLowerCase();
+}
+
+function entitlementFor(data, courseId) {
+  if (!data) return null;
+  const entry = data.courses?.[courseId];
+  if (entry) return entry;
+  if (courseId === LEGACY_COURSE_ID && data.granted) return { granted: true, legacy: true };
+  return null;
+}
+
+// Entries written before statuses existed are active.
+function entitlementStatus(entry) {
+  const status = entry?.status || 'active';
+  const expiresAt = entry?.expiresAt?.toMillis ? entry.expiresAt.toMillis() : entry?.expiresAt;
+  if (status === 'active' && expiresAt && expiresAt <= Date.now()) return 'expired';
+  return status;
+}
+
+// Copies the email's courses to `entitlements/{uid}` if the buyer has an auth
+// account. Never throws: the email-keyed doc is the one access checks use.
+async function syncUidEntitlement(db, email) {
+  const lower = normalizeEmail(email);
+  try {
+    const user = await admin.auth().getUserByEmail(lower).catch((e) => {
+      if (e?.code === 'auth/user-not-found') return null;
+      throw e;
+    });
+    if (!user) return;
+    const snap = await db.collection('entitlements_by_email').doc(lower).get();
+    if (!snap.exists) return;
+    const data = snap.data();
+    await db.collection('entitlements').doc(user.uid).set({
+      email: lower,
+      courses: data.courses || {},
+      granted: !!data.granted || !!data.courses?.[LEGACY_COURSE_ID]?.granted,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    }, { merge: true });
+  } catch (e) {
+    console.error('entitlement uid sync failed', lower, e);
+  }
+}
+
+async function getEntitlement(db, email, courseId) {
+  const snap = await db.collection('entitlements_by_email').doc(normalizeEmail(email)).get();
+  return snap.exists ? entitlementFor(snap.data(), courseId) : null;
+}
+
+// `actor` (see audit) defaults to the payment webhook, which makes most grants.
+// `source` says why access was given without an order (manual, bank_transfer,
+// gift, ...). A grant replaces any earlier expiry unless `expiresAt` is given.
+// Granting again for the order that already granted the entry (a replayed
+// payment event) changes nothing, so status, expiry and grantedAt set since
+// are kept. Returns true if the entitlement was written.
+async function grantEntitlement(db, { email, courseId, orderId, actor = SYSTEM_ACTORS.cashfree, source, note, expiresAt }) {
+  const lower = normalizeEmail(email);
+  const ref = db.collection('entitlements_by_email').doc(lower);
+  const granted = await db.runTransaction(async (tx) => {
+    const snap = await tx.get(ref);
+    const entry = snap.exists ? entitlementFor(snap.data(), courseId) : null;
+    if (orderId && entry?.orderId === orderId) return false;
+    const now = admin.firestore.FieldValue.serverTimestamp();
+    tx.set(ref, {
+      email: lower,
+      courses: {
+        [courseId]: {
+          granted: true,
+          status: 'active',
+          reason: null,
+          orderId: orderId || null,
+          grantedAt: now,
+          source: source || (orderId ? 'order' : null),
+          note: note || null,
+          grantedBy: actor?.email || actor?.role || null,
+          expiresAt: expiresAt || null,
+        },
+      },
+      updatedAt: now,
+    }, { merge: true });
+    return true;
+  });
+  if (!granted) return false;
+  await syncUidEntitlement(db, lower);
+  await recordAudit(db, {
+    action: 'entitlement_grant',
+    actor,
+    targetType: 'entitlement',
+    targetId: lower,
+    details: { courseId, orderId: orderId || null, source: source || null, note: note || null, expiresAt: expiresAt ? expiresAt.toISOString() : null },
+  });
+  return true;
+}
+
+// Suspends, revokes or reinstates the course access granted by `orderId`.
+// Access granted by a different (later) order is left alone. Returns true if
+// the entitlement was updated.
+async function setEntitlementStatus(db, { email, courseId, orderId, status, reason, actor = SYSTEM_ACTORS.cashfree }) {
+  if (!ENTITLEMENT_STATUSES.includes(status)) throw new Error(`Unknown entitlement status ${status}`);
+  const ref = db.collection('entitlements_by_email').doc(normalizeEmail(email));
+  const changed = await db.runTransaction(async (tx) => {
+    const snap = await tx.get(ref);
+    const entry = snap.exists ? entitlementFor(snap.data(), courseId) : null;
+    if (!entry) return false;
+    if (entry.orderId && orderId && entry.orderId !== orderId) return false;
+    const now = admin.firestore.FieldValue.serverTimestamp();
+    tx.set(ref, {
+      courses: { [courseId]: { ...entry, granted: status === 'active', status, reason: reason || null, statusChangedAt: now } },
+      updatedAt: now,
+    }, { merge: true });
+    return true;
+  });
+  if (changed) {
+    await syncUidEntitlement(db, email);
+    await recordAudit(db, {
+      action: STATUS_AUDIT_ACTIONS[status],
+      actor,
+      targetType: 'entitlement',
+      targetId: normalizeEmail(email),
+      details: { courseId, orderId: orderId || null, reason: reason || null },
+    });
+  }
+  return changed;
+}
+
+// Extends (or ends, with a past date) access to a course; null removes the
+// expiry. Returns false if the email has no entitlement for the course.
+async function setEntitlementExpiry(db, { email, courseId, expiresAt, actor }) {
+  const ref = db.collection('entitlements_by_email').doc(normalizeEmail(email));
+  const changed = await db.runTransaction(async (tx) => {
+    const snap = await tx.get(ref);
+    const entry = snap.exists ? entitlementFor(snap.data(), courseId) : null;
+    if (!entry) return false;
+    const now = admin.firestore.FieldValue.serverTimestamp();
+    tx.set(ref, { courses: { [courseId]: { ...entry, expiresAt: expiresAt || null } }, updatedAt: now }, { merge: true });
+    return true;
+  });
+  if (changed) {
+    await syncUidEntitlement(db, email);
+    await recordAudit(db, {
+      action: 'entitlement_expiry',
+      actor,
+      targetType: 'entitlement',
+      targetId: normalizeEmail(email),
+      details: { courseId, expiresAt: expiresAt ? expiresAt.toISOString() : null },
+    });
+  }
+  return changed;
+}
+
+// A resume may bring the bytes served for one download up to this multiple of
+// the file size (a little over 1 for overlapping retries); past it, it counts anew.
+const RESUME_BYTES_ALLOWANCE = 1.1;
+
+// Counts one download against the entitlement and logs it. Returns
+// { ok: true, downloads, resumed, orderId } or { ok: false, reason } with reason
+// no_entitlement, access_revoked (also for expired access) or download_limit_reached.
+// `client` ({ ip, userAgent }) and `version` only go into the download log.
+// `downloadId` (one per download link) names the log entry. A request is free
+// only as a real resume of that download: `resume` ({ ifRange, start }, see
+// streaming.resumeRequest) must name the ETag of the copy already being served
+// (see recordDownloadFile), and the rest of the file from `start` must fit in
+// what is left of about one file size for this download. Any other request,
+// such as fetching the link again, counts.
+async function consumeDownload(db, { email, courseId, maxDownloads, version, client, downloadId, resume }) {
+  const ref = db.collection('entitlements_by_email').doc(normalizeEmail(email));
+  const logRef = downloadId ? ref.collection('downloads').doc(downloadId) : ref.collection('downloads').doc();
+  return db.runTransaction(async (tx) => {
+    const [snap, logSnap] = await Promise.all([tx.get(ref), downloadId ? tx.get(logRef) : null]);
+    const entry = snap.exists ? entitlementFor(snap.data(), courseId) : null;
+    if (!entry) return { ok: false, reason: 'no_entitlement' };
+    if (entitlementStatus(entry) !== 'active') return { ok: false, reason: 'access_revoked', status: entitlementStatus(entry), entry };
+    const log = logSnap?.exists ? logSnap.data() : null;
+    const increment = admin.firestore.FieldValue.increment(1);
+    const resumable = log && resume && log.etag === resume.ifRange && resume.start < (log.size || 0) &&
+      (log.bytesServed || 0) + (log.size - resume.start) <= log.size * RESUME_BYTES_ALLOWANCE;
+    if (resumable) {
+      tx.update(logRef, { requests: increment });
+      return { ok: true, downloads: entry.downloads || 0, resumed: true, orderId: entry.orderId || null };
+    }
+    const downloads = (entry.downloads || 0) + 1;
+    if (downloads > maxDownloads) return { ok: false, reason: 'download_limit_reached', downloads: entry.downloads || 0 };
+    const now = admin.firestore.FieldValue.serverTimestamp();
+    tx.set(ref, {
+      courses: { [courseId]: { ...entry, downloads, lastDownloadAt: now } },
+      updatedAt: now,
+    }, { merge: true });
+    // Fetching the same link again starts the entry over as a new download
+    tx.set(logRef, {
+      courseId,
+      version: version ? Number(version) : null,
+      ip: client?.ip || null,
+      userAgent: client?.userAgent ? String(client.userAgent).slice(0, 300) : null,
+      at: now,
+      requests: log ? increment : 1,
+      counted: log ? increment : 1,
+      bytesServed: 0,
+      etag: null,
+      size: null,
+    }, { merge: true });
+    return { ok: true, downloads, resumed: false, orderId: entry.orderId || null };
+  });
+}
+
+// Notes which copy a counted download serves, so that only resumes of that
+// exact file (same ETag) and size are let through by consumeDownload.
+async function recordDownloadFile(db, { email, downloadId, etag, size }) {
+  const ref = db.collection('entitlements_by_email').doc(normalizeEmail(email));
+  await ref.collection('downloads').doc(downloadId).update({ etag, size: Number(size) || 0 });
+}
+
+// Adds bytes streamed by the download proxy to the download log entry and the
+// entitlement's running total.
+async function recordBytesServed(db, { email, courseId, downloadId, bytes }) {
+  if (!bytes) return;
+  const ref = db.collection('entitlements_by_email').doc(normalizeEmail(email));
+  const increment = admin.firestore.FieldValue.increment(bytes);
+  const batch = db.batch();
+  batch.update(ref, new admin.firestore.FieldPath('courses', courseId, 'bytesServed'), increment);
+  batch.update(ref.collection('downloads').doc(downloadId), { bytesServed: increment, lastServedAt: admin.firestore.FieldValue.serverTimestamp() });
+  await batch.commit();
+}
+
+// Emails with active access to a course, e.g. to announce an update.
+async function listCourseBuyers(db, courseId) {
+  const col = db.collection('entitlements_by_email');
+  const queries = [col.where(`courses.${courseId}.granted`, '==', true).get()];
+  if (courseId === LEGACY_COURSE_ID) queries.push(col.where('granted', '==', true).get());
+  const emails = new Set();
+  for (const snap of await Promise.all(queries)) {
+    snap.forEach((d) => {
+      const entry = entitlementFor(d.data(), courseId);
+      if (entry && entitlementStatus(entry) === 'active') emails.add(d.id);
+    });
+  }
+  return [...emails];
+}
+
+module.exports = {
+  ENTITLEMENT_STATUSES,
+  normalizeEmail,
+  entitlementFor,
+  entitlementStatus,
+  getEntitlement,
+  grantEntitlement,
+  setEntitlementStatus,
+  setEntitlementExpiry,
+  syncUidEntitlement,
+  consumeDownload,
+  recordDownloadFile,
+  recordBytesServed,
+  listCourseBuyers,
+};
@@ -0,0 +1,24 @@
+const admin = require('firebase-admin');
+
+// Vercel passes a service account through env vars. Firebase Functions (and the
+// emulator) provide default credentials, so there the vars are left unset.
+if (!admin.apps.length) {
+  const projectId = process.env.FIREBASE_PROJECT_ID;
+  const clientEmail = process.env.FIREBASE_CLIENT_EMAIL;
+  let privateKey = process.env.FIREBASE_PRIVATE_KEY;
+  if (privateKey && privateKey.includes('\\n')) privateKey = privateKey.replace(/\\n/g, '\n');
+
+  if (privateKey) {
+    admin.initializeApp({
+      credential: admin.credential.cert({
+        projectId,
+        clientEmail,
+        privateKey,
+      }),
+    });
+  } else {
+    admin.initializeApp();
+  }
+}
+
+module.exports = { admin };
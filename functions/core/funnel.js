@@ -0,0 +1,224 @@
+const crypto = require('crypto');
+const { admin } = require('./firebaseAdmin');
+const { dayKey } = require('./salesStats');
+
+// First-party funnel analytics, fed by /api/events (see src/analytics.js).
+//   analytics_events/{autoId}     raw events: { sessionId, name, path, courseId, props,
+//                                 utm, source, day, clientAt, receivedAt, expireAt }
+//   analytics_sessions/{sessionId} { day, utm, referrer, source, steps: { [step]: at },
+//                                 firstSeenAt, lastSeenAt }
+//   funnel_stats/{YYYY-MM-DD}     { sessions, steps: { [step]: n }, checkoutErrors,
+//                                 sources: { [source]: { sessions, steps } },
+//                                 dropped: { rate_limited, too_many_sessions } }
+// A session counts once per step, on the day it started, so each day's row
+// is a cohort and step counts only go down along the funnel.
+//   analytics_limits/{day}_{ipHash} { day, sessions, windowStart, batches, expireAt,
+//                                 [call]: { windowStart, count } }
+//                                 per-client counters; the IP is stored only hashed
+// `expireAt` is meant for a Firestore TTL policy on analytics_events and analytics_limits.
+
+const FUNNEL_STEPS = ['page_view', 'email_entered', 'phone_entered', 'pay_clicked', 'checkout_opened', 'download_clicked'];
+const EVENT_NAMES = [...FUNNEL_STEPS, 'checkout_error'];
+const UTM_KEYS = ['source', 'medium', 'campaign', 'term', 'content'];
+const RAW_EVENT_TTL_MS = 90 * 24 * 60 * 60 * 1000;
+// Abuse limits. A real visitor sends a handful of batches per page and
+// starts one session per tab; anything well past that is a script. Many
+// visitors can share one IP (offices, mobile carriers), so the daily session
+// cap is generous and can be raised with EVENTS_MAX_SESSIONS_PER_IP_PER_DAY.
+const DEFAULT_MAX_SESSIONS_PER_IP_PER_DAY = 1000;
+const MAX_BATCHES_PER_IP_PER_MINUTE = 30;
+const MAX_BATCHES_PER_SESSION = 300;
+const LIMIT_TTL_MS = 2 * 24 * 60 * 60 * 1000;
+
+function maxSessionsPerIp() {
+  const n = Number(process.env.EVENTS_MAX_SESSIONS_PER_IP_PER_DAY);
+  return Number.isFinite(n) && n > 0 ? n : DEFAULT_MAX_SESSIONS_PER_IP_PER_DAY;
+}
+
+// The per-client limits doc for `ip` on `day`.
+function limitRef(db, day, ip) {
+  const ipHash = crypto.createHash('sha256').update(String(ip || '')).digest('hex').slice(0, 32);
+  return db.collection('analytics_limits').doc(`${day}_${ipHash}`);
+}
+
+// One-minute fixed window: the count so far in the window that holds `nowMs`.
+function minuteWindow(windowStart, count, nowMs) {
+  return nowMs - (windowStart || 0) >= 60 * 1000 ? { windowStart: nowMs, count: 0 } : { windowStart, count: count || 0 };
+}
+
+const clip = (v, n = 200) => String(v ?? '').slice(0, n);
+
+// Keeps a few short primitive props; anything else (emails, objects) is dropped.
+function cleanProps(props) {
+  const out = {};
+  Object.entries(props && typeof props === 'object' ? props : {}).slice(0, 10).forEach(([k, v]) => {
+    if (['string', 'number', 'boolean'].includes(typeof v) && /^[a-zA-Z0-9_]{1,40}$/.test(k)) out[k] = typeof v === 'string' ? clip(v) : v;
+  });
+  return out;
+}
+
+function cleanUtm(utm) {
+  const out = {};
+  UTM_KEYS.forEach((k) => { if (utm?.[k]) out[k] = clip(utm[k], 100); });
+  return out;
+}
+
+// Stats key for where a session came from: utm_source, else the referring host, else direct.
+function sourceKey(utm, referrer) {
+  let source = utm.source;
+  if (!source && referrer) {
+    try { source = new URL(referrer).hostname.replace(/^www\./, ''); } catch {}
+  }
+  return clip(source || 'direct', 40).toLowerCase().replace(/[^a-z0-9_.-]/g, '_') || 'direct';
+}
+
+// Stores one batch from a browser session, sent from `ip`. Returns
+// { ok: true, stored } or { ok: false, reason }: rate_limited when the client
+// or session sends too many batches, too_many_sessions when the client has
+// started too many sessions today. Refused batches are counted in the day's
+// funnel_stats under `dropped`, so a cap that is too tight shows up there.
+async function recordEvents(db, { sessionId, ip, utm: rawUtm, referrer: rawReferrer, events }) {
+  const kept = (Array.isArray(events) ? events : [])
+    .slice(0, 50)
+    .filter((e) => EVENT_NAMES.includes(e?.name));
+  if (!kept.length) return { ok: true, stored: 0 };
+
+  const sessionRef = db.collection('analytics_sessions').doc(sessionId);
+  const today = dayKey();
+  const limitsRef = limitRef(db, today, ip);
+  const now = admin.firestore.FieldValue.serverTimestamp();
+  const inc = (n) => admin.firestore.FieldValue.increment(n);
+
+  // Session attribution is fixed by the first batch
+  const result = await db.runTransaction(async (tx) => {
+    const [snap, limitSnap] = await Promise.all([tx.get(sessionRef), tx.get(limitsRef)]);
+    const session = snap.exists ? snap.data() : null;
+    const limits = limitSnap.exists ? limitSnap.data() : { sessions: 0, windowStart: 0, batches: 0 };
+
+    const nowMs = Date.now();
+    const window = minuteWindow(limits.windowStart, limits.batches, nowMs);
+    if (window.count >= MAX_BATCHES_PER_IP_PER_MINUTE) return { ok: false, reason: 'rate_limited' };
+    if ((session?.batches || 0) >= MAX_BATCHES_PER_SESSION) return { ok: false, reason: 'rate_limited' };
+    if (!session && (limits.sessions || 0) >= maxSessionsPerIp()) return { ok: false, reason: 'too_many_sessions' };
+    tx.set(limitsRef, {
+      day: today,
+      sessions: (limits.sessions || 0) + (session ? 0 : 1),
+      windowStart: window.windowStart,
+      batches: window.count + 1,
+      expireAt: admin.firestore.Timestamp.fromMillis(nowMs + LIMIT_TTL_MS),
+    }, { merge: true });
+    const utm = session?.utm || cleanUtm(rawUtm);
+    const referrer = session ? session.referrer : clip(rawReferrer, 500) || null;
+    const source = session?.source || sourceKey(utm, referrer);
+    const day = session?.day || today;
+
+    const newSteps = [...new Set(kept.map((e) => e.name))]
+      .filter((name) => FUNNEL_STEPS.includes(name) && !session?.steps?.[name]);
+    const errors = kept.filter((e) => e.name === 'checkout_error').length;
+
+    const steps = {};
+    newSteps.forEach((name) => { steps[name] = now; });
+    tx.set(sessionRef, {
+      ...(session ? {} : { day, utm, referrer, source, firstSeenAt: now }),
+      steps,
+      batches: inc(1),
+      lastSeenAt: now,
+    }, { merge: true });
+
+    if (!session || newSteps.length || errors) {
+      const stepIncs = {};
+      newSteps.forEach((name) => { stepIncs[name] = inc(1); });
+      tx.set(db.collection('funnel_stats').doc(day), {
+        date: day,
+        ...(session ? {} : { sessions: inc(1) }),
+        steps: stepIncs,
+        ...(errors ? { checkoutErrors: inc(errors) } : {}),
+        sources: { [source]: { ...(session ? {} : { sessions: inc(1) }), steps: stepIncs } },
+        updatedAt: now,
+      }, { merge: true });
+    }
+    return { ok: true, day, utm, source };
+  });
+  if (!result.ok) {
+    await db.collection('funnel_stats').doc(today).set({
+      date: today,
+      dropped: { [result.reason]: inc(1) },
+      updatedAt: now,
+    }, { merge: true });
+    return result;
+  }
+  const { day, utm, source } = result;
+
+  const batch = db.batch();
+  const expireAt = admin.firestore.Timestamp.fromMillis(Date.now() + RAW_EVENT_TTL_MS);
+  kept.forEach((e) => {
+    const props = cleanProps(e.props);
+    batch.set(db.collection('analytics_events').doc(), {
+      sessionId,
+      name: e.name,
+      path: clip(e.path, 300),
+      courseId: e.courseId ? clip(e.courseId, 64) : null,
+      props,
+      utm,
+      source,
+      day,
+      clientAt: Number.isFinite(Number(e.at)) ? Number(e.at) : null,
+      receivedAt: now,
+      expireAt,
+    });
+  });
+  await batch.commit();
+  return { ok: true, stored: kept.length };
+}
+
+// Funnel totals between two YYYY-MM-DD keys (inclusive), overall and per source.
+async function getFunnelStats(db, from, to) {
+  const snap = await db.collection('funnel_stats')
+    .where(admin.firestore.FieldPath.documentId(), '>=', from)
+    .where(admin.firestore.FieldPath.documentId(), '<=', to)
+    .get();
+  const blank = () => ({ sessions: 0, steps: Object.fromEntries(FUNNEL_STEPS.map((s) => [s, 0])) });
+  const totals = { ...blank(), checkoutErrors: 0, dropped: 0 };
+  const sources = {};
+  const add = (target, data) => {
+    target.sessions += data?.sessions || 0;
+    FUNNEL_STEPS.forEach((s) => { target.steps[s] += data?.steps?.[s] || 0; });
+  };
+  snap.forEach((d) => {
+    const data = d.data();
+    add(totals, data);
+    totals.checkoutErrors += data.checkoutErrors || 0;
+    Object.values(data.dropped || {}).forEach((n) => { totals.dropped += n || 0; });
+    Object.entries(data.sources || {}).forEach(([source, stats]) => {
+      sources[source] = sources[source] || blank();
+      add(sources[source], stats);
+    });
+  });
+  return {
+    steps: FUNNEL_STEPS,
+    totals,
+    sources: Object.entries(sources).map(([source, s]) => ({ source, ...s })).sort((a, b) => b.sessions - a.sessions),
+  };
+}
+
+// Counts one call to another public endpoint (`call`, e.g. 'refClicks') from
+// `ip` against the same per-client limits as the events. Returns false, without
+// counting it, once the client has made `max` such calls this minute.
+async function takeClientCall(db, ip, call, max) {
+  const today = dayKey();
+  const ref = limitRef(db, today, ip);
+  return db.runTransaction(async (tx) => {
+    const snap = await tx.get(ref);
+    const nowMs = Date.now();
+    const window = minuteWindow(snap.data()?.[call]?.windowStart, snap.data()?.[call]?.count, nowMs);
+    if (window.count >= max) return false;
+    tx.set(ref, {
+      day: today,
+      [call]: { windowStart: window.windowStart, count: window.count + 1 },
+      expireAt: admin.firestore.Timestamp.fromMillis(nowMs + LIMIT_TTL_MS),
+    }, { merge: true });
+    return true;
+  });
+}
+
+module.exports = { FUNNEL_STEPS, EVENT_NAMES, recordEvents, getFunnelStats, takeClientCall };
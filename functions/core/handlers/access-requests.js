@@ -0,0 +1,41 @@
+const { admin } = require('../firebaseAdmin');
+const { verifyAdmin } = require('../adminAuth');
+const { LEGACY_COURSE_ID } = require('../courses');
+const { normalizeEmail, grantEntitlement } = require('../entitlements');
+
+// POST /api/access-requests
+// Approves a legacy `requests/{uid}` purchase request: grants the legacy course
+// to the requester's email (plus the old uid-keyed `entitlements/{uid}` doc)
+// and marks the request approved. The grant is recorded in the audit log.
+// Body: { uid }
+module.exports = async (req, res) => {
+  const origin = req.headers.origin || '*';
+  res.setHeader('Access-Control-Allow-Origin', origin);
+  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+  if (req.method === 'OPTIONS') return res.status(204).end();
+  if (req.method !== 'POST') return res.status(405).json({ error: 'Method not allowed' });
+
+  const user = await verifyAdmin(req, res, 'access');
+  if (!user) return;
+
+  try {
+    const { uid } = req.body || {};
+    if (!uid) return res.status(400).json({ error: 'Missing uid' });
+    const db = admin.firestore();
+    const ref = db.collection('requests').doc(String(uid));
+    const snap = await ref.get();
+    if (!snap.exists) return res.status(404).json({ error: 'Unknown request' });
+    const email = normalizeEmail(snap.data().email);
+    if (!email) return res.status(400).json({ error: 'Request has no email' });
+
+    const now = admin.firestore.FieldValue.serverTimestamp();
+    await db.collection('entitlements').doc(ref.id).set({ email, granted: true, updatedAt: now }, { merge: true });
+    await grantEntitlement(db, { email, courseId: LEGACY_COURSE_ID, actor: user, source: 'access_request' });
+    await ref.set({ status: 'approved', approvedBy: user.email, updatedAt: now }, { merge: true });
+    return res.json({ ok: true, email, courseId: LEGACY_COURSE_ID });
+  } catch (e) {
+    console.error('access-requests error', e);
+    return res.status(500).json({ error: 'server_error' });
+  }
+};
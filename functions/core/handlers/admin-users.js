@@ -0,0 +1,90 @@
+const { admin } = require('../firebaseAdmin');
+const { verifyAdmin } = require('../adminAuth');
+const { ROLES, permissionsFor } = require('../roles');
+const { setRole, removeRole, countOwners, startAdminSession, inviteAdmin } = require('../adminUsers');
+const { deliverEmail } = require('../emailDeliveries');
+const { siteBaseUrl } = require('../http');
+const { recordAudit } = require('../audit');
+
+// POST /api/admin-users
+// Body { action, ... }:
+//   session                       any signed-in user; accepts an invite,
+//                                 returns { role, permissions, roles }
+//   invite { email, role, adminPath? }  owner; emails the invite with a link to adminPath
+//   cancel_invite { email }       owner
+//   set_role { uid, role }        owner
+//   revoke { uid }                owner; removes the role and signs the user out
+// The team always keeps at least one owner.
+module.exports = async (req, res) => {
+  const origin = req.headers.origin || '*';
+  res.setHeader('Access-Control-Allow-Origin', origin);
+  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+  if (req.method === 'OPTIONS') return res.status(204).end();
+  if (req.method !== 'POST') return res.status(405).json({ error: 'Method not allowed' });
+
+  const db = admin.firestore();
+  const { action, email, role, uid, adminPath } = req.body || {};
+
+  if (action === 'session') {
+    const auth = req.headers.authorization || '';
+    if (!auth.startsWith('Bearer ')) return res.status(401).json({ error: 'missing_token' });
+    try {
+      const decoded = await admin.auth().verifyIdToken(auth.slice(7));
+      const granted = await startAdminSession(db, decoded);
+      if (!granted) return res.status(403).json({ error: 'not_admin' });
+      return res.json({ role: granted, permissions: permissionsFor(granted), roles: ROLES });
+    } catch (e) {
+      console.error('admin session error', e);
+      return res.status(401).json({ error: 'auth_failed' });
+    }
+  }
+
+  const user = await verifyAdmin(req, res, 'team');
+  if (!user) return;
+
+  try {
+    if (action === 'invite') {
+      await inviteAdmin(db, { email, role, by: user.email });
+      await recordAudit(db, { action: 'team_invite', actor: user, targetType: 'admin_invite', targetId: String(email).toLowerCase(), details: { role } });
+      await deliverEmail(db, {
+        to: String(email).toLowerCase(),
+        template: 'admin_invite',
+        vars: {
+          role,
+          invitedBy: user.email,
+          adminUrl: `${siteBaseUrl(req)}${/^\/[\w-]+$/.test(String(adminPath || '')) ? adminPath : ''}`,
+        },
+      }).catch((e) => console.error('admin invite email error', e));
+      return res.json({ ok: true });
+    }
+    if (action === 'cancel_invite') {
+      await db.collection('admin_invites').doc(String(email || '').toLowerCase()).delete();
+      await recordAudit(db, { action: 'team_cancel_invite', actor: user, targetType: 'admin_invite', targetId: String(email || '').toLowerCase() });
+      return res.json({ ok: true });
+    }
+
+    if (!uid) return res.status(400).json({ error: 'Missing uid' });
+    const target = await db.collection('admin_users').doc(String(uid)).get();
+    if (!target.exists) return res.status(404).json({ error: 'Unknown admin' });
+    const losesOwner = target.data().role === 'owner' && (action === 'revoke' || role !== 'owner');
+    if (losesOwner && (await countOwners(db)) <= 1) return res.status(409).json({ error: 'last_owner' });
+
+    if (action === 'set_role') {
+      if (!ROLES.includes(role)) return res.status(400).json({ error: 'invalid_role' });
+      await setRole(db, { uid: String(uid), email: target.data().email, role, by: user.email });
+      await recordAudit(db, { action: 'team_set_role', actor: user, targetType: 'admin_user', targetId: String(uid), details: { email: target.data().email, from: target.data().role, to: role } });
+      return res.json({ ok: true, role });
+    }
+    if (action === 'revoke') {
+      await removeRole(db, String(uid));
+      await recordAudit(db, { action: 'team_revoke', actor: user, targetType: 'admin_user', targetId: String(uid), details: { email: target.data().email, role: target.data().role } });
+      return res.json({ ok: true });
+    }
+    return res.status(400).json({ error: 'Unknown action' });
+  } catch (e) {
+    if (e.message === 'invalid_email' || e.message === 'invalid_role') return res.status(400).json({ error: e.message });
+    console.error('admin-users error', e);
+    return res.status(500).json({ error: 'server_error' });
+  }
+};
@@ -0,0 +1,59 @@
+const { admin } = require('../firebaseAdmin');
+const { verifyAdmin } = require('../adminAuth');
+const { listOwedPayouts, markAffiliatePaid } = require('../affiliates');
+const { recordAudit } = require('../audit');
+
+function csvCell(value) {
+  const s = value === undefined || value === null ? '' : String(value);
+  return /[",\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+// /api/affiliate-payouts
+// Admin-only.
+//   GET                          → CSV, one row per affiliate with commission owed
+//   POST { code, reference? }    marks that affiliate's owed commission as paid
+module.exports = async (req, res) => {
+  const origin = req.headers.origin || '*';
+  res.setHeader('Access-Control-Allow-Origin', origin);
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+  if (req.method === 'OPTIONS') return res.status(204).end();
+  if (req.method !== 'GET' && req.method !== 'POST') return res.status(405).json({ error: 'Method not allowed' });
+
+  const user = await verifyAdmin(req, res, 'affiliates');
+  if (!user) return;
+
+  try {
+    const db = admin.firestore();
+    if (req.method === 'POST') {
+      const { code, reference } = req.body || {};
+      if (!code) return res.status(400).json({ error: 'Missing code' });
+      const result = await markAffiliatePaid(db, code, { paidBy: user.email, reference });
+      await recordAudit(db, { action: 'affiliate_payout', actor: user, targetType: 'affiliate', targetId: String(code).toUpperCase(), details: { ...result, reference: reference || null } });
+      return res.json({ ok: true, ...result });
+    }
+
+    const payouts = await listOwedPayouts(db);
+    const rows = [['code', 'name', 'email', 'commission_percent', 'orders', 'sales_inr', 'commission_owed_inr', 'order_ids']];
+    payouts.forEach(({ affiliate, conversions }) => {
+      const sales = conversions.reduce((sum, c) => sum + (c.amountINR || 0), 0);
+      const owed = conversions.reduce((sum, c) => sum + (c.commissionINR || 0), 0);
+      rows.push([
+        affiliate.code,
+        affiliate.name,
+        affiliate.email,
+        affiliate.commissionPercent,
+        conversions.length,
+        sales.toFixed(2),
+        owed.toFixed(2),
+        conversions.map((c) => c.orderId).join(' '),
+      ]);
+    });
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="affiliate-payouts-${new Date().toISOString().slice(0, 10)}.csv"`);
+    return res.status(200).send(rows.map((r) => r.map(csvCell).join(',')).join('\n'));
+  } catch (e) {
+    console.error('affiliate-payouts error', e);
+    return res.status(500).json({ error: 'server_error' });
+  }
+};
@@ -0,0 +1,44 @@
+const { admin } = require('../firebaseAdmin');
+const { verifyAdmin } = require('../adminAuth');
+const { normalizeAffiliateCode, createAffiliate, setAffiliateActive } = require('../affiliates');
+const { recordAudit } = require('../audit');
+
+// /api/affiliates
+// Admin-only. Affiliates are never written by clients directly; payouts go
+// through /api/affiliate-payouts.
+//   POST { action: 'create', code, name, email, commissionPercent }
+//   POST { action: 'set_active', code, active }
+module.exports = async (req, res) => {
+  const origin = req.headers.origin || '*';
+  res.setHeader('Access-Control-Allow-Origin', origin);
+  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+  if (req.method === 'OPTIONS') return res.status(204).end();
+  if (req.method !== 'POST') return res.status(405).json({ error: 'Method not allowed' });
+
+  const user = await verifyAdmin(req, res, 'affiliates');
+  if (!user) return;
+
+  try {
+    const db = admin.firestore();
+    const { action, ...input } = req.body || {};
+
+    if (action === 'create') {
+      const result = await createAffiliate(db, input);
+      if (!result.ok) return res.status(result.reason === 'affiliate_exists' ? 409 : 400).json({ error: result.reason });
+      const { code, name, email, commissionPercent } = result.affiliate;
+      await recordAudit(db, { action: 'affiliate_create', actor: user, targetType: 'affiliate', targetId: code, details: { name, email, commissionPercent } });
+      return res.json({ ok: true, code });
+    }
+    if (action === 'set_active') {
+      const code = normalizeAffiliateCode(input.code);
+      if (!(await setAffiliateActive(db, code, input.active))) return res.status(404).json({ error: 'Unknown affiliate' });
+      await recordAudit(db, { action: 'affiliate_update', actor: user, targetType: 'affiliate', targetId: code, details: { active: input.active === true } });
+      return res.json({ ok: true });
+    }
+    return res.status(400).json({ error: 'Unknown action' });
+  } catch (e) {
+    console.error('affiliates error', e);
+    return res.status(500).json({ error: 'server_error' });
+  }
+};
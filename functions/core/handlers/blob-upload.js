@@ -0,0 +1,130 @@
+const crypto = require('crypto');
+const { admin } = require('../firebaseAdmin');
+const { verifyAdmin } = require('../adminAuth');
+const { getCourse } = require('../courses');
+const { apiBaseUrl, siteBaseUrl } = require('../http');
+const { recordRelease, notifyBuyersOfRelease } = require('../releases');
+const { recordAudit } = require('../audit');
+const { configuredProvider, getStorage, fileSha256 } = require('../storage');
+
+const ZIP_TYPES = ['application/zip', 'application/x-zip-compressed'];
+
+// Pending uploads in `course_uploads/{uploadId}`:
+//   { courseId, storageProvider, path, contentType, size, checksum, notes, notify,
+//     uid, email, role, status: 'pending' | 'done', version?, createdAt, completedAt? }
+function uploadsRef(db) {
+  return db.collection('course_uploads');
+}
+
+// Keeps the browser's file name readable in the path without trusting it
+function safeFileName(name) {
+  const clean = String(name || '').replace(/[^A-Za-z0-9._-]+/g, '-').replace(/^[.-]+/, '').slice(0, 100);
+  return clean || 'course.zip';
+}
+
+// POST /api/blob-upload
+// Admin-only (courses). Uploads go straight from the browser to the configured
+// storage provider (see storage), in two steps:
+//   { action: 'start', courseId, filename, contentType?, size?, checksum?, notes?, notify? }
+//     → { uploadId, target } where target says how to send the file
+//   { action: 'complete', uploadId }
+//     → { version } once the file is in storage; records it as the course's new
+//       release and, with notify, queues an email to buyers
+// The release checksum is computed here from the stored bytes; the browser's
+// (sent with start) only catches a corrupted upload.
+module.exports = async (req, res) => {
+  const origin = req.headers.origin || '*';
+  res.setHeader('Access-Control-Allow-Origin', origin);
+  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+  if (req.method === 'OPTIONS') return res.status(204).end();
+  if (req.method !== 'POST') return res.status(405).json({ error: 'Method not allowed' });
+
+  const user = await verifyAdmin(req, res, 'courses');
+  if (!user) return;
+
+  try {
+    const db = admin.firestore();
+    const { action } = req.body || {};
+
+    if (action === 'start') {
+      const { courseId, filename, notes, checksum, size, notify } = req.body;
+      const course = await getCourse(db, courseId);
+      if (!course) return res.status(404).json({ error: 'Unknown course' });
+      const contentType = req.body.contentType || 'application/zip';
+      if (!ZIP_TYPES.includes(contentType)) return res.status(400).json({ error: 'Only ZIP files can be uploaded' });
+
+      // A random segment keeps paths unguessable on providers with public URLs
+      const path = `courses/${course.id}/${crypto.randomBytes(8).toString('hex')}/${safeFileName(filename)}`;
+      const storageProvider = configuredProvider();
+      const target = await getStorage(storageProvider).createUploadTarget(path, { contentType, baseUrl: apiBaseUrl(req) });
+      const ref = await uploadsRef(db).add({
+        courseId: course.id,
+        storageProvider,
+        path,
+        contentType,
+        size: Number(size) || null,
+        checksum: /^[a-f0-9]{64}$/.test(String(checksum || '')) ? checksum : null,
+        notes: String(notes || '').slice(0, 2000),
+        notify: notify === true,
+        uid: user.uid,
+        email: user.email,
+        role: user.role,
+        status: 'pending',
+        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+      return res.json({ uploadId: ref.id, target });
+    }
+
+    if (action === 'complete') {
+      const ref = uploadsRef(db).doc(String(req.body.uploadId || ''));
+      const snap = await ref.get();
+      if (!snap.exists) return res.status(404).json({ error: 'Unknown upload' });
+      const upload = snap.data();
+      if (upload.status === 'done') return res.json({ ok: true, version: upload.version });
+
+      const meta = await getStorage(upload.storageProvider).head(upload.path);
+      if (!meta) return res.status(409).json({ error: 'upload_not_found' });
+      if (upload.size && meta.size !== upload.size) return res.status(409).json({ error: 'upload_incomplete', size: meta.size });
+      const checksum = await fileSha256({ storageProvider: upload.storageProvider, blobPath: upload.path });
+      if (upload.checksum && checksum !== upload.checksum) return res.status(409).json({ error: 'checksum_mismatch' });
+
+      const version = await recordRelease(db, {
+        courseId: upload.courseId,
+        file: { provider: upload.storageProvider, path: upload.path },
+        size: meta.size,
+        contentType: meta.contentType || upload.contentType,
+        checksum,
+        notes: upload.notes,
+        uploadedBy: upload.email,
+      });
+      await ref.update({ status: 'done', version, completedAt: admin.firestore.FieldValue.serverTimestamp() });
+      await recordAudit(db, {
+        action: 'course_upload',
+        actor: user,
+        targetType: 'course',
+        targetId: upload.courseId,
+        details: { version, size: meta.size, checksum, notify: upload.notify, storageProvider: upload.storageProvider },
+      });
+      // A failed announcement must not fail the upload; admins can resend it
+      if (upload.notify) {
+        try {
+          const course = await getCourse(db, upload.courseId);
+          await notifyBuyersOfRelease(db, {
+            course,
+            version,
+            courseUrl: `${siteBaseUrl(req)}/courses/${encodeURIComponent(course.id)}`,
+          });
+        } catch (e) {
+          console.error('release notification error', upload.courseId, version, e);
+        }
+      }
+      return res.json({ ok: true, version });
+    }
+
+    return res.status(400).json({ error: 'Unknown action' });
+  } catch (e) {
+    console.error('blob-upload error', e);
+    return res.status(500).json({ error: 'server_error' });
+  }
+};
@@ -0,0 +1,69 @@
+const { admin } = require('../firebaseAdmin');
+const { readRawBody, apiBaseUrl } = require('../http');
+const { getWebhookSecret, getWebhookToleranceSec, verifyWebhookSignature } = require('../cashfree');
+const { processCashfreeEvent } = require('../paymentEvents');
+const { webhookEventId, claimWebhookEvent, finishWebhookEvent, failWebhookEvent } = require('../webhookEvents');
+
+// POST /api/cashfree-webhook
+// Verifies signature, logs the event in webhook_events (acknowledging duplicates
+// without side effects), then records order status transitions in the orders
+// ledger and grants entitlement when payment is successful
+module.exports = async (req, res) => {
+  const origin = req.headers.origin || '*';
+  res.setHeader('Access-Control-Allow-Origin', origin);
+  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, x-webhook-signature, x-webhook-timestamp');
+  if (req.method === 'OPTIONS') return res.status(204).end();
+  if (req.method !== 'POST') return res.status(405).json({ error: 'Method not allowed' });
+
+  try {
+    // Reject unsigned, tampered or replayed deliveries before touching anything
+    const rawBody = await readRawBody(req);
+    const check = verifyWebhookSignature({
+      rawBody,
+      signature: req.headers['x-webhook-signature'],
+      timestamp: req.headers['x-webhook-timestamp'],
+      secret: getWebhookSecret(),
+      toleranceSec: getWebhookToleranceSec(),
+    });
+    if (!check.ok) {
+      console.warn('webhook rejected', check.reason);
+      return res.status(check.reason === 'missing_secret' ? 500 : 401).json({ error: check.reason });
+    }
+
+    let payload;
+    try {
+      payload = JSON.parse(rawBody.toString('utf8'));
+    } catch {
+      return res.status(400).json({ error: 'invalid_json' });
+    }
+
+    const db = admin.firestore();
+    const eventId = webhookEventId(payload, rawBody);
+    const claim = await claimWebhookEvent(db, eventId, {
+      type: payload?.type || payload?.event,
+      orderId: payload?.data?.order?.order_id
+        || payload?.data?.refund?.order_id
+        || payload?.data?.dispute?.order_details?.order_id,
+      payload,
+    });
+    if (claim === 'duplicate') return res.json({ ok: true, duplicate: true, eventId });
+    // Another delivery of this event is mid-flight; ask Cashfree to retry later
+    if (claim === 'in_progress') return res.status(409).json({ error: 'in_progress', eventId });
+
+    try {
+      const result = await processCashfreeEvent(db, payload, { baseUrl: apiBaseUrl(req) });
+      await finishWebhookEvent(db, eventId, result);
+      return res.status(result.status).json(result.body);
+    } catch (e) {
+      await failWebhookEvent(db, eventId, e).catch((logErr) => console.error('webhook event log error', logErr));
+      throw e;
+    }
+  } catch (e) {
+    console.error('webhook error', e);
+    return res.status(500).json({ error: 'server_error' });
+  }
+};
+
+// Keep the body unparsed; the signature is computed over the raw bytes
+module.exports.config = { api: { bodyParser: false } };
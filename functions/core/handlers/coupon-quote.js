@@ -0,0 +1,34 @@
+const { admin } = require('../firebaseAdmin');
+const { getCourse, getCoursePriceINR } = require('../courses');
+const { applyCoupon } = require('../coupons');
+
+// POST /api/coupon-quote
+// Checks a discount code for the course page before checkout. create-order
+// applies the same checks again, so a quote is never binding.
+// Body: { code, courseId, email? }
+// Returns { code, listPriceINR, discountINR, amountINR } or 422 { error: reason }
+module.exports = async (req, res) => {
+  const origin = req.headers.origin || '*';
+  res.setHeader('Access-Control-Allow-Origin', origin);
+  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+  if (req.method === 'OPTIONS') return res.status(204).end();
+  if (req.method !== 'POST') return res.status(405).json({ error: 'Method not allowed' });
+
+  try {
+    const { code, courseId, email } = req.body || {};
+    if (!code) return res.status(400).json({ error: 'Missing code' });
+    const db = admin.firestore();
+    const course = await getCourse(db, courseId);
+    if (!course || course.published === false) return res.status(404).json({ error: 'course_not_found' });
+    const listPriceINR = getCoursePriceINR(course);
+    if (!listPriceINR) return res.status(500).json({ error: 'course_price_missing' });
+
+    const result = await applyCoupon(db, { code, course, email, priceINR: listPriceINR });
+    if (!result.ok) return res.status(422).json({ error: result.reason });
+    return res.json({ code: result.coupon.code, listPriceINR, discountINR: result.discountINR, amountINR: result.amountINR });
+  } catch (e) {
+    console.error('coupon-quote error', e);
+    return res.status(500).json({ error: 'server_error' });
+  }
+};
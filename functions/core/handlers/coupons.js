@@ -0,0 +1,49 @@
+const { admin } = require('../firebaseAdmin');
+const { verifyAdmin } = require('../adminAuth');
+const { normalizeCouponCode, createCoupon, setCouponActive } = require('../coupons');
+const { recordAudit } = require('../audit');
+
+// /api/coupons
+// Admin-only. Coupons are never written by clients directly.
+//   POST { action: 'create', code, type, value, courseIds?, expiresAt?, maxUses?, maxUsesPerEmail? }
+//   POST { action: 'set_active', code, active }
+module.exports = async (req, res) => {
+  const origin = req.headers.origin || '*';
+  res.setHeader('Access-Control-Allow-Origin', origin);
+  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+  if (req.method === 'OPTIONS') return res.status(204).end();
+  if (req.method !== 'POST') return res.status(405).json({ error: 'Method not allowed' });
+
+  const user = await verifyAdmin(req, res, 'coupons');
+  if (!user) return;
+
+  try {
+    const db = admin.firestore();
+    const { action, ...input } = req.body || {};
+
+    if (action === 'create') {
+      const result = await createCoupon(db, input, { by: user.email });
+      if (!result.ok) return res.status(result.reason === 'coupon_exists' ? 409 : 400).json({ error: result.reason });
+      const { code, type, value, courseIds, expiresAt, maxUses, maxUsesPerEmail } = result.coupon;
+      await recordAudit(db, {
+        action: 'coupon_create',
+        actor: user,
+        targetType: 'coupon',
+        targetId: code,
+        details: { type, value, courseIds, expiresAt: expiresAt ? expiresAt.toISOString() : null, maxUses, maxUsesPerEmail },
+      });
+      return res.json({ ok: true, code });
+    }
+    if (action === 'set_active') {
+      const code = normalizeCouponCode(input.code);
+      if (!(await setCouponActive(db, code, input.active))) return res.status(404).json({ error: 'Unknown coupon' });
+      await recordAudit(db, { action: 'coupon_update', actor: user, targetType: 'coupon', targetId: code, details: { active: input.active === true } });
+      return res.json({ ok: true });
+    }
+    return res.status(400).json({ error: 'Unknown action' });
+  } catch (e) {
+    console.error('coupons error', e);
+    return res.status(500).json({ error: 'server_error' });
+  }
+};
@@ -0,0 +1,62 @@
+const { admin } = require('../firebaseAdmin');
+const { verifyAdmin } = require('../adminAuth');
+const { getCourse } = require('../courses');
+const { siteBaseUrl } = require('../http');
+const { listReleases, setCurrentRelease, notifyBuyersOfRelease } = require('../releases');
+const { recordAudit } = require('../audit');
+
+// /api/course-releases
+// Admin-only.
+//   GET  ?courseId=...                          → { currentVersion, releases }
+//   POST { courseId, action: 'rollback', version } makes that release the default download
+//   POST { courseId, action: 'notify', version }   emails buyers that the release is out
+module.exports = async (req, res) => {
+  const origin = req.headers.origin || '*';
+  res.setHeader('Access-Control-Allow-Origin', origin);
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+  if (req.method === 'OPTIONS') return res.status(204).end();
+  if (req.method !== 'GET' && req.method !== 'POST') return res.status(405).json({ error: 'Method not allowed' });
+
+  const user = await verifyAdmin(req, res, 'courses');
+  if (!user) return;
+
+  try {
+    const db = admin.firestore();
+    const params = req.method === 'GET' ? new URL(req.url, `https://${req.headers.host}`).searchParams : null;
+    const course = await getCourse(db, params ? params.get('courseId') : req.body?.courseId);
+    if (!course) return res.status(404).json({ error: 'Unknown course' });
+
+    if (req.method === 'GET') {
+      const file = await db.collection('course_files').doc(course.id).get();
+      // File locations stay server-side even for admins
+      const releases = (await listReleases(db, course.id)).map(({ blobUrl, ...r }) => ({
+        ...r,
+        createdAt: r.createdAt?.toMillis?.() || null,
+        notifiedAt: r.notifiedAt?.toMillis?.() || null,
+      }));
+      return res.json({ currentVersion: file.exists ? file.data().currentVersion || null : null, releases });
+    }
+
+    const { action, version } = req.body || {};
+    if (action === 'rollback') {
+      const release = await setCurrentRelease(db, course.id, version);
+      if (!release) return res.status(404).json({ error: 'Unknown release' });
+      await recordAudit(db, { action: 'release_rollback', actor: user, targetType: 'course', targetId: course.id, details: { version: release.version } });
+      return res.json({ ok: true, currentVersion: release.version });
+    }
+    if (action === 'notify') {
+      const result = await notifyBuyersOfRelease(db, {
+        course,
+        version,
+        courseUrl: `${siteBaseUrl(req)}/courses/${encodeURIComponent(course.id)}`,
+      });
+      await recordAudit(db, { action: 'release_notify', actor: user, targetType: 'course', targetId: course.id, details: { version: Number(version), ...result } });
+      return res.json({ ok: true, ...result });
+    }
+    return res.status(400).json({ error: 'Unknown action' });
+  } catch (e) {
+    console.error('course-releases error', e);
+    return res.status(500).json({ error: 'server_error' });
+  }
+};
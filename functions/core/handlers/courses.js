@@ -0,0 +1,68 @@
+const { admin } = require('../firebaseAdmin');
+const { verifyAdmin } = require('../adminAuth');
+const {
+  normalizeCourseId,
+  getCourse,
+  pickCourseContent,
+  createCourse,
+  saveCourseDraft,
+  discardCourseDraft,
+  publishCourse,
+} = require('../courses');
+const { recordAudit } = require('../audit');
+
+// /api/courses
+// Admin-only. Course content is never written by clients directly.
+//   POST { action: 'create', courseId, content }      adds an unpublished course
+//   POST { action: 'save_draft', courseId, content }  stores unpublished edits
+//   POST { action: 'publish', courseId, content }     → { version } makes them live
+//   POST { action: 'discard_draft', courseId }
+module.exports = async (req, res) => {
+  const origin = req.headers.origin || '*';
+  res.setHeader('Access-Control-Allow-Origin', origin);
+  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+  if (req.method === 'OPTIONS') return res.status(204).end();
+  if (req.method !== 'POST') return res.status(405).json({ error: 'Method not allowed' });
+
+  const user = await verifyAdmin(req, res, 'courses');
+  if (!user) return;
+
+  try {
+    const db = admin.firestore();
+    const { action, courseId, content: raw } = req.body || {};
+    const content = pickCourseContent(raw);
+
+    if (action === 'create') {
+      const id = normalizeCourseId(courseId);
+      if (!id) return res.status(400).json({ error: 'Invalid course id' });
+      if (!(await createCourse(db, { courseId: id, content }))) return res.status(409).json({ error: 'course_exists' });
+      await recordAudit(db, { action: 'course_create', actor: user, targetType: 'course', targetId: id, details: { title: content.title } });
+      return res.json({ ok: true, courseId: id });
+    }
+
+    const course = await getCourse(db, courseId);
+    if (!course) return res.status(404).json({ error: 'Unknown course' });
+
+    if (action === 'save_draft') {
+      await saveCourseDraft(db, { courseId: course.id, content, by: user.email });
+      await recordAudit(db, { action: 'course_draft_save', actor: user, targetType: 'course', targetId: course.id });
+      return res.json({ ok: true });
+    }
+    if (action === 'publish') {
+      if (!content.title || !content.priceINR) return res.status(400).json({ error: 'invalid_content' });
+      const { version, changes } = await publishCourse(db, { courseId: course.id, content, by: user.email });
+      await recordAudit(db, { action: 'course_publish', actor: user, targetType: 'course', targetId: course.id, details: { version, changes } });
+      return res.json({ ok: true, version });
+    }
+    if (action === 'discard_draft') {
+      await discardCourseDraft(db, course.id);
+      await recordAudit(db, { action: 'course_draft_discard', actor: user, targetType: 'course', targetId: course.id });
+      return res.json({ ok: true });
+    }
+    return res.status(400).json({ error: 'Unknown action' });
+  } catch (e) {
+    console.error('courses error', e);
+    return res.status(500).json({ error: 'server_error' });
+  }
+};
@@ -0,0 +1,147 @@
+const { admin } = require('../firebaseAdmin');
+const { LEGACY_COURSE_ID, getCourse, getCoursePriceINR } = require('../courses');
+const { createOrderRecord } = require('../orders');
+const { recordOrderCreated } = require('../salesStats');
+const { applyCoupon, reserveCoupon, releaseCoupon } = require('../coupons');
+const { getActiveAffiliate } = require('../affiliates');
+const { normalizeGstin, normalizeStateCode } = require('../invoices');
+
+// Ensure fetch exists in Node <18 (fallback to node-fetch)
+const fetchFn = (typeof fetch !== 'undefined')
+  ? fetch
+  : ((...args) => import('node-fetch').then(({ default: f }) => f(...args)));
+
+// POST /api/create-order
+// Body: { uid, email, phone, courseId, amountINR?, couponCode?, refCode?, name?, stateCode?, gstin? }
+// The charged amount always comes from Firestore `courses/{courseId}.priceINR`,
+// less any coupon discount. amountINR is only the price the buyer saw; if it
+// differs we reject with 409 price_mismatch so the page can refresh instead of
+// charging a surprise amount. An unusable coupon is rejected with 422 and its reason.
+// refCode (the `?ref=` affiliate code) is recorded on the order when it belongs to
+// an active affiliate other than the buyer; otherwise it is ignored.
+// name, stateCode (GST state code) and gstin go on the buyer's tax invoice.
+// Returns { orderId, paymentSessionId, amountINR, discountINR }
+module.exports = async (req, res) => {
+  const origin = req.headers.origin || '*';
+  res.setHeader('Access-Control-Allow-Origin', origin);
+  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+  if (req.method === 'OPTIONS') return res.status(204).end();
+  if (req.method !== 'POST') return res.status(405).json({ error: 'Method not allowed' });
+
+  try {
+    const { uid, email, amountINR, phone, couponCode, refCode, name, stateCode, gstin, courseId = LEGACY_COURSE_ID } = req.body || {};
+    if (!uid || !email) return res.status(400).json({ error: 'Missing fields' });
+    const phoneDigits = String(phone || '').replace(/\D/g, '');
+    if (!phoneDigits) return res.status(400).json({ error: 'Missing phone' });
+    if (gstin && !normalizeGstin(gstin)) return res.status(400).json({ error: 'invalid_gstin' });
+    const billing = {
+      name: String(name || '').trim().slice(0, 120),
+      stateCode: normalizeStateCode(stateCode) || null,
+      gstin: normalizeGstin(gstin) || null,
+    };
+
+    const db = admin.firestore();
+    const course = await getCourse(db, courseId);
+    if (!course || course.published === false) return res.status(404).json({ error: 'course_not_found' });
+    const listPrice = getCoursePriceINR(course);
+    if (!listPrice) {
+      console.error('Course has no price configured', course.id);
+      return res.status(500).json({ error: 'course_price_missing' });
+    }
+    let amt = listPrice;
+    let coupon = null;
+    if (couponCode) {
+      coupon = await applyCoupon(db, { code: couponCode, course, email, priceINR: listPrice });
+      if (!coupon.ok) return res.status(422).json({ error: coupon.reason });
+      amt = coupon.amountINR;
+    }
+    if (amountINR !== undefined && amountINR !== null && amountINR !== '') {
+      const quoted = Number(String(amountINR).replace(/[^0-9.]/g, ''));
+      if (!Number.isFinite(quoted) || Math.abs(quoted - amt) >= 0.01) {
+        return res.status(409).json({ error: 'price_mismatch', amountINR: amt });
+      }
+    }
+
+    const affiliate = refCode ? await getActiveAffiliate(db, refCode) : null;
+    const affiliateCode = affiliate && affiliate.email?.toLowerCase() !== String(email).toLowerCase() ? affiliate.code : null;
+
+    const appId = process.env.CASHFREE_APP_ID;
+    const secret = process.env.CASHFREE_SECRET;
+    const mode = process.env.CASHFREE_MODE || 'PROD'; // PROD or TEST
+    if (!appId || !secret) {
+      console.error('Missing Cashfree envs');
+      return res.status(500).json({ error: 'cashfree_env_missing' });
+    }
+
+    // Sanitize customer_id to allowed set: alphanumeric, underscore, hyphen
+    const customerId = String(uid || '').replace(/[^A-Za-z0-9_-]/g, '_').slice(0, 64);
+
+    // Cashfree order_id must be alphanumeric with limited symbols and length constraints.
+    // Avoid embedding email; generate a compact unique id instead.
+    const orderId = `order_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+
+    // Hold the coupon use now, so concurrent checkouts cannot all get the last one
+    let couponHold = null;
+    if (coupon) {
+      couponHold = await reserveCoupon(db, { code: coupon.coupon.code, orderId, email, courseId: course.id });
+      if (!couponHold.ok) return res.status(422).json({ error: couponHold.reason });
+    }
+
+    const base = mode === 'TEST' ? 'https://sandbox.cashfree.com' : 'https://api.cashfree.com';
+    const resp = await fetchFn(`${base}/pg/orders`, {
+      method: 'POST',
+      headers: {
+        'x-client-id': appId,
+        'x-client-secret': secret,
+        'x-api-version': '2022-09-01',
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({
+        order_id: orderId,
+        order_amount: amt,
+        order_currency: 'INR',
+        customer_details: {
+          customer_id: customerId,
+          customer_email: email,
+          customer_phone: phoneDigits,
+        },
+        // Read back by the webhook to know which course to grant
+        order_tags: { course_id: course.id },
+        order_meta: {
+          return_url: req.headers.origin ? `${req.headers.origin}/?order_id={order_id}` : undefined,
+          notify_url: process.env.CASHFREE_WEBHOOK_URL,
+        },
+        // A discounted order cannot be paid once its coupon hold has lapsed
+        order_expiry_time: couponHold ? new Date(couponHold.expiresAt).toISOString() : undefined,
+      })
+    });
+
+    const data = await resp.json().catch(() => ({}));
+    if (!resp.ok) {
+      if (couponHold) await releaseCoupon(db, { orderId, couponCode: coupon.coupon.code }).catch((e) => console.error('coupon release error', orderId, e));
+      return res.status(400).json({ error: 'Cashfree order create failed', detail: data });
+    }
+
+    // Record what was actually charged, independent of anything the client sent
+    await createOrderRecord(db, {
+      orderId,
+      courseId: course.id,
+      email,
+      phone: phoneDigits,
+      customerId,
+      amountINR: amt,
+      listPriceINR: listPrice,
+      couponCode: coupon?.coupon.code,
+      discountINR: coupon?.discountINR,
+      affiliateCode,
+      billing,
+    });
+    await recordOrderCreated(db).catch((e) => console.error('sales stats error', orderId, e));
+
+    return res.json({ orderId: data.order_id || orderId, paymentSessionId: data.payment_session_id, amountINR: amt, discountINR: coupon?.discountINR || 0 });
+  } catch (e) {
+    console.error('create-order error', e);
+    return res.status(500).json({ error: 'server_error' });
+  }
+};
@@ -0,0 +1,151 @@
+const crypto = require('crypto');
+const { admin } = require('../firebaseAdmin');
+const { getCourse, getCourseFile } = require('../courses');
+const {
+  getEntitlement,
+  entitlementStatus,
+  consumeDownload,
+  recordDownloadFile,
+  recordBytesServed,
+} = require('../entitlements');
+const { getMaxDownloads, verifyDownloadToken } = require('../downloadTokens');
+const { getRelease } = require('../releases');
+const { fileReadUrl, fileHead } = require('../storage');
+const { apiBaseUrl } = require('../http');
+const { resumeRequest, sendStoredFile } = require('../streaming');
+const { getPersonalizedFile } = require('../watermark');
+
+// Strong validator for If-Range: the file's SHA-256 when known, else the
+// storage ETag, else the file's location and size (paths are unique per upload).
+function etagFor(file, meta) {
+  if (file.checksum) return `"sha256-${file.checksum}"`;
+  if (meta.etag) return meta.etag.startsWith('"') ? meta.etag : `"${meta.etag}"`;
+  const where = crypto.createHash('sha256').update(String(file.blobPath || file.blobUrl)).digest('hex').slice(0, 16);
+  return `"${where}-${meta.size}"`;
+}
+
+const PREPARING_RETRY_SEC = 30;
+
+// The buyer's copy is still being made (see watermark). Browsers following the
+// link get a page that retries by itself; other clients get a 503 with Retry-After.
+function sendPreparing(req, res) {
+  res.setHeader('Retry-After', String(PREPARING_RETRY_SEC));
+  res.setHeader('Cache-Control', 'no-store');
+  if (!String(req.headers.accept || '').includes('text/html')) {
+    return res.status(503).json({ error: 'preparing_download', retryAfter: PREPARING_RETRY_SEC });
+  }
+  res.setHeader('Content-Type', 'text/html; charset=utf-8');
+  return res.status(503).send(
+    `<!doctype html><meta charset="utf-8"><meta http-equiv="refresh" content="${PREPARING_RETRY_SEC}">` +
+    '<title>Preparing your download</title>' +
+    '<p>Your personal copy of the course is being prepared. The download starts on its own in a moment; keep this page open.</p>',
+  );
+}
+
+// GET|HEAD /api/download?token=...[&version=n]
+// The token is a signed link minted by /api/order-status (after payment), the
+// receipt email, /api/library or /api/redeem-link (after email verification).
+// Every fetch of a link counts against the entitlement's download limit, except
+// a real resume of a download still in progress: a Range past byte 0 with an
+// If-Range matching the copy being served (see consumeDownload). Without
+// `version` the course's current release is served.
+// The file is streamed through the API with Range/ETag support, so storage
+// URLs stay private and broken downloads resume; bytes served are logged on the
+// download. DOWNLOAD_MODE=redirect sends a 302 to a short-lived signed storage
+// URL instead, e.g. where response size or duration limits make streaming
+// impractical; files without one (legacy public blobs) are still streamed.
+// Either way the buyer gets their own watermarked copy (see watermark); while a
+// large one is still being made, the request is answered with 503 and not counted.
+module.exports = async (req, res) => {
+  const origin = req.headers.origin || '*';
+  res.setHeader('Access-Control-Allow-Origin', origin);
+  res.setHeader('Access-Control-Allow-Methods', 'GET, HEAD, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Range, If-Range');
+  res.setHeader('Access-Control-Expose-Headers', 'Accept-Ranges, Content-Range, Content-Length, Content-Disposition, ETag');
+  if (req.method === 'OPTIONS') return res.status(204).end();
+  if (req.method !== 'GET' && req.method !== 'HEAD') return res.status(405).json({ error: 'Method not allowed' });
+
+  try {
+    const urlObj = new URL(req.url, `https://${req.headers.host}`);
+    const token = urlObj.searchParams.get('token');
+    if (!token) return res.status(400).json({ error: 'Missing token' });
+    const claims = verifyDownloadToken(token);
+    if (!claims.ok) return res.status(403).json({ error: claims.reason });
+
+    const db = admin.firestore();
+    const course = await getCourse(db, claims.courseId);
+    if (!course) return res.status(404).json({ error: 'Unknown course' });
+
+    const version = urlObj.searchParams.get('version');
+    let source;
+    if (version) {
+      source = await getRelease(db, course.id, version);
+      if (!source) return res.status(404).json({ error: 'Unknown version' });
+    } else {
+      const current = await getCourseFile(db, course);
+      // The release record carries the checksum used for the ETag
+      source = current?.currentVersion ? (await getRelease(db, course.id, current.currentVersion)) || current : current;
+    }
+    if (!source) return res.status(404).json({ error: 'No course uploaded yet' });
+    const release = source.version || source.currentVersion;
+    const filename = `${course.id}${release ? `-v${release}` : ''}.zip`;
+    const proxy = process.env.DOWNLOAD_MODE !== 'redirect';
+
+    // Checked before counting the download, so a missing file costs the buyer nothing
+    const sourceMeta = await fileHead(source);
+    if (!sourceMeta) return res.status(404).json({ error: 'Course file is missing' });
+    const personalize = (orderId) => getPersonalizedFile(db, { source, sourceMeta, course, version: release, email: claims.email, orderId });
+
+    // Download managers probe with HEAD before fetching; that is not a download.
+    // Nor is a request made while the buyer's copy is still being prepared.
+    const ent = await getEntitlement(db, claims.email, course.id);
+    const active = ent && entitlementStatus(ent) === 'active';
+    if (req.method === 'HEAD' && !active) return res.status(403).end();
+    if (req.method === 'HEAD' && !proxy) return res.status(200).end();
+    const copy = active ? await personalize(claims.orderId || ent.orderId) : null;
+    if (copy?.pending) return sendPreparing(req, res);
+    if (req.method === 'HEAD') return sendStoredFile(req, res, { file: copy.file, meta: copy.meta, etag: etagFor(copy.file, copy.meta), filename });
+
+    const downloadId = crypto.createHash('sha256').update(`${token}|${version || ''}`).digest('hex').slice(0, 40);
+    const use = await consumeDownload(db, {
+      email: claims.email,
+      courseId: course.id,
+      maxDownloads: getMaxDownloads(course),
+      version,
+      client: { ip: String(req.headers['x-forwarded-for'] || '').split(',')[0].trim(), userAgent: req.headers['user-agent'] },
+      downloadId,
+      resume: resumeRequest(req),
+    });
+    if (!use.ok) {
+      if (use.reason === 'no_entitlement') return res.status(403).json({ error: 'No entitlement for this email' });
+      // Refunded / disputed / expired purchases keep their record but lose access
+      if (use.reason === 'access_revoked') {
+        return res.status(403).json({ error: 'access_revoked', status: use.status, reason: use.entry?.reason || null });
+      }
+      return res.status(429).json({ error: use.reason, downloads: use.downloads });
+    }
+
+    // Only without a copy yet if access was granted in the meantime
+    const { file, meta, pending } = copy || (await personalize(claims.orderId || use.orderId));
+    if (pending) return sendPreparing(req, res);
+    const etag = etagFor(file, meta);
+    if (!use.resumed) await recordDownloadFile(db, { email: claims.email, downloadId, etag, size: meta.size });
+    const url = proxy ? '' : await fileReadUrl(file, { filename, baseUrl: apiBaseUrl(req) });
+    if (url) {
+      res.setHeader('Cache-Control', 'no-store');
+      res.writeHead(302, { Location: url });
+      return res.end();
+    }
+    await sendStoredFile(req, res, {
+      file,
+      meta,
+      etag,
+      filename,
+      onBeforeEnd: (bytes) => recordBytesServed(db, { email: claims.email, courseId: course.id, downloadId, bytes }),
+    });
+  } catch (e) {
+    console.error('download error', e);
+    if (res.headersSent) return res.destroy();
+    return res.status(500).json({ error: 'server_error' });
+  }
+};
@@ -0,0 +1,42 @@
+const { admin } = require('../firebaseAdmin');
+const { verifyAdmin } = require('../adminAuth');
+const { sendPendingDeliveries } = require('../emailDeliveries');
+const { SYSTEM_ACTORS, recordAudit } = require('../audit');
+
+// POST /api/email-retry
+// Sends queued email deliveries (e.g. release announcements) and gives failed,
+// retryable ones one more attempt each.
+// Called by a cron job with `Authorization: Bearer <CRON_SECRET>`, or by an admin.
+// Body: { max? }  Returns { ok, results: [{ deliveryId, status }] }
+module.exports = async (req, res) => {
+  const origin = req.headers.origin || '*';
+  res.setHeader('Access-Control-Allow-Origin', origin);
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+  if (req.method === 'OPTIONS') return res.status(204).end();
+  // Vercel cron jobs issue GET requests
+  if (req.method !== 'POST' && req.method !== 'GET') return res.status(405).json({ error: 'Method not allowed' });
+
+  const cronSecret = process.env.CRON_SECRET;
+  const isCron = cronSecret && req.headers.authorization === `Bearer ${cronSecret}`;
+  const user = isCron ? SYSTEM_ACTORS.cron : await verifyAdmin(req, res, 'emails');
+  if (!user) return;
+
+  try {
+    const max = Math.min(Math.max(Number(req.body?.max) || 20, 1), 100);
+    const db = admin.firestore();
+    const results = await sendPendingDeliveries(db, { max });
+    if (results.length) {
+      await recordAudit(db, {
+        action: 'email_retry',
+        actor: user,
+        targetType: 'email_delivery',
+        details: { deliveryIds: results.map((r) => r.deliveryId), sent: results.filter((r) => r.status === 'sent').length },
+      });
+    }
+    return res.json({ ok: true, results });
+  } catch (e) {
+    console.error('email-retry error', e);
+    return res.status(500).json({ error: 'server_error' });
+  }
+};
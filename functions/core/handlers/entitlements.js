@@ -0,0 +1,145 @@
+const { admin } = require('../firebaseAdmin');
+const { verifyAdmin } = require('../adminAuth');
+const { LEGACY_COURSE_ID, getCourse } = require('../courses');
+const {
+  normalizeEmail,
+  entitlementFor,
+  entitlementStatus,
+  grantEntitlement,
+  setEntitlementStatus,
+  setEntitlementExpiry,
+} = require('../entitlements');
+
+const GRANT_SOURCES = ['manual', 'bank_transfer', 'gift', 'support'];
+
+const millis = (ts) => (ts?.toMillis ? ts.toMillis() : ts || null);
+
+// Parses an expiry from the client (ISO string or epoch ms); null clears it.
+function parseExpiry(raw) {
+  if (raw === null || raw === undefined || raw === '') return null;
+  const date = new Date(raw);
+  if (Number.isNaN(date.getTime())) throw new Error('invalid_expiry');
+  return date;
+}
+
+async function describeBuyer(db, email) {
+  const ref = db.collection('entitlements_by_email').doc(email);
+  const [snap, orders, downloads] = await Promise.all([
+    ref.get(),
+    db.collection('orders').where('email', '==', email).get(),
+    ref.collection('downloads').orderBy('at', 'desc').limit(50).get(),
+  ]);
+  const data = snap.exists ? snap.data() : null;
+  const courseIds = new Set(Object.keys(data?.courses || {}));
+  // Legacy docs only carry a top-level flag
+  if (data?.granted) courseIds.add(LEGACY_COURSE_ID);
+  const entitlements = [...courseIds].map((courseId) => {
+    const entry = entitlementFor(data, courseId);
+    return {
+      courseId,
+      status: entitlementStatus(entry),
+      reason: entry.reason || null,
+      orderId: entry.orderId || null,
+      source: entry.source || null,
+      note: entry.note || null,
+      grantedBy: entry.grantedBy || null,
+      grantedAt: millis(entry.grantedAt),
+      expiresAt: millis(entry.expiresAt),
+      downloads: entry.downloads || 0,
+      lastDownloadAt: millis(entry.lastDownloadAt),
+      bytesServed: entry.bytesServed || 0,
+      legacy: !!entry.legacy,
+    };
+  });
+  return {
+    email,
+    entitlements,
+    orders: orders.docs
+      .map((d) => d.data())
+      .map((o) => ({
+        orderId: o.orderId,
+        courseId: o.courseId,
+        status: o.status,
+        amountINR: o.amountINR,
+        couponCode: o.couponCode || null,
+        invoiceNumber: o.invoiceNumber || null,
+        createdAt: millis(o.createdAt),
+      }))
+      .sort((a, b) => (b.createdAt || 0) - (a.createdAt || 0)),
+    downloads: downloads.docs.map((d) => ({ id: d.id, ...d.data(), at: millis(d.data().at), lastServedAt: millis(d.data().lastServedAt) })),
+  };
+}
+
+// /api/entitlements
+// Support console for buyer access. Every change is audited (see entitlements).
+//   GET  ?q=prefix                       → { matches: [email] }
+//   GET  ?email=...                      → { email, entitlements, orders, downloads }
+//   POST { action: 'grant', email, courseId, source, note?, expiresAt? }
+//   POST { action: 'revoke', email, courseId, reason? }
+//   POST { action: 'reinstate', email, courseId }
+//   POST { action: 'set_expiry', email, courseId, expiresAt }  (null removes the expiry)
+// POSTs return the updated buyer, like GET ?email.
+module.exports = async (req, res) => {
+  const origin = req.headers.origin || '*';
+  res.setHeader('Access-Control-Allow-Origin', origin);
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+  if (req.method === 'OPTIONS') return res.status(204).end();
+  if (req.method !== 'GET' && req.method !== 'POST') return res.status(405).json({ error: 'Method not allowed' });
+
+  const user = await verifyAdmin(req, res, 'access');
+  if (!user) return;
+
+  try {
+    const db = admin.firestore();
+    if (req.method === 'GET') {
+      const params = new URL(req.url, `https://${req.headers.host}`).searchParams;
+      if (params.get('email')) return res.json(await describeBuyer(db, normalizeEmail(params.get('email'))));
+      const q = normalizeEmail(params.get('q'));
+      if (q.length < 2) return res.status(400).json({ error: 'query_too_short' });
+      const snap = await db.collection('entitlements_by_email')
+        .where(admin.firestore.FieldPath.documentId(), '>=', q)
+        .where(admin.firestore.FieldPath.documentId(), '<', `${q}\uf8ff`)
+        .limit(20)
+        .get();
+      return res.json({ matches: snap.docs.map((d) => d.id) });
+    }
+
+    const { action, reason, note, source } = req.body || {};
+    const email = normalizeEmail(req.body?.email);
+    if (!/[^@\s]+@[^@\s]+\.[^@\s]+/.test(email)) return res.status(400).json({ error: 'invalid_email' });
+    const course = await getCourse(db, req.body?.courseId);
+    if (!course) return res.status(404).json({ error: 'Unknown course' });
+
+    if (action === 'grant') {
+      if (!GRANT_SOURCES.includes(source)) return res.status(400).json({ error: 'invalid_source' });
+      await grantEntitlement(db, {
+        email,
+        courseId: course.id,
+        actor: user,
+        source,
+        note: String(note || '').slice(0, 500) || null,
+        expiresAt: parseExpiry(req.body.expiresAt),
+      });
+    } else if (action === 'revoke' || action === 'reinstate') {
+      const changed = await setEntitlementStatus(db, {
+        email,
+        courseId: course.id,
+        status: action === 'revoke' ? 'revoked' : 'active',
+        reason: action === 'revoke' ? String(reason || 'support').slice(0, 200) : null,
+        actor: user,
+      });
+      if (!changed) return res.status(404).json({ error: 'no_entitlement' });
+    } else if (action === 'set_expiry') {
+      const changed = await setEntitlementExpiry(db, { email, courseId: course.id, expiresAt: parseExpiry(req.body.expiresAt), actor: user });
+      if (!changed) return res.status(404).json({ error: 'no_entitlement' });
+    } else {
+      return res.status(400).json({ error: 'Unknown action' });
+    }
+    return res.json(await describeBuyer(db, email));
+  } catch (e) {
+    if (e.message === 'invalid_expiry') return res.status(400).json({ error: e.message });
+    console.error('entitlements error', e);
+    return res.status(500).json({ error: 'server_error' });
+  }
+};
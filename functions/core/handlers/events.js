@@ -0,0 +1,45 @@
+const { admin } = require('../firebaseAdmin');
+const { recordEvents } = require('../funnel');
+const { clientIp, isAllowedOrigin } = require('../http');
+
+// POST /api/events
+// Public. Batched funnel events from the storefront (src/analytics.js).
+// Body: { sessionId, utm?, referrer?, events: [{ name, at, path, courseId?, props? }] }
+// Sent as text/plain by navigator.sendBeacon, so the body may arrive unparsed.
+// Only accepted from our own sites (see isAllowedOrigin) and rate limited per
+// client IP and session, so a script cannot flood the funnel with fake sessions.
+module.exports = async (req, res) => {
+  const origin = req.headers.origin || '*';
+  res.setHeader('Access-Control-Allow-Origin', origin);
+  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+  if (req.method === 'OPTIONS') return res.status(204).end();
+  if (req.method !== 'POST') return res.status(405).json({ error: 'Method not allowed' });
+  if (!isAllowedOrigin(req)) return res.status(403).json({ error: 'forbidden_origin' });
+
+  let body = req.body;
+  if (typeof body === 'string' || Buffer.isBuffer(body)) {
+    try {
+      body = JSON.parse(String(body));
+    } catch {
+      return res.status(400).json({ error: 'invalid_body' });
+    }
+  }
+  const sessionId = String(body?.sessionId || '');
+  if (!/^[A-Za-z0-9_-]{8,64}$/.test(sessionId)) return res.status(400).json({ error: 'invalid_session' });
+
+  try {
+    const result = await recordEvents(admin.firestore(), {
+      sessionId,
+      ip: clientIp(req),
+      utm: body.utm,
+      referrer: body.referrer,
+      events: body.events,
+    });
+    if (!result.ok) return res.status(429).json({ error: result.reason });
+    return res.json({ ok: true, stored: result.stored });
+  } catch (e) {
+    console.error('events error', e);
+    return res.status(500).json({ error: 'server_error' });
+  }
+};
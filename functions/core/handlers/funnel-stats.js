@@ -0,0 +1,38 @@
+const { admin } = require('../firebaseAdmin');
+const { verifyAdmin } = require('../adminAuth');
+const { dayKey, getSalesStats } = require('../salesStats');
+const { getFunnelStats } = require('../funnel');
+
+const DAY_RE = /^\d{4}-\d{2}-\d{2}$/;
+const MAX_RANGE_DAYS = 366;
+
+// GET /api/funnel-stats?from=YYYY-MM-DD&to=YYYY-MM-DD
+// Admin-only. Storefront funnel for sessions that started in the range (India
+// time, inclusive; default last 30 days), plus paid orders from sales_stats.
+// Returns { from, to, steps, totals, sources, ordersPaid }
+module.exports = async (req, res) => {
+  const origin = req.headers.origin || '*';
+  res.setHeader('Access-Control-Allow-Origin', origin);
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+  if (req.method === 'OPTIONS') return res.status(204).end();
+  if (req.method !== 'GET') return res.status(405).json({ error: 'Method not allowed' });
+
+  const user = await verifyAdmin(req, res, 'analytics');
+  if (!user) return;
+
+  try {
+    const params = new URL(req.url, `https://${req.headers.host}`).searchParams;
+    const to = params.get('to') || dayKey();
+    const from = params.get('from') || dayKey(new Date(Date.parse(`${to}T00:00:00Z`) - 29 * 24 * 60 * 60 * 1000));
+    if (!DAY_RE.test(from) || !DAY_RE.test(to) || from > to) return res.status(400).json({ error: 'invalid_range' });
+    if ((Date.parse(to) - Date.parse(from)) / (24 * 60 * 60 * 1000) >= MAX_RANGE_DAYS) return res.status(400).json({ error: 'range_too_long' });
+
+    const db = admin.firestore();
+    const [funnel, days] = await Promise.all([getFunnelStats(db, from, to), getSalesStats(db, from, to)]);
+    return res.json({ from, to, ...funnel, ordersPaid: days.reduce((s, d) => s + d.ordersPaid, 0) });
+  } catch (e) {
+    console.error('funnel-stats error', e);
+    return res.status(500).json({ error: 'server_error' });
+  }
+};
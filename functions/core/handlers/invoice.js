@@ -0,0 +1,52 @@
+const { admin } = require('../firebaseAdmin');
+const { verifyAdmin } = require('../adminAuth');
+const { getOrder } = require('../orders');
+const { normalizeEmail } = require('../entitlements');
+const { issueInvoice, getInvoicePdf } = require('../invoices');
+
+// Orders that were paid at some point keep their invoice
+const INVOICED_STATUSES = ['paid', 'disputed', 'refunded'];
+
+// /api/invoice
+// Streams the GST tax invoice PDF of a paid order, issuing it first if the
+// webhook could not.
+//   POST { orderId, email }   buyers (both must match the order)
+//   GET  ?orderId=...         admins, with a Bearer ID token
+module.exports = async (req, res) => {
+  const origin = req.headers.origin || '*';
+  res.setHeader('Access-Control-Allow-Origin', origin);
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+  if (req.method === 'OPTIONS') return res.status(204).end();
+  if (req.method !== 'GET' && req.method !== 'POST') return res.status(405).json({ error: 'Method not allowed' });
+
+  let orderId;
+  let email = null;
+  if (req.method === 'GET') {
+    const user = await verifyAdmin(req, res, 'orders');
+    if (!user) return;
+    orderId = new URL(req.url, `https://${req.headers.host}`).searchParams.get('orderId');
+  } else {
+    ({ orderId, email } = req.body || {});
+    if (!email) return res.status(400).json({ error: 'Missing fields' });
+  }
+  if (!orderId) return res.status(400).json({ error: 'Missing orderId' });
+
+  try {
+    const db = admin.firestore();
+    const order = await getOrder(db, String(orderId));
+    // Same response for unknown orders and wrong emails so order ids cannot be probed
+    if (!order || (email !== null && order.email !== normalizeEmail(email))) return res.status(404).json({ error: 'order_not_found' });
+    if (!INVOICED_STATUSES.includes(order.status)) return res.status(409).json({ error: 'order_not_paid', status: order.status });
+
+    const invoice = await issueInvoice(db, order);
+    const pdf = await getInvoicePdf(invoice);
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="invoice-${invoice.invoiceNumber.replace(/\//g, '-')}.pdf"`);
+    res.setHeader('Cache-Control', 'no-store');
+    return res.status(200).send(pdf);
+  } catch (e) {
+    console.error('invoice error', e);
+    return res.status(500).json({ error: 'server_error' });
+  }
+};
@@ -0,0 +1,65 @@
+const { admin } = require('../firebaseAdmin');
+const { verifyAdmin } = require('../adminAuth');
+const { readRawBody } = require('../http');
+const { recordAudit } = require('../audit');
+const { LICENSE_ID_RE, findLicenseIds, lookupLicenses } = require('../watermark');
+
+// Larger files would not fit in a serverless request anyway; a single PDF from
+// the archive carries the same marks
+const MAX_FILE_BYTES = 50 * 1024 * 1024;
+
+// POST /api/leak-check
+// Admin-only (access). Identifies the buyer a leaked copy was made for
+// (see watermark). The body is either
+//   the leaked file itself (a ZIP or PDF, sent as application/zip, application/pdf
+//   or application/octet-stream), or
+//   JSON { text } with anything containing a license id, e.g. the PDF footer
+// Returns { licenseIds: [{ licenseId, found, email?, orderId?, courseId, version, createdAt }] }
+module.exports = async (req, res) => {
+  const origin = req.headers.origin || '*';
+  res.setHeader('Access-Control-Allow-Origin', origin);
+  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+  if (req.method === 'OPTIONS') return res.status(204).end();
+  if (req.method !== 'POST') return res.status(405).json({ error: 'Method not allowed' });
+
+  const user = await verifyAdmin(req, res, 'access');
+  if (!user) return;
+
+  try {
+    if (Number(req.headers['content-length']) > MAX_FILE_BYTES) return res.status(413).json({ error: 'file_too_large' });
+    const raw = await readRawBody(req);
+    if (raw.length > MAX_FILE_BYTES) return res.status(413).json({ error: 'file_too_large' });
+
+    let ids;
+    if (String(req.headers['content-type'] || '').includes('application/json')) {
+      let text;
+      try {
+        text = JSON.parse(raw.toString('utf8'))?.text;
+      } catch {
+        return res.status(400).json({ error: 'invalid_json' });
+      }
+      ids = [...new Set(String(text || '').match(LICENSE_ID_RE) || [])];
+    } else {
+      ids = await findLicenseIds(raw);
+    }
+    if (!ids.length) return res.json({ licenseIds: [] });
+
+    const db = admin.firestore();
+    const licenseIds = await lookupLicenses(db, ids.slice(0, 20));
+    await recordAudit(db, {
+      action: 'leak_check',
+      actor: user,
+      targetType: 'license',
+      targetId: licenseIds.map((l) => l.licenseId).join(','),
+      details: { matches: licenseIds.filter((l) => l.found).map((l) => ({ licenseId: l.licenseId, email: l.email, orderId: l.orderId })) },
+    });
+    return res.json({ licenseIds });
+  } catch (e) {
+    console.error('leak-check error', e);
+    return res.status(500).json({ error: 'server_error' });
+  }
+};
+
+// The body is read raw: it may be a binary file
+module.exports.config = { api: { bodyParser: false } };
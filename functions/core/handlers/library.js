@@ -0,0 +1,47 @@
+const { admin } = require('../firebaseAdmin');
+const { getCourse } = require('../courses');
+const { getEntitlement, entitlementStatus } = require('../entitlements');
+const { signDownloadToken, downloadUrlFor } = require('../downloadTokens');
+const { apiBaseUrl } = require('../http');
+const { verifyBuyer, linkBuyerAccount, getLibrary } = require('../buyers');
+
+// POST /api/library
+// Signed-in buyers (Bearer Firebase ID token with a verified email).
+//   {}                                  links past purchases to the account and
+//                                       returns { email, courses, orders, linkedOrders }
+//   { action: 'download', courseId }    → { url, expiresAt } short-lived download link
+// Invoices are fetched from /api/invoice with the order id and the same email.
+module.exports = async (req, res) => {
+  const origin = req.headers.origin || '*';
+  res.setHeader('Access-Control-Allow-Origin', origin);
+  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+  if (req.method === 'OPTIONS') return res.status(204).end();
+  if (req.method !== 'POST') return res.status(405).json({ error: 'Method not allowed' });
+
+  const decoded = await verifyBuyer(req, res);
+  if (!decoded) return;
+
+  try {
+    const db = admin.firestore();
+    const { action, courseId } = req.body || {};
+
+    if (action === 'download') {
+      const course = await getCourse(db, courseId);
+      if (!course) return res.status(404).json({ error: 'Unknown course' });
+      const ent = await getEntitlement(db, decoded.email, course.id);
+      if (!ent) return res.status(403).json({ error: 'no_entitlement' });
+      const access = entitlementStatus(ent);
+      if (access !== 'active') return res.status(403).json({ error: 'access_revoked', access });
+      const { token, expiresAt } = signDownloadToken({ email: decoded.email.toLowerCase(), courseId: course.id, orderId: ent.orderId });
+      return res.json({ url: downloadUrlFor(apiBaseUrl(req), token), expiresAt });
+    }
+    if (action) return res.status(400).json({ error: 'Unknown action' });
+
+    const { email, linkedOrders } = await linkBuyerAccount(db, decoded);
+    return res.json({ ...(await getLibrary(db, email)), linkedOrders });
+  } catch (e) {
+    console.error('library error', e);
+    return res.status(500).json({ error: 'server_error' });
+  }
+};
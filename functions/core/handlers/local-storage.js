@@ -0,0 +1,44 @@
+const fs = require('fs');
+const nodePath = require('path');
+const { pipeline } = require('stream/promises');
+const { getStorage } = require('../storage');
+
+// GET|PUT /api/local-storage?token=...
+// Backs the `local` storage provider: serves and accepts files under signed
+// URLs minted by storage/local.js, the way a bucket would.
+module.exports = async (req, res) => {
+  const origin = req.headers.origin || '*';
+  res.setHeader('Access-Control-Allow-Origin', origin);
+  res.setHeader('Access-Control-Allow-Methods', 'GET, PUT, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+  if (req.method === 'OPTIONS') return res.status(204).end();
+  if (req.method !== 'GET' && req.method !== 'PUT') return res.status(405).json({ error: 'Method not allowed' });
+
+  try {
+    const local = getStorage('local');
+    const token = new URL(req.url, `https://${req.headers.host}`).searchParams.get('token');
+    const claims = local.verifyLocalToken(token);
+    if (!claims || claims.op !== req.method.toLowerCase()) return res.status(403).json({ error: 'invalid_token' });
+    const file = local.localFilePath(claims.p);
+
+    if (req.method === 'PUT') {
+      await fs.promises.mkdir(nodePath.dirname(file), { recursive: true });
+      // Firebase has already buffered the body
+      if (Buffer.isBuffer(req.rawBody)) await fs.promises.writeFile(file, req.rawBody);
+      else await pipeline(req, fs.createWriteStream(file));
+      return res.status(200).json({ ok: true });
+    }
+
+    const meta = await local.head(claims.p);
+    if (!meta) return res.status(404).json({ error: 'not_found' });
+    res.setHeader('Content-Type', meta.contentType);
+    res.setHeader('Content-Length', String(meta.size));
+    if (claims.fn) res.setHeader('Content-Disposition', `attachment; filename="${claims.fn}"`);
+    res.statusCode = 200;
+    await pipeline(fs.createReadStream(file), res);
+  } catch (e) {
+    console.error('local-storage error', e);
+    if (!res.headersSent) return res.status(500).json({ error: 'server_error' });
+    res.destroy(e);
+  }
+};
@@ -0,0 +1,63 @@
+const { admin } = require('../firebaseAdmin');
+const { getOrder } = require('../orders');
+const { getEntitlement, entitlementStatus, normalizeEmail } = require('../entitlements');
+
+// Ledger status → what the buyer sees on the return page
+const PHASES = {
+  created: 'pending',
+  paid: 'paid',
+  failed: 'failed',
+  user_dropped: 'failed',
+  refunded: 'refunded',
+  disputed: 'paid',
+};
+
+// GET|POST /api/order-status  (also served as /api/download-link, the endpoint it
+// replaced, for clients that still call that one)
+// Polled by the post-payment return page and the course page. Status only: the
+// order id travels in the return URL and neither value proves the caller owns
+// the mailbox, so downloads come from the emailed links (receipt,
+// /api/send-download-link) or the signed-in /api/library.
+// Body or query: { orderId, email }  (both must match the order). GET mirrors
+// the old GET /payments/order-status; the storefront POSTs so the email stays
+// out of URLs and logs.
+// Returns { orderId, courseId, status, phase, access, invoiceNumber }
+//   phase:  pending | paid | failed | refunded
+//   access: pending | active | suspended | revoked
+module.exports = async (req, res) => {
+  const origin = req.headers.origin || '*';
+  res.setHeader('Access-Control-Allow-Origin', origin);
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+  res.setHeader('Cache-Control', 'no-store');
+  if (req.method === 'OPTIONS') return res.status(204).end();
+  if (req.method !== 'POST' && req.method !== 'GET') return res.status(405).json({ error: 'Method not allowed' });
+
+  try {
+    const { orderId, email } = (req.method === 'GET' ? req.query : req.body) || {};
+    if (!orderId || !email) return res.status(400).json({ error: 'Missing fields' });
+    const db = admin.firestore();
+    const order = await getOrder(db, String(orderId));
+    // Same response for unknown orders and wrong emails so order ids cannot be probed
+    if (!order || order.email !== normalizeEmail(email)) return res.status(404).json({ error: 'order_not_found' });
+
+    const body = {
+      orderId: order.orderId,
+      courseId: order.courseId,
+      status: order.status,
+      phase: PHASES[order.status] || 'pending',
+      access: 'pending',
+      invoiceNumber: order.invoiceNumber || null,
+    };
+    if (order.status !== 'paid' && order.status !== 'disputed') return res.json(body);
+
+    // The webhook grants access right after marking the order paid; until then access stays pending
+    const ent = await getEntitlement(db, order.email, order.courseId);
+    if (!ent) return res.json(body);
+    body.access = entitlementStatus(ent);
+    return res.json(body);
+  } catch (e) {
+    console.error('order-status error', e);
+    return res.status(500).json({ error: 'server_error' });
+  }
+};
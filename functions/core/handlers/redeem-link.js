@@ -0,0 +1,35 @@
+const { admin } = require('../firebaseAdmin');
+const { redeemMagicLink } = require('../magicLinks');
+const { signDownloadToken, downloadUrlFor } = require('../downloadTokens');
+const { apiBaseUrl } = require('../http');
+
+const MESSAGES = {
+  invalid_link: 'This download link is not valid.',
+  used_link: 'This download link was already used. Request a new one from the course page.',
+  expired_link: 'This download link has expired. Request a new one from the course page.',
+};
+
+// GET /api/redeem-link?token=...
+// Target of the emailed magic link. Burns the one-time link and redirects to a
+// freshly signed /api/download URL. Buyers open this in a browser, so errors
+// are plain text rather than JSON.
+module.exports = async (req, res) => {
+  if (req.method !== 'GET') return res.status(405).json({ error: 'Method not allowed' });
+
+  try {
+    const urlObj = new URL(req.url, `https://${req.headers.host}`);
+    const result = await redeemMagicLink(admin.firestore(), urlObj.searchParams.get('token'));
+    if (!result.ok) {
+      res.setHeader('Content-Type', 'text/plain; charset=utf-8');
+      return res.status(410).send(MESSAGES[result.reason]);
+    }
+
+    const { token } = signDownloadToken({ email: result.email, courseId: result.courseId });
+    res.setHeader('Cache-Control', 'no-store');
+    res.writeHead(302, { Location: downloadUrlFor(apiBaseUrl(req), token) });
+    return res.end();
+  } catch (e) {
+    console.error('redeem-link error', e);
+    return res.status(500).json({ error: 'server_error' });
+  }
+};
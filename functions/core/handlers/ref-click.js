@@ -0,0 +1,35 @@
+const { admin } = require('../firebaseAdmin');
+const { recordAffiliateClick } = require('../affiliates');
+const { takeClientCall } = require('../funnel');
+const { clientIp, isAllowedOrigin } = require('../http');
+
+// A browser sends one click per session; a few tabs at once are fine.
+const MAX_CLICKS_PER_IP_PER_MINUTE = 10;
+
+// POST /api/ref-click
+// Public. Counts a visit that arrived through an affiliate link (`?ref=CODE`).
+// The landing page sends it once per browser session. Like /api/events it is
+// only accepted from our own sites and rate limited per client IP, so a script
+// cannot inflate an affiliate's clicks.
+// Body: { code }  Returns { ok, known }
+module.exports = async (req, res) => {
+  const origin = req.headers.origin || '*';
+  res.setHeader('Access-Control-Allow-Origin', origin);
+  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+  if (req.method === 'OPTIONS') return res.status(204).end();
+  if (req.method !== 'POST') return res.status(405).json({ error: 'Method not allowed' });
+  if (!isAllowedOrigin(req)) return res.status(403).json({ error: 'forbidden_origin' });
+
+  try {
+    const db = admin.firestore();
+    if (!(await takeClientCall(db, clientIp(req), 'refClicks', MAX_CLICKS_PER_IP_PER_MINUTE))) {
+      return res.status(429).json({ error: 'rate_limited' });
+    }
+    const known = await recordAffiliateClick(db, req.body?.code);
+    return res.json({ ok: true, known });
+  } catch (e) {
+    console.error('ref-click error', e);
+    return res.status(500).json({ error: 'server_error' });
+  }
+};
@@ -0,0 +1,63 @@
+const { admin } = require('../firebaseAdmin');
+const { verifyAdmin } = require('../adminAuth');
+const { getOrder } = require('../orders');
+const { createCashfreeRefund } = require('../cashfree');
+const { recordAudit } = require('../audit');
+
+// POST /api/refund
+// Admin-only. Asks Cashfree to refund a paid order. The order status and the
+// buyer's entitlement change only when REFUND_STATUS_WEBHOOK confirms it.
+// Body: { orderId, amountINR?, note? }  (amountINR defaults to the full amount)
+module.exports = async (req, res) => {
+  const origin = req.headers.origin || '*';
+  res.setHeader('Access-Control-Allow-Origin', origin);
+  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+  if (req.method === 'OPTIONS') return res.status(204).end();
+  if (req.method !== 'POST') return res.status(405).json({ error: 'Method not allowed' });
+
+  const user = await verifyAdmin(req, res, 'refunds');
+  if (!user) return;
+
+  try {
+    const { orderId, amountINR, note } = req.body || {};
+    if (!orderId) return res.status(400).json({ error: 'Missing orderId' });
+    const db = admin.firestore();
+    const order = await getOrder(db, String(orderId));
+    if (!order) return res.status(404).json({ error: 'Unknown order' });
+    if (!['paid', 'disputed'].includes(order.status)) return res.status(409).json({ error: 'order_not_refundable', status: order.status });
+
+    const amount = amountINR === undefined || amountINR === '' ? Number(order.amountINR) : Number(amountINR);
+    if (!Number.isFinite(amount) || amount <= 0 || amount > Number(order.amountINR)) {
+      return res.status(400).json({ error: 'invalid_amount' });
+    }
+
+    const refundId = `refund_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+    const { ok, data } = await createCashfreeRefund(order.orderId, {
+      refundId,
+      amountINR: amount,
+      note: note || `Refund by ${user.email}`,
+    });
+    if (!ok) {
+      console.error('Cashfree refund error', data);
+      return res.status(400).json({ error: 'refund_failed', detail: data?.message || data });
+    }
+
+    await db.collection('orders').doc(order.orderId).set({
+      refundRequests: admin.firestore.FieldValue.arrayUnion({
+        refundId,
+        amountINR: amount,
+        requestedBy: user.email,
+        requestedAt: new Date().toISOString(),
+        cfRefundId: data.cf_refund_id || null,
+      }),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    }, { merge: true });
+    await recordAudit(db, { action: 'refund_request', actor: user, targetType: 'order', targetId: order.orderId, details: { refundId, amountINR: amount, email: order.email } });
+
+    return res.json({ ok: true, refundId, refundStatus: data.refund_status || 'PENDING' });
+  } catch (e) {
+    console.error('refund error', e);
+    return res.status(500).json({ error: 'server_error' });
+  }
+};
@@ -0,0 +1,80 @@
+const { admin } = require('../firebaseAdmin');
+const { verifyAdmin } = require('../adminAuth');
+const { dayKey, getSalesStats } = require('../salesStats');
+
+const DAY_RE = /^\d{4}-\d{2}-\d{2}$/;
+const MAX_RANGE_DAYS = 366;
+
+function round2(n) {
+  return Math.round(n * 100) / 100;
+}
+
+// Sums a per-day map field (coupons, affiliates, courses) over the range,
+// largest revenue first.
+function rollUp(days, field) {
+  const totals = {};
+  days.forEach((d) => Object.entries(d[field]).forEach(([code, stats]) => {
+    totals[code] = totals[code] || { code };
+    Object.entries(stats).forEach(([k, v]) => { totals[code][k] = round2((totals[code][k] || 0) + (Number(v) || 0)); });
+  }));
+  return Object.values(totals).sort((a, b) => (b.revenueINR || 0) - (a.revenueINR || 0));
+}
+
+// /api/sales-stats
+// Admin-only, read from the pre-aggregated sales_stats counters.
+//   GET ?from=YYYY-MM-DD&to=YYYY-MM-DD  (India time, inclusive; default last 30 days)
+//     → { from, to, days, totals, courses, coupons, referrers }
+// Counters are recomputed from the orders ledger only by functions/rebuild-sales-stats.js.
+module.exports = async (req, res) => {
+  const origin = req.headers.origin || '*';
+  res.setHeader('Access-Control-Allow-Origin', origin);
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+  if (req.method === 'OPTIONS') return res.status(204).end();
+  if (req.method !== 'GET') return res.status(405).json({ error: 'Method not allowed' });
+
+  const user = await verifyAdmin(req, res, 'analytics');
+  if (!user) return;
+
+  try {
+    const db = admin.firestore();
+    const params = new URL(req.url, `https://${req.headers.host}`).searchParams;
+    const to = params.get('to') || dayKey();
+    const from = params.get('from') || dayKey(new Date(Date.parse(`${to}T00:00:00Z`) - 29 * 24 * 60 * 60 * 1000));
+    if (!DAY_RE.test(from) || !DAY_RE.test(to) || from > to) return res.status(400).json({ error: 'invalid_range' });
+    if ((Date.parse(to) - Date.parse(from)) / (24 * 60 * 60 * 1000) >= MAX_RANGE_DAYS) return res.status(400).json({ error: 'range_too_long' });
+
+    const days = await getSalesStats(db, from, to);
+    const sum = (k) => days.reduce((s, d) => s + d[k], 0);
+    const ordersCreated = sum('ordersCreated');
+    const ordersPaid = sum('ordersPaid');
+    const revenueINR = round2(sum('revenueINR'));
+    const refundedINR = round2(sum('refundedINR'));
+    const refunds = sum('refunds');
+    const totals = {
+      ordersCreated,
+      ordersPaid,
+      revenueINR,
+      discountINR: round2(sum('discountINR')),
+      refunds,
+      refundedINR,
+      netRevenueINR: round2(revenueINR - refundedINR),
+      conversionRate: ordersCreated ? ordersPaid / ordersCreated : null,
+      averageOrderINR: ordersPaid ? round2(revenueINR / ordersPaid) : null,
+      refundRate: ordersPaid ? refunds / ordersPaid : null,
+    };
+
+    return res.json({
+      from,
+      to,
+      days: days.map(({ courses, coupons, affiliates, ...d }) => d),
+      totals,
+      courses: rollUp(days, 'courses'),
+      coupons: rollUp(days, 'coupons'),
+      referrers: rollUp(days, 'affiliates').slice(0, 10),
+    });
+  } catch (e) {
+    console.error('sales-stats error', e);
+    return res.status(500).json({ error: 'server_error' });
+  }
+};
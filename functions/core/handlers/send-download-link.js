@@ -0,0 +1,51 @@
+const { admin } = require('../firebaseAdmin');
+const { getCourse } = require('../courses');
+const { getEntitlement, entitlementStatus, normalizeEmail } = require('../entitlements');
+const { createMagicLink } = require('../magicLinks');
+const { deliverEmail } = require('../emailDeliveries');
+const { apiBaseUrl } = require('../http');
+
+// POST /api/send-download-link
+// Emails a one-time magic link to an entitled buyer. Opening the link
+// (/api/redeem-link) starts the download, which proves they own the address.
+// Body: { email, courseId }
+// Always answers { ok: true } so the endpoint cannot be used to find out who bought what.
+module.exports = async (req, res) => {
+  const origin = req.headers.origin || '*';
+  res.setHeader('Access-Control-Allow-Origin', origin);
+  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+  if (req.method === 'OPTIONS') return res.status(204).end();
+  if (req.method !== 'POST') return res.status(405).json({ error: 'Method not allowed' });
+
+  try {
+    const email = normalizeEmail(req.body?.email);
+    if (!/[^@\s]+@[^@\s]+\.[^@\s]+/.test(email)) return res.status(400).json({ error: 'invalid_email' });
+    const db = admin.firestore();
+    const course = await getCourse(db, req.body?.courseId);
+    if (!course) return res.status(404).json({ error: 'course_not_found' });
+
+    const ent = await getEntitlement(db, email, course.id);
+    if (!ent || entitlementStatus(ent) !== 'active') return res.json({ ok: true });
+
+    const token = await createMagicLink(db, { email, courseId: course.id });
+    if (!token) return res.json({ ok: true });
+
+    await deliverEmail(db, {
+      to: email,
+      template: 'download_link',
+      vars: {
+        courseTitle: course.title || course.id,
+        downloadUrl: `${apiBaseUrl(req)}/api/redeem-link?token=${encodeURIComponent(token)}`,
+        linkValidity: '30 minutes',
+      },
+      // The one-time link must not sit in the delivery log
+      secretVars: ['downloadUrl'],
+    });
+
+    return res.json({ ok: true });
+  } catch (e) {
+    console.error('send-download-link error', e);
+    return res.status(500).json({ error: 'server_error' });
+  }
+};
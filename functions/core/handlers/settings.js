@@ -0,0 +1,41 @@
+const { admin } = require('../firebaseAdmin');
+const { verifyAdmin } = require('../adminAuth');
+const { recordAudit } = require('../audit');
+
+// POST /api/settings
+// Owner-only. Updates `settings/global`, which clients can read but not write.
+// Body: { paymentLink }  (empty string clears it)
+module.exports = async (req, res) => {
+  const origin = req.headers.origin || '*';
+  res.setHeader('Access-Control-Allow-Origin', origin);
+  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+  if (req.method === 'OPTIONS') return res.status(204).end();
+  if (req.method !== 'POST') return res.status(405).json({ error: 'Method not allowed' });
+
+  const user = await verifyAdmin(req, res, 'settings');
+  if (!user) return;
+
+  try {
+    const paymentLink = String(req.body?.paymentLink || '').trim();
+    if (paymentLink && !/^https:\/\/\S+$/.test(paymentLink)) return res.status(400).json({ error: 'invalid_payment_link' });
+
+    const db = admin.firestore();
+    const ref = db.collection('settings').doc('global');
+    const before = await ref.get();
+    const previous = before.exists ? before.data().paymentLink || '' : '';
+    if (previous === paymentLink) return res.json({ ok: true, changed: false });
+
+    // Anyone can read this doc, so who made the change is kept in the audit log only
+    await ref.set({
+      paymentLink,
+      updatedBy: admin.firestore.FieldValue.delete(),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    }, { merge: true });
+    await recordAudit(db, { action: 'settings_update', actor: user, targetType: 'settings', targetId: 'global', details: { paymentLink: { from: previous, to: paymentLink } } });
+    return res.json({ ok: true, changed: true });
+  } catch (e) {
+    console.error('settings error', e);
+    return res.status(500).json({ error: 'server_error' });
+  }
+};
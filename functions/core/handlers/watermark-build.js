@@ -0,0 +1,43 @@
+const { admin } = require('../firebaseAdmin');
+const { verifyAdmin } = require('../adminAuth');
+const { buildPendingCopies } = require('../watermark');
+const { SYSTEM_ACTORS, recordAudit } = require('../audit');
+
+// POST /api/watermark-build
+// Makes queued per-buyer course copies (see watermark) too large to make
+// during a download, and retries builds that were cut off.
+// Called by a cron job with `Authorization: Bearer <CRON_SECRET>`, or by an admin.
+// Body: { max? }  Returns { ok, results: [{ licenseId, status }] }
+module.exports = async (req, res) => {
+  const origin = req.headers.origin || '*';
+  res.setHeader('Access-Control-Allow-Origin', origin);
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+  if (req.method === 'OPTIONS') return res.status(204).end();
+  // Vercel cron jobs issue GET requests
+  if (req.method !== 'POST' && req.method !== 'GET') return res.status(405).json({ error: 'Method not allowed' });
+
+  const cronSecret = process.env.CRON_SECRET;
+  const isCron = cronSecret && req.headers.authorization === `Bearer ${cronSecret}`;
+  const user = isCron ? SYSTEM_ACTORS.cron : await verifyAdmin(req, res, 'courses');
+  if (!user) return;
+
+  try {
+    // Each build holds a whole course ZIP in memory, so keep runs small
+    const max = Math.min(Math.max(Number(req.body?.max) || 2, 1), 10);
+    const db = admin.firestore();
+    const results = await buildPendingCopies(db, { max });
+    if (results.length) {
+      await recordAudit(db, {
+        action: 'watermark_build',
+        actor: user,
+        targetType: 'watermark',
+        details: { licenseIds: results.map((r) => r.licenseId), ready: results.filter((r) => r.status === 'ready').length },
+      });
+    }
+    return res.json({ ok: true, results });
+  } catch (e) {
+    console.error('watermark-build error', e);
+    return res.status(500).json({ error: 'server_error' });
+  }
+};
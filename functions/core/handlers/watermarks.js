@@ -0,0 +1,35 @@
+const { admin } = require('../firebaseAdmin');
+const { verifyAdmin } = require('../adminAuth');
+const { listFailedCopies, requeueCopy } = require('../watermark');
+const { recordAudit } = require('../audit');
+
+// /api/watermarks
+// Admin-only. Per-buyer copies (see watermark) that could not be made; their
+// buyers are asked to retry until the copy exists.
+//   GET                                → { failed: [{ licenseId, email, courseId, version, attempts, lastError, ... }] }
+//   POST { action: 'rebuild', licenseId } queues the copy to be made again
+module.exports = async (req, res) => {
+  const origin = req.headers.origin || '*';
+  res.setHeader('Access-Control-Allow-Origin', origin);
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+  if (req.method === 'OPTIONS') return res.status(204).end();
+  if (req.method !== 'GET' && req.method !== 'POST') return res.status(405).json({ error: 'Method not allowed' });
+
+  const user = await verifyAdmin(req, res, 'courses');
+  if (!user) return;
+
+  try {
+    const db = admin.firestore();
+    if (req.method === 'GET') return res.json({ failed: await listFailedCopies(db) });
+
+    const { action, licenseId } = req.body || {};
+    if (action !== 'rebuild') return res.status(400).json({ error: 'Unknown action' });
+    if (!(await requeueCopy(db, licenseId))) return res.status(404).json({ error: 'No failed copy with this license id' });
+    await recordAudit(db, { action: 'watermark_rebuild', actor: user, targetType: 'watermark', targetId: licenseId });
+    return res.json({ ok: true });
+  } catch (e) {
+    console.error('watermarks error', e);
+    return res.status(500).json({ error: 'server_error' });
+  }
+};
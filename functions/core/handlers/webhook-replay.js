@@ -0,0 +1,50 @@
+const { admin } = require('../firebaseAdmin');
+const { verifyAdmin } = require('../adminAuth');
+const { apiBaseUrl } = require('../http');
+const { processCashfreeEvent } = require('../paymentEvents');
+const { finishWebhookEvent, failWebhookEvent } = require('../webhookEvents');
+const { recordAudit } = require('../audit');
+
+// POST /api/webhook-replay
+// Admin-only. Re-runs a stored webhook_events payload through the same
+// processing as a live delivery, bypassing the duplicate check.
+// Body: { eventId }  Returns { ok, status, result }
+module.exports = async (req, res) => {
+  const origin = req.headers.origin || '*';
+  res.setHeader('Access-Control-Allow-Origin', origin);
+  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+  if (req.method === 'OPTIONS') return res.status(204).end();
+  if (req.method !== 'POST') return res.status(405).json({ error: 'Method not allowed' });
+
+  const user = await verifyAdmin(req, res, 'webhooks');
+  if (!user) return;
+
+  try {
+    const { eventId } = req.body || {};
+    if (!eventId) return res.status(400).json({ error: 'Missing eventId' });
+    const db = admin.firestore();
+    const ref = db.collection('webhook_events').doc(String(eventId));
+    const snap = await ref.get();
+    if (!snap.exists) return res.status(404).json({ error: 'Unknown event' });
+
+    await ref.set({
+      replays: admin.firestore.FieldValue.increment(1),
+      lastReplayAt: admin.firestore.FieldValue.serverTimestamp(),
+      lastReplayBy: user.email,
+    }, { merge: true });
+    await recordAudit(db, { action: 'webhook_replay', actor: user, targetType: 'webhook_event', targetId: ref.id, details: { orderId: snap.data().orderId || null } });
+
+    try {
+      const result = await processCashfreeEvent(db, snap.data().payload, { baseUrl: apiBaseUrl(req) });
+      await finishWebhookEvent(db, ref.id, result);
+      return res.json({ ok: true, status: result.status, result: result.body });
+    } catch (e) {
+      await failWebhookEvent(db, ref.id, e);
+      return res.status(500).json({ error: 'replay_failed', detail: e?.message || String(e) });
+    }
+  } catch (e) {
+    console.error('webhook-replay error', e);
+    return res.status(500).json({ error: 'server_error' });
+  }
+};
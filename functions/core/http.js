@@ -0,0 +1,47 @@
+// Reads the unparsed request body. Firebase Functions (and the local server)
+// keep it in `req.rawBody`; Vercel only parses `req.body` when it is accessed,
+// so the stream is still intact there. Webhook signatures must be computed over
+// these exact bytes, not over re-serialized JSON.
+async function readRawBody(req) {
+  if (Buffer.isBuffer(req.rawBody)) return req.rawBody;
+  const chunks = [];
+  for await (const chunk of req) chunks.push(typeof chunk === 'string' ? Buffer.from(chunk) : chunk);
+  return Buffer.concat(chunks);
+}
+
+// Public origin of this API, used to build links that leave the request
+// (emails, redirects). On a deployment (VERCEL or K_SERVICE set) it must come
+// from PUBLIC_API_URL: links carry download tokens, so their host is never
+// taken from request headers, which a client can forge. Without it this throws.
+// Local development falls back to the request's Host.
+// On Firebase the function is named `api`, so `${base}/api/...` paths line up.
+function apiBaseUrl(req) {
+  if (process.env.PUBLIC_API_URL) return process.env.PUBLIC_API_URL.replace(/\/$/, '');
+  if (process.env.VERCEL || process.env.K_SERVICE) throw new Error('PUBLIC_API_URL is not configured');
+  if (req?.headers?.host) return `${req.headers['x-forwarded-proto'] || 'https'}://${req.headers.host}`;
+  return '';
+}
+
+// Public origin of the storefront, for links to course pages. PUBLIC_SITE_URL
+// wins; otherwise the Origin of the browser request that triggered the link.
+function siteBaseUrl(req) {
+  if (process.env.PUBLIC_SITE_URL) return process.env.PUBLIC_SITE_URL.replace(/\/$/, '');
+  return req?.headers?.origin || '';
+}
+
+// Address of the client that sent the request, as reported by the platform's proxy.
+function clientIp(req) {
+  return String(req?.headers?.['x-forwarded-for'] || '').split(',')[0].trim() || req?.socket?.remoteAddress || '';
+}
+
+// Whether a browser request comes from one of our own sites: PUBLIC_SITE_URL
+// plus the comma-separated ALLOWED_ORIGINS. With neither set (local dev) every
+// origin is accepted.
+function isAllowedOrigin(req) {
+  const allowed = [process.env.PUBLIC_SITE_URL, ...String(process.env.ALLOWED_ORIGINS || '').split(',')]
+    .map((o) => String(o || '').trim().replace(/\/$/, ''))
+    .filter(Boolean);
+  return !allowed.length || allowed.includes(req?.headers?.origin || '');
+}
+
+module.exports = { readRawBody, apiBaseUrl, siteBaseUrl, clientIp, isAllowedOrigin };
@@ -0,0 +1,236 @@
+const PDFDocument = require('pdfkit');
+const { admin } = require('./firebaseAdmin');
+const { getCourse } = require('./courses');
+const { configuredProvider, getStorage } = require('./storage');
+
+// GST tax invoices, one per paid order, in Firestore `invoices/{orderId}`:
+//   { invoiceNumber, orderId, fy, seq, issuedAt, seller, buyer, line, supply,
+//     taxableINR, cgstINR, sgstINR, igstINR, taxINR, totalINR, storageProvider, blobPath }
+// (invoices stored before storage providers have a Vercel `blobUrl` instead)
+// Numbers are sequential per Indian financial year (April–March) and come from
+// `counters/invoices_{fy}`, e.g. LE/2627/00001. Course prices include GST, so the
+// tax is worked back out of the amount paid.
+// Configuration: SELLER_GSTIN (required), SELLER_NAME, SELLER_ADDRESS, GST_RATE
+// (default 18), INVOICE_SAC (default 999293) and INVOICE_PREFIX (default LE).
+// The stored invoice is the legal record; the PDF in Blob storage is rendered
+// from it and only ever served through /api/invoice.
+
+const GST_STATES = {
+  '01': 'Jammu and Kashmir', '02': 'Himachal Pradesh', '03': 'Punjab', '04': 'Chandigarh',
+  '05': 'Uttarakhand', '06': 'Haryana', '07': 'Delhi', '08': 'Rajasthan', '09': 'Uttar Pradesh',
+  '10': 'Bihar', '11': 'Sikkim', '12': 'Arunachal Pradesh', '13': 'Nagaland', '14': 'Manipur',
+  '15': 'Mizoram', '16': 'Tripura', '17': 'Meghalaya', '18': 'Assam', '19': 'West Bengal',
+  '20': 'Jharkhand', '21': 'Odisha', '22': 'Chhattisgarh', '23': 'Madhya Pradesh', '24': 'Gujarat',
+  '26': 'Dadra and Nagar Haveli and Daman and Diu', '27': 'Maharashtra', '29': 'Karnataka', '30': 'Goa',
+  '31': 'Lakshadweep', '32': 'Kerala', '33': 'Tamil Nadu', '34': 'Puducherry',
+  '35': 'Andaman and Nicobar Islands', '36': 'Telangana', '37': 'Andhra Pradesh', '38': 'Ladakh',
+  '97': 'Other Territory',
+};
+
+const GSTIN_RE = /^[0-9]{2}[A-Z]{5}[0-9]{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/;
+
+function normalizeGstin(raw) {
+  const gstin = String(raw || '').trim().toUpperCase();
+  return GSTIN_RE.test(gstin) && GST_STATES[gstin.slice(0, 2)] ? gstin : '';
+}
+
+function normalizeStateCode(raw) {
+  const code = String(raw || '').trim().padStart(2, '0');
+  return GST_STATES[code] ? code : '';
+}
+
+// Seller details come from the environment so they never drift from the GST registration.
+function getSeller() {
+  const gstin = normalizeGstin(process.env.SELLER_GSTIN);
+  if (!gstin) throw new Error('SELLER_GSTIN is not configured');
+  const stateCode = gstin.slice(0, 2);
+  return {
+    name: process.env.SELLER_NAME || 'Aumorphic',
+    address: process.env.SELLER_ADDRESS || '',
+    gstin,
+    stateCode,
+    stateName: GST_STATES[stateCode],
+  };
+}
+
+function getGstRate() {
+  const n = Number(process.env.GST_RATE);
+  return Number.isFinite(n) && n >= 0 ? n : 18;
+}
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+// Splits a GST-inclusive amount. Intra-state supplies pay CGST + SGST, inter-state IGST.
+function computeGst(totalINR, { sellerStateCode, buyerStateCode, ratePercent = getGstRate() }) {
+  const taxableINR = round2(totalINR / (1 + ratePercent / 100));
+  const taxINR = round2(totalINR - taxableINR);
+  const intraState = !buyerStateCode || buyerStateCode === sellerStateCode;
+  if (intraState) {
+    const cgstINR = round2(taxINR / 2);
+    return { supply: 'intra', ratePercent, taxableINR, cgstINR, sgstINR: round2(taxINR - cgstINR), igstINR: 0, taxINR, totalINR };
+  }
+  return { supply: 'inter', ratePercent, taxableINR, cgstINR: 0, sgstINR: 0, igstINR: taxINR, taxINR, totalINR };
+}
+
+// Indian financial year of a date, e.g. '2627' for 2026-04-01 … 2027-03-31 (IST).
+function financialYear(date = new Date()) {
+  const ist = new Date(date.getTime() + 5.5 * 60 * 60 * 1000);
+  const start = ist.getUTCMonth() >= 3 ? ist.getUTCFullYear() : ist.getUTCFullYear() - 1;
+  return `${String(start).slice(2)}${String(start + 1).slice(2)}`;
+}
+
+function formatINR(n) {
+  return `Rs. ${Number(n || 0).toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+}
+
+// Renders an invoice doc to a PDF buffer.
+function renderInvoicePdf(invoice) {
+  return new Promise((resolve, reject) => {
+    const pdf = new PDFDocument({ size: 'A4', margin: 50 });
+    const chunks = [];
+    pdf.on('data', (c) => chunks.push(c));
+    pdf.on('end', () => resolve(Buffer.concat(chunks)));
+    pdf.on('error', reject);
+
+    const { seller, buyer, line } = invoice;
+    const issued = new Date(invoice.issuedAtMs).toLocaleDateString('en-IN', { timeZone: 'Asia/Kolkata' });
+
+    pdf.fontSize(18).text('Tax Invoice', { align: 'right' });
+    pdf.fontSize(10).text(`Invoice no: ${invoice.invoiceNumber}`, { align: 'right' });
+    pdf.text(`Date: ${issued}`, { align: 'right' });
+    pdf.text(`Order: ${invoice.orderId}`, { align: 'right' });
+
+    pdf.moveDown();
+    pdf.fontSize(12).text(seller.name);
+    pdf.fontSize(10);
+    if (seller.address) pdf.text(seller.address);
+    pdf.text(`GSTIN: ${seller.gstin}`);
+    pdf.text(`State: ${seller.stateName} (${seller.stateCode})`);
+
+    pdf.moveDown();
+    pdf.fontSize(11).text('Bill to');
+    pdf.fontSize(10);
+    if (buyer.name) pdf.text(buyer.name);
+    pdf.text(buyer.email);
+    if (buyer.phone) pdf.text(buyer.phone);
+    if (buyer.gstin) pdf.text(`GSTIN: ${buyer.gstin}`);
+    pdf.text(`Place of supply: ${buyer.stateName} (${buyer.stateCode})`);
+
+    pdf.moveDown(1.5);
+    const rows = [
+      ['Description', line.description],
+      ['SAC', line.sac],
+      ['Quantity', '1'],
+      ['Taxable value', formatINR(invoice.taxableINR)],
+    ];
+    if (invoice.supply === 'intra') {
+      rows.push([`CGST @ ${invoice.ratePercent / 2}%`, formatINR(invoice.cgstINR)]);
+      rows.push([`SGST @ ${invoice.ratePercent / 2}%`, formatINR(invoice.sgstINR)]);
+    } else {
+      rows.push([`IGST @ ${invoice.ratePercent}%`, formatINR(invoice.igstINR)]);
+    }
+    rows.push(['Total (incl. GST)', formatINR(invoice.totalINR)]);
+    rows.forEach(([label, value], i) => {
+      const y = pdf.y;
+      if (i === rows.length - 1) pdf.font('Helvetica-Bold');
+      pdf.text(label, 50, y, { width: 200 });
+      pdf.text(value, 260, y, { width: 285, align: 'right' });
+      pdf.font('Helvetica');
+      pdf.moveDown(0.4);
+    });
+
+    pdf.moveDown(2);
+    pdf.fontSize(8).fillColor('#666').text('This is a computer-generated invoice and does not require a signature.', 50);
+    pdf.end();
+  });
+}
+
+async function storeInvoicePdf(invoice) {
+  const pdf = await renderInvoicePdf(invoice);
+  const storageProvider = configuredProvider();
+  const { path } = await getStorage(storageProvider).put(`invoices/${invoice.fy}/${invoice.invoiceNumber.replace(/\//g, '-')}.pdf`, pdf, {
+    contentType: 'application/pdf',
+  });
+  return { storageProvider, blobPath: path };
+}
+
+// Issues the invoice for a paid order. Idempotent: the number is assigned in the
+// same transaction that creates the invoice, and a missing PDF is rendered again.
+// Returns the invoice doc.
+async function issueInvoice(db, order) {
+  const ref = db.collection('invoices').doc(order.orderId);
+  let invoice = (await ref.get()).data();
+  if (!invoice) {
+    const seller = getSeller();
+    const billing = order.billing || {};
+    const buyerGstin = normalizeGstin(billing.gstin);
+    // Without a known state the place of supply is the seller's
+    const buyerStateCode = buyerGstin.slice(0, 2) || normalizeStateCode(billing.stateCode) || seller.stateCode;
+    const course = await getCourse(db, order.courseId);
+    const issuedAt = new Date();
+    const fy = financialYear(issuedAt);
+    const counterRef = db.collection('counters').doc(`invoices_${fy}`);
+
+    invoice = await db.runTransaction(async (tx) => {
+      const [snap, counter] = await Promise.all([tx.get(ref), tx.get(counterRef)]);
+      if (snap.exists) return snap.data();
+      const seq = (counter.exists ? counter.data().last || 0 : 0) + 1;
+      const invoiceNumber = `${process.env.INVOICE_PREFIX || 'LE'}/${fy}/${String(seq).padStart(5, '0')}`;
+      const doc = {
+        invoiceNumber,
+        orderId: order.orderId,
+        fy,
+        seq,
+        issuedAtMs: issuedAt.getTime(),
+        issuedAt: admin.firestore.Timestamp.fromDate(issuedAt),
+        seller,
+        buyer: {
+          name: billing.name || '',
+          email: order.email,
+          phone: order.phone || '',
+          gstin: buyerGstin,
+          stateCode: buyerStateCode,
+          stateName: GST_STATES[buyerStateCode],
+        },
+        line: {
+          description: `${course?.title || order.courseId} (online course, digital download)`,
+          sac: process.env.INVOICE_SAC || '999293',
+        },
+        ...computeGst(Number(order.amountINR) || 0, { sellerStateCode: seller.stateCode, buyerStateCode }),
+      };
+      tx.set(counterRef, { last: seq, updatedAt: admin.firestore.FieldValue.serverTimestamp() }, { merge: true });
+      tx.set(ref, doc);
+      tx.set(db.collection('orders').doc(order.orderId), { invoiceNumber }, { merge: true });
+      return doc;
+    });
+  }
+
+  if (!invoice.blobUrl && !invoice.storageProvider) {
+    const stored = await storeInvoicePdf(invoice);
+    await ref.set(stored, { merge: true });
+    invoice = { ...invoice, ...stored };
+  }
+  return invoice;
+}
+
+// PDF bytes of an issued invoice, re-rendered if the stored copy is unavailable.
+async function getInvoicePdf(invoice) {
+  if (invoice.storageProvider) {
+    const pdf = await getStorage(invoice.storageProvider).read(invoice.blobPath).catch(() => null);
+    if (pdf) return pdf;
+  } else if (invoice.blobUrl) {
+    const resp = await fetch(invoice.blobUrl).catch(() => null);
+    if (resp?.ok) return Buffer.from(await resp.arrayBuffer());
+  }
+  return renderInvoicePdf(invoice);
+}
+
+module.exports = {
+  GST_STATES,
+  normalizeGstin,
+  normalizeStateCode,
+  computeGst,
+  financialYear,
+  issueInvoice,
+  getInvoicePdf,
+};
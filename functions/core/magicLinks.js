@@ -0,0 +1,55 @@
+const crypto = require('crypto');
+const { admin } = require('./firebaseAdmin');
+
+// One-time magic links proving the buyer controls their email address.
+// Stored in `magic_links/{sha256(token)}` so a database read never reveals a
+// usable token: { email, courseId, expiresAt, used, usedAt, createdAt }
+
+const MAGIC_LINK_TTL_MS = 30 * 60 * 1000;
+// Minimum gap between two links for the same email and course
+const MAGIC_LINK_COOLDOWN_MS = 60 * 1000;
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+// Returns the raw token to put in the emailed URL, or null while the cooldown
+// for this email and course is still running.
+async function createMagicLink(db, { email, courseId }) {
+  const throttleRef = db.collection('magic_link_throttle').doc(hashToken(`${email}|${courseId}`));
+  const allowed = await db.runTransaction(async (tx) => {
+    const snap = await tx.get(throttleRef);
+    if (snap.exists && Date.now() - (snap.data().lastSentAt || 0) < MAGIC_LINK_COOLDOWN_MS) return false;
+    tx.set(throttleRef, { lastSentAt: Date.now() });
+    return true;
+  });
+  if (!allowed) return null;
+
+  const token = crypto.randomBytes(32).toString('base64url');
+  await db.collection('magic_links').doc(hashToken(token)).set({
+    email,
+    courseId,
+    expiresAt: Date.now() + MAGIC_LINK_TTL_MS,
+    used: false,
+    createdAt: admin.firestore.FieldValue.serverTimestamp(),
+  });
+  return token;
+}
+
+// Marks the link used. Returns { ok: true, email, courseId } or
+// { ok: false, reason } with reason invalid_link, used_link or expired_link.
+async function redeemMagicLink(db, token) {
+  if (!token) return { ok: false, reason: 'invalid_link' };
+  const ref = db.collection('magic_links').doc(hashToken(token));
+  return db.runTransaction(async (tx) => {
+    const snap = await tx.get(ref);
+    if (!snap.exists) return { ok: false, reason: 'invalid_link' };
+    const link = snap.data();
+    if (link.used) return { ok: false, reason: 'used_link' };
+    if (Date.now() > link.expiresAt) return { ok: false, reason: 'expired_link' };
+    tx.update(ref, { used: true, usedAt: admin.firestore.FieldValue.serverTimestamp() });
+    return { ok: true, email: link.email, courseId: link.courseId };
+  });
+}
+
+module.exports = { createMagicLink, redeemMagicLink };
@@ -0,0 +1,133 @@
+const { admin } = require('./firebaseAdmin');
+
+// Orders ledger in Firestore `orders/{orderId}`, the single source of truth for
+// reconciliation and support:
+//   { orderId, courseId, email, phone, customerId, amountINR, listPriceINR,
+//     couponCode, discountINR, affiliateCode, billing: { name, stateCode, gstin },
+//     invoiceNumber, currency, provider,
+//     status, statusHistory: [{ status, at }], payment, refund, partialRefunds,
+//     dispute, createdAt, updatedAt }
+
+const ORDER_STATUSES = ['created', 'paid', 'failed', 'user_dropped', 'refunded', 'disputed'];
+
+// Allowed moves between statuses. Cashfree may deliver webhooks out of order
+// (e.g. a failed attempt after a later successful one), so a paid order never
+// goes back to failed, and refunds are final. A disputed order returns to paid
+// when the merchant wins the dispute.
+const TRANSITIONS = {
+  created: ['paid', 'failed', 'user_dropped'],
+  failed: ['paid', 'failed', 'user_dropped'],
+  user_dropped: ['paid', 'failed', 'user_dropped'],
+  paid: ['paid', 'refunded', 'disputed'],
+  disputed: ['disputed', 'paid', 'refunded'],
+  refunded: [],
+};
+
+// Statuses a payment success may move an order out of. Resolving a dispute
+// back to paid is only done by dispute events, never by a (replayed) payment event.
+const PAYABLE_STATUSES = ['created', 'failed', 'user_dropped', 'paid'];
+
+// Maps a Cashfree payment_status to our order status, or null if it does not
+// change the order (PENDING, NOT_ATTEMPTED, ...).
+function orderStatusFromPayment(paymentStatus) {
+  switch (String(paymentStatus || '').toUpperCase()) {
+    case 'SUCCESS':
+    case 'PAID':
+      return 'paid';
+    case 'FAILED':
+    case 'CANCELLED':
+    case 'VOID':
+      return 'failed';
+    case 'USER_DROPPED':
+      return 'user_dropped';
+    default:
+      return null;
+  }
+}
+
+async function getOrder(db, orderId) {
+  const snap = await db.collection('orders').doc(orderId).get();
+  return snap.exists ? snap.data() : null;
+}
+
+// amountINR is what is charged; listPriceINR and discountINR explain any coupon.
+async function createOrderRecord(db, {
+  orderId, courseId, email, phone, customerId, amountINR, listPriceINR, couponCode, discountINR, affiliateCode, billing,
+}) {
+  const now = admin.firestore.FieldValue.serverTimestamp();
+  await db.collection('orders').doc(orderId).set({
+    orderId,
+    courseId,
+    email: String(email).toLowerCase(),
+    phone,
+    customerId,
+    amountINR,
+    listPriceINR: listPriceINR || amountINR,
+    couponCode: couponCode || null,
+    discountINR: discountINR || 0,
+    affiliateCode: affiliateCode || null,
+    billing: billing || null,
+    currency: 'INR',
+    provider: 'cashfree',
+    status: 'created',
+    statusHistory: [{ status: 'created', at: new Date().toISOString() }],
+    createdAt: now,
+    updatedAt: now,
+  });
+}
+
+// Moves an order to `status` and stores `details` (raw payment/refund payloads)
+// on it. `onlyFrom` further restricts which current statuses may move.
+// Returns { changed, from } — changed is false when the transition is not
+// allowed, in which case nothing is written.
+async function transitionOrder(db, orderId, status, details = {}, { onlyFrom } = {}) {
+  if (!ORDER_STATUSES.includes(status)) throw new Error(`Unknown order status ${status}`);
+  const ref = db.collection('orders').doc(orderId);
+  return db.runTransaction(async (tx) => {
+    const snap = await tx.get(ref);
+    // Orders created before the ledger existed have no record yet
+    const from = snap.exists ? (snap.data().status || 'created') : 'created';
+    if (!TRANSITIONS[from]?.includes(status)) return { changed: false, from };
+    if (onlyFrom && !onlyFrom.includes(from)) return { changed: false, from };
+
+    const update = {
+      orderId,
+      ...details,
+      status,
+      statusHistory: admin.firestore.FieldValue.arrayUnion({ status, at: new Date().toISOString() }),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    };
+    // The first payment fixes the sale's day; a won dispute (disputed → paid) keeps it
+    if (status === 'paid' && !snap.data()?.paidAt) update.paidAt = admin.firestore.FieldValue.serverTimestamp();
+    if (status === 'refunded') update.refundedAt = admin.firestore.FieldValue.serverTimestamp();
+    tx.set(ref, update, { merge: true });
+    return { changed: true, from };
+  });
+}
+
+// A refund for less than the order amount keeps the order (and access) intact.
+// Safe to replay: returns false if this refund was already recorded.
+async function recordPartialRefund(db, orderId, refund) {
+  const ref = db.collection('orders').doc(orderId);
+  const id = refund?.cf_refund_id || refund?.refund_id;
+  return db.runTransaction(async (tx) => {
+    const snap = await tx.get(ref);
+    const existing = snap.exists ? snap.data().partialRefunds || [] : [];
+    if (existing.some((r) => (id ? (r.cf_refund_id || r.refund_id) === id : JSON.stringify(r) === JSON.stringify(refund)))) return false;
+    tx.set(ref, {
+      partialRefunds: admin.firestore.FieldValue.arrayUnion(refund),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    }, { merge: true });
+    return true;
+  });
+}
+
+module.exports = {
+  ORDER_STATUSES,
+  PAYABLE_STATUSES,
+  orderStatusFromPayment,
+  getOrder,
+  createOrderRecord,
+  transitionOrder,
+  recordPartialRefund,
+};
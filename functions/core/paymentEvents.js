@@ -0,0 +1,207 @@
+const { LEGACY_COURSE_ID, normalizeCourseId, getCourse } = require('./courses');
+const { grantEntitlement, setEntitlementStatus } = require('./entitlements');
+const { PAYABLE_STATUSES, orderStatusFromPayment, getOrder, transitionOrder, recordPartialRefund } = require('./orders');
+const { fetchCashfreeOrder } = require('./cashfree');
+const { getMaxDownloads } = require('./downloadTokens');
+const { deliverEmail } = require('./emailDeliveries');
+const { redeemCoupon } = require('./coupons');
+const { recordAffiliateConversion, reverseAffiliateConversion } = require('./affiliates');
+const { issueInvoice } = require('./invoices');
+const { recordOrderPaid, recordRefund } = require('./salesStats');
+
+// Download links in the receipt email outlive the usual short-lived links;
+// each fetch of one still counts against the per-entitlement download limit
+// (only resumes of an unfinished download are free, see consumeDownload).
+const DEFAULT_RECEIPT_LINK_TTL_SEC = 7 * 24 * 60 * 60;
+
+function getReceiptLinkTtlSec() {
+  const n = Number(process.env.RECEIPT_LINK_TTL_SEC);
+  return Number.isFinite(n) && n > 0 ? n : DEFAULT_RECEIPT_LINK_TTL_SEC;
+}
+
+function describeDuration(sec) {
+  if (sec % 86400 === 0) return `${sec / 86400} day${sec === 86400 ? '' : 's'}`;
+  if (sec % 3600 === 0) return `${sec / 3600} hour${sec === 3600 ? '' : 's'}`;
+  return `${Math.round(sec / 60)} minutes`;
+}
+
+// Receipt + download link. Failures are recorded in email_deliveries and
+// never fail the webhook: access was granted either way. The link is a bearer
+// token, so it is minted at send time (also on retries) and never stored.
+async function sendPurchaseReceipt(db, { orderId, email, courseId, amountINR, baseUrl }) {
+  try {
+    const course = await getCourse(db, courseId);
+    const ttlSec = getReceiptLinkTtlSec();
+    return await deliverEmail(db, {
+      deliveryId: `receipt_${orderId}`,
+      to: email,
+      template: 'purchase_receipt',
+      orderId,
+      vars: {
+        courseTitle: course?.title || courseId,
+        orderId,
+        amountINR,
+        paidOn: new Date().toLocaleDateString('en-IN', { day: 'numeric', month: 'long', year: 'numeric', timeZone: 'Asia/Kolkata' }),
+        linkValidity: describeDuration(ttlSec),
+        maxDownloads: getMaxDownloads(course),
+      },
+      secretVars: ['downloadUrl'],
+      linkVars: { downloadUrl: { type: 'download', courseId, orderId, ttlSec, baseUrl } },
+    });
+  } catch (e) {
+    console.error('purchase receipt error', orderId, e);
+    return { status: 'failed' };
+  }
+}
+
+// Dispute outcomes. Any other DISPUTE_* / CHARGEBACK_* status means the dispute is still open.
+const DISPUTE_WON = ['DISPUTE_MERCHANT_WON', 'CHARGEBACK_MERCHANT_WON', 'RETRIEVAL_MERCHANT_WON'];
+const DISPUTE_LOST = [
+  'DISPUTE_MERCHANT_LOST', 'DISPUTE_MERCHANT_ACCEPTED', 'DISPUTE_INSUFFICIENT_EVIDENCE',
+  'CHARGEBACK_MERCHANT_LOST', 'CHARGEBACK_MERCHANT_ACCEPTED', 'CHARGEBACK_INSUFFICIENT_EVIDENCE',
+];
+
+// Applies an entitlement status change for the buyer and course of an order.
+async function updateOrderEntitlement(db, orderId, status, reason) {
+  const order = await getOrder(db, orderId);
+  if (!order?.email || !order?.courseId) {
+    console.warn('No ledger entry to update entitlement for order', orderId);
+    return false;
+  }
+  return setEntitlementStatus(db, { email: order.email, courseId: order.courseId, orderId, status, reason });
+}
+
+async function handleRefund(db, orderId, refund) {
+  if (String(refund?.refund_status || '').toUpperCase() !== 'SUCCESS') return { status: 200, body: { ok: true, ignored: true } };
+  const order = await getOrder(db, orderId);
+  const refunded = Number(refund.refund_amount) || 0;
+  if (order?.amountINR && refunded + 0.01 < order.amountINR) {
+    const added = await recordPartialRefund(db, orderId, refund);
+    if (added) await recordRefund(db, { amountINR: refunded, full: false }).catch((e) => console.error('sales stats error', orderId, e));
+    return { status: 200, body: { ok: true, partial: true } };
+  }
+  const { changed } = await transitionOrder(db, orderId, 'refunded', { refund });
+  const revoked = changed && await updateOrderEntitlement(db, orderId, 'revoked', 'refunded');
+  if (changed && order?.affiliateCode) await reverseAffiliateConversion(db, order);
+  if (changed) await recordRefund(db, { amountINR: refunded || order?.amountINR, full: true }).catch((e) => console.error('sales stats error', orderId, e));
+  return { status: 200, body: { ok: true, status: 'refunded', changed, revoked } };
+}
+
+async function handleDispute(db, orderId, dispute) {
+  const disputeStatus = String(dispute?.dispute_status || '').toUpperCase();
+  if (DISPUTE_WON.includes(disputeStatus)) {
+    const { changed } = await transitionOrder(db, orderId, 'paid', { dispute }, { onlyFrom: ['disputed'] });
+    const reinstated = changed && await updateOrderEntitlement(db, orderId, 'active', null);
+    return { status: 200, body: { ok: true, status: 'paid', changed, reinstated } };
+  }
+  if (DISPUTE_LOST.includes(disputeStatus)) {
+    const { changed } = await transitionOrder(db, orderId, 'refunded', { dispute });
+    const revoked = changed && await updateOrderEntitlement(db, orderId, 'revoked', 'dispute_lost');
+    if (changed) {
+      const order = await getOrder(db, orderId);
+      // A charged-back sale earns no commission, same as a refunded one
+      if (order?.affiliateCode) await reverseAffiliateConversion(db, order);
+      await recordRefund(db, { amountINR: Number(dispute?.dispute_amount) || order?.amountINR, full: true })
+        .catch((e) => console.error('sales stats error', orderId, e));
+    }
+    return { status: 200, body: { ok: true, status: 'refunded', changed, revoked } };
+  }
+  const { changed } = await transitionOrder(db, orderId, 'disputed', { dispute });
+  const suspended = changed && await updateOrderEntitlement(db, orderId, 'suspended', 'disputed');
+  return { status: 200, body: { ok: true, status: 'disputed', changed, suspended } };
+}
+
+// Applies one (already authenticated) Cashfree webhook payload: records order
+// status transitions in the ledger, grants the entitlement on success and
+// revokes or suspends it on refunds and disputes.
+// Used both for live deliveries and for admin replays of stored events.
+// `baseUrl` is the public API origin used for links in buyer emails.
+// Returns { status, body } for the HTTP response; throws on unexpected errors.
+async function processCashfreeEvent(db, payload, { baseUrl } = {}) {
+  // Expect payload contains data.order.order_id and data.payment.payment_status
+  const event = payload?.type || payload?.event;
+  const order = payload?.data?.order || payload?.order;
+  const payment = payload?.data?.payment || payload?.payment;
+  const refund = payload?.data?.refund;
+  const dispute = payload?.data?.dispute;
+
+  const paymentStatus = payment?.payment_status || payment?.status;
+  const orderId = order?.order_id || order?.id || refund?.order_id || dispute?.order_details?.order_id;
+
+  if (!orderId) return { status: 400, body: { error: 'No order id' } };
+
+  if (event === 'REFUND_STATUS_WEBHOOK') return handleRefund(db, orderId, refund);
+  if (String(event || '').startsWith('DISPUTE_')) return handleDispute(db, orderId, dispute);
+
+  // Failed / dropped attempts only update the ledger; success is verified below.
+  // The order can still be paid on a retry, so its coupon hold is kept until it
+  // lapses with the order (see reserveCoupon).
+  const next = orderStatusFromPayment(paymentStatus);
+  if (next && next !== 'paid') {
+    const { changed } = await transitionOrder(db, orderId, next, { payment });
+    return { status: 200, body: { ok: true, status: next, changed } };
+  }
+
+  // Confirm with Cashfree Orders API as well; the signed event alone does not grant access
+  const { ok, data: verifyData } = await fetchCashfreeOrder(orderId);
+  if (!ok) {
+    console.error('Cashfree verify error', verifyData);
+    // Usually transient; a non-2xx answer makes Cashfree deliver the event again
+    return { status: 502, body: { error: 'verify_failed', detail: verifyData } };
+  }
+
+  const paid = ['PAID', 'SUCCESS', 'SUCCESSFUL'].includes(String(verifyData.order_status || '').toUpperCase());
+  if (!paid) return { status: 200, body: { ok: true, ignored: true } };
+
+  // Determine buyer email from verified order
+  const email = (verifyData?.customer_details?.customer_email
+    || verifyData?.customer?.customer_email
+    || order?.customer_details?.customer_email
+    || order?.customer_email
+    || '').toLowerCase();
+  if (!email) return { status: 400, body: { error: 'No customer email on order' } };
+
+  // Orders created before the catalog carry no course tag
+  const courseId = normalizeCourseId(verifyData?.order_tags?.course_id) || LEGACY_COURSE_ID;
+
+  // Refunded or disputed orders must not regain access from a late or replayed success event
+  const { changed, from } = await transitionOrder(db, orderId, 'paid', {
+    email,
+    courseId,
+    amountINR: Number(verifyData.order_amount) || null,
+    payment: payment || null,
+  }, { onlyFrom: PAYABLE_STATUSES });
+  if (!changed) return { status: 200, body: { ok: true, ignored: true, status: from } };
+
+  await grantEntitlement(db, { email, courseId, orderId });
+  // Coupon limits and affiliate commissions count paid orders only; a failure
+  // here only skews their stats
+  const ledgerOrder = await getOrder(db, orderId).catch(() => null);
+  // A paid → paid move is a repeated success event, not a new sale
+  if (from !== 'paid') {
+    await recordOrderPaid(db, { ...ledgerOrder, courseId, amountINR: Number(verifyData.order_amount) || ledgerOrder?.amountINR })
+      .catch((e) => console.error('sales stats error', orderId, e));
+  }
+  if (ledgerOrder?.couponCode) {
+    await redeemCoupon(db, ledgerOrder).catch((e) => console.error('coupon redemption error', orderId, e));
+  }
+  if (ledgerOrder?.affiliateCode) {
+    await recordAffiliateConversion(db, ledgerOrder).catch((e) => console.error('affiliate conversion error', orderId, e));
+  }
+  // /api/invoice issues it on demand if this fails
+  if (ledgerOrder) {
+    await issueInvoice(db, { ...ledgerOrder, amountINR: Number(verifyData.order_amount) || ledgerOrder.amountINR })
+      .catch((e) => console.error('invoice error', orderId, e));
+  }
+  const receipt = await sendPurchaseReceipt(db, {
+    orderId,
+    email,
+    courseId,
+    amountINR: Number(verifyData.order_amount) || null,
+    baseUrl,
+  });
+
+  return { status: 200, body: { ok: true, courseId, receipt: receipt.status } };
+}
+
+module.exports = { processCashfreeEvent };
@@ -0,0 +1,154 @@
+const crypto = require('crypto');
+const { admin } = require('./firebaseAdmin');
+const { listCourseBuyers } = require('./entitlements');
+const { queueEmail } = require('./emailDeliveries');
+
+// Every ZIP upload becomes a numbered release of its course:
+//   course_files/{courseId}/releases/{version}
+//     { version, storageProvider, blobPath, size, contentType, checksum, notes,
+//       uploadedBy, createdAt, notifiedAt, notifiedCount }
+//   courses/{courseId}/releases/{version}
+//     { version, size, notes, createdAt }   (public changelog, no file location)
+// course_files/{courseId} points at the release buyers get by default:
+//   { storageProvider, blobPath, currentVersion, latestVersion, updatedAt }
+// and courses/{courseId}.currentRelease mirrors currentVersion for the storefront.
+// `checksum` is the SHA-256 hex digest of the stored bytes, computed by the API.
+// Files uploaded before storage providers existed carry a Vercel `blobUrl` instead
+// of `storageProvider` (see storage).
+
+function privateReleases(db, courseId) {
+  return db.collection('course_files').doc(courseId).collection('releases');
+}
+
+function publicReleases(db, courseId) {
+  return db.collection('courses').doc(courseId).collection('releases');
+}
+
+// Records an uploaded file ({ provider, path }) as the next release and makes it
+// current. Returns the new version number.
+async function recordRelease(db, { courseId, file, size, contentType, checksum, notes, uploadedBy }) {
+  const fileRef = db.collection('course_files').doc(courseId);
+  const courseRef = db.collection('courses').doc(courseId);
+  return db.runTransaction(async (tx) => {
+    const snap = await tx.get(fileRef);
+    const courseSnap = await tx.get(courseRef);
+    const data = snap.exists ? snap.data() : {};
+    // Completing an upload may be retried
+    if (data.latestVersion && data.blobPath === file.path) return data.latestVersion;
+    // Files uploaded before releases existed count as version 1 when they were never recorded
+    const version = (data.latestVersion || (data.blobUrl ? 1 : 0)) + 1;
+    if (data.blobUrl && !data.latestVersion) {
+      tx.set(privateReleases(db, courseId).doc('1'), {
+        version: 1,
+        blobUrl: data.blobUrl,
+        blobPath: data.blobPath || null,
+        size: null,
+        contentType: null,
+        checksum: null,
+        notes: 'Uploaded before release tracking',
+        uploadedBy: null,
+        createdAt: data.updatedAt || admin.firestore.FieldValue.serverTimestamp(),
+      });
+      tx.set(publicReleases(db, courseId).doc('1'), {
+        version: 1,
+        size: null,
+        notes: 'Uploaded before release tracking',
+        createdAt: data.updatedAt || admin.firestore.FieldValue.serverTimestamp(),
+      });
+    }
+    const now = admin.firestore.FieldValue.serverTimestamp();
+    tx.set(privateReleases(db, courseId).doc(String(version)), {
+      version,
+      storageProvider: file.provider,
+      blobPath: file.path,
+      size: size || null,
+      contentType: contentType || null,
+      checksum: checksum || null,
+      notes: notes || '',
+      uploadedBy: uploadedBy || null,
+      createdAt: now,
+    });
+    tx.set(publicReleases(db, courseId).doc(String(version)), {
+      version,
+      size: size || null,
+      notes: notes || '',
+      createdAt: now,
+    });
+    tx.set(fileRef, {
+      storageProvider: file.provider,
+      blobPath: file.path,
+      blobUrl: admin.firestore.FieldValue.delete(),
+      currentVersion: version,
+      latestVersion: version,
+      updatedAt: now,
+    }, { merge: true });
+    // The legacy course may have no catalog doc yet; do not create a blank one
+    if (courseSnap.exists) tx.update(courseRef, { currentRelease: version });
+    return version;
+  });
+}
+
+async function getRelease(db, courseId, version) {
+  const n = Number(version);
+  if (!Number.isInteger(n) || n < 1) return null;
+  const snap = await privateReleases(db, courseId).doc(String(n)).get();
+  return snap.exists ? snap.data() : null;
+}
+
+async function listReleases(db, courseId) {
+  const snap = await privateReleases(db, courseId).orderBy('version', 'desc').get();
+  return snap.docs.map((d) => d.data());
+}
+
+// Rollback (or roll forward): makes an existing release the default download.
+// Returns the release, or null if it does not exist.
+async function setCurrentRelease(db, courseId, version) {
+  const release = await getRelease(db, courseId, version);
+  if (!release) return null;
+  const courseRef = db.collection('courses').doc(courseId);
+  const courseSnap = await courseRef.get();
+  const batch = db.batch();
+  batch.set(db.collection('course_files').doc(courseId), {
+    storageProvider: release.storageProvider || admin.firestore.FieldValue.delete(),
+    blobUrl: release.blobUrl || admin.firestore.FieldValue.delete(),
+    blobPath: release.blobPath || null,
+    currentVersion: release.version,
+    updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+  }, { merge: true });
+  if (courseSnap.exists) batch.update(courseRef, { currentRelease: release.version });
+  await batch.commit();
+  return release;
+}
+
+// Queues an email to every buyer with active access that a release is out; the
+// delivery job sends them (see emailDeliveries). Deliveries are keyed per buyer
+// and version, so notifying again only reaches buyers added since.
+// Returns { queued, total }.
+async function notifyBuyersOfRelease(db, { course, version, courseUrl }) {
+  const release = await getRelease(db, course.id, version);
+  if (!release) throw new Error(`Unknown release ${course.id} v${version}`);
+  const emails = await listCourseBuyers(db, course.id);
+  let queued = 0;
+  for (const email of emails) {
+    const emailKey = crypto.createHash('sha256').update(email).digest('hex').slice(0, 16);
+    const result = await queueEmail(db, {
+      deliveryId: `release_${course.id}_v${release.version}_${emailKey}`,
+      to: email,
+      template: 'release_update',
+      vars: {
+        courseTitle: course.title || course.id,
+        version: release.version,
+        notes: release.notes || 'Improvements and fixes.',
+        courseUrl,
+      },
+    });
+    if (result === 'queued') queued++;
+  }
+  await privateReleases(db, course.id).doc(String(release.version)).set({
+    notifiedAt: admin.firestore.FieldValue.serverTimestamp(),
+    notifiedCount: emails.length,
+  }, { merge: true });
+  return { queued, total: emails.length };
+}
+
+module.exports = { recordRelease, getRelease, listReleases, setCurrentRelease, notifyBuyersOfRelease };
@@ -0,0 +1,35 @@
+// Admin roles and what each may do. Keep in sync with firestore.rules; the admin
+// panel gets its role's permissions from /api/admin-users (action: 'session').
+//   owner    everything, including the team, settings and the audit log
+//   editor   course content, uploads/releases and coupons
+//   support  orders, buyer access, webhook events and email retries
+//   finance  orders, refunds, invoices, affiliate payouts and sales analytics
+const ROLES = ['owner', 'editor', 'support', 'finance'];
+
+const PERMISSIONS = {
+  team: ['owner'],
+  audit: ['owner'],
+  settings: ['owner'],
+  courses: ['owner', 'editor'],
+  coupons: ['owner', 'editor'],
+  orders: ['owner', 'support', 'finance'],
+  access: ['owner', 'support'],
+  webhooks: ['owner', 'support'],
+  emails: ['owner', 'support'],
+  refunds: ['owner', 'finance'],
+  affiliates: ['owner', 'finance'],
+  analytics: ['owner', 'finance'],
+};
+
+function can(role, permission) {
+  const roles = PERMISSIONS[permission];
+  if (!roles) throw new Error(`Unknown permission ${permission}`);
+  return roles.includes(role);
+}
+
+// The permissions `role` has, e.g. ['courses', 'coupons'] for an editor.
+function permissionsFor(role) {
+  return Object.keys(PERMISSIONS).filter((permission) => PERMISSIONS[permission].includes(role));
+}
+
+module.exports = { ROLES, PERMISSIONS, can, permissionsFor };
@@ -0,0 +1,36 @@
+// Every API route, keyed by its path under /api. Both runtimes serve this same
+// table: Vercel through one-line adapters in api/, Firebase Functions (and the
+// local dev server) through the Express app in functions/app.js.
+module.exports = {
+  'access-requests': require('./handlers/access-requests'),
+  'admin-users': require('./handlers/admin-users'),
+  'affiliate-payouts': require('./handlers/affiliate-payouts'),
+  'affiliates': require('./handlers/affiliates'),
+  'blob-upload': require('./handlers/blob-upload'),
+  'cashfree-webhook': require('./handlers/cashfree-webhook'),
+  'coupon-quote': require('./handlers/coupon-quote'),
+  'coupons': require('./handlers/coupons'),
+  'course-releases': require('./handlers/course-releases'),
+  'courses': require('./handlers/courses'),
+  'create-order': require('./handlers/create-order'),
+  'download': require('./handlers/download'),
+  'download-link': require('./handlers/order-status'),
+  'email-retry': require('./handlers/email-retry'),
+  'entitlements': require('./handlers/entitlements'),
+  'events': require('./handlers/events'),
+  'funnel-stats': require('./handlers/funnel-stats'),
+  'invoice': require('./handlers/invoice'),
+  'leak-check': require('./handlers/leak-check'),
+  'library': require('./handlers/library'),
+  'local-storage': require('./handlers/local-storage'),
+  'order-status': require('./handlers/order-status'),
+  'redeem-link': require('./handlers/redeem-link'),
+  'ref-click': require('./handlers/ref-click'),
+  'refund': require('./handlers/refund'),
+  'sales-stats': require('./handlers/sales-stats'),
+  'send-download-link': require('./handlers/send-download-link'),
+  'settings': require('./handlers/settings'),
+  'watermark-build': require('./handlers/watermark-build'),
+  'watermarks': require('./handlers/watermarks'),
+  'webhook-replay': require('./handlers/webhook-replay'),
+};
@@ -0,0 +1,187 @@
+const { admin } = require('./firebaseAdmin');
+
+// Pre-aggregated sales counters, one doc per day (India time) in
+// `sales_stats/{YYYY-MM-DD}`:
+//   { date, ordersCreated, ordersPaid, revenueINR, discountINR, refunds, refundedINR,
+//     courses: { [courseId]: { ordersPaid, revenueINR } },
+//     coupons: { [CODE]: { uses, discountINR, revenueINR } },
+//     affiliates: { [CODE]: { ordersPaid, revenueINR } }, updatedAt }
+// Updated with increments as orders are created, paid and refunded, so the
+// dashboard reads at most one doc per day instead of scanning orders.
+// Callers only record an event when the order actually changed state, which
+// keeps webhook retries and replays from counting twice. Every event is counted
+// on the day it happens, so only today's doc ever receives increments.
+
+const IST_OFFSET_MS = 5.5 * 60 * 60 * 1000;
+
+function dayKey(date = new Date()) {
+  return new Date(date.getTime() + IST_OFFSET_MS).toISOString().slice(0, 10);
+}
+
+function statsRef(db, date) {
+  return db.collection('sales_stats').doc(dayKey(date));
+}
+
+function inc(n) {
+  return admin.firestore.FieldValue.increment(n);
+}
+
+// Two decimals, so float increments do not drift visibly
+function money(n) {
+  return Math.round((Number(n) || 0) * 100) / 100;
+}
+
+async function recordOrderCreated(db, at = new Date()) {
+  await statsRef(db, at).set({
+    date: dayKey(at),
+    ordersCreated: inc(1),
+    updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+  }, { merge: true });
+}
+
+function saleFields(order) {
+  const amount = money(order.amountINR);
+  const discount = money(order.discountINR);
+  const fields = {
+    ordersPaid: inc(1),
+    revenueINR: inc(amount),
+    discountINR: inc(discount),
+  };
+  if (order.courseId) fields.courses = { [order.courseId]: { ordersPaid: inc(1), revenueINR: inc(amount) } };
+  if (order.couponCode) fields.coupons = { [order.couponCode]: { uses: inc(1), discountINR: inc(discount), revenueINR: inc(amount) } };
+  if (order.affiliateCode) fields.affiliates = { [order.affiliateCode]: { ordersPaid: inc(1), revenueINR: inc(amount) } };
+  return fields;
+}
+
+// A first successful payment for the order (not a dispute resolved back to paid).
+async function recordOrderPaid(db, order, at = new Date()) {
+  await statsRef(db, at).set({
+    date: dayKey(at),
+    ...saleFields(order),
+    updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+  }, { merge: true });
+}
+
+// `full` counts towards the refund rate; partial refunds only add to refundedINR.
+async function recordRefund(db, { amountINR, full }, at = new Date()) {
+  await statsRef(db, at).set({
+    date: dayKey(at),
+    ...(full ? { refunds: inc(1) } : {}),
+    refundedINR: inc(money(amountINR)),
+    updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+  }, { merge: true });
+}
+
+const toDate = (ts) => (ts?.toDate ? ts.toDate() : ts ? new Date(ts) : null);
+
+// Days that ended over an hour ago (India time). No increment can still be on
+// its way to them, so they are safe to overwrite.
+function lastClosedDay(now = new Date()) {
+  return dayKey(new Date(dayStartMs(dayKey(new Date(now.getTime() - 60 * 60 * 1000))) - 1));
+}
+
+function dayStartMs(key) {
+  return Date.parse(`${key}T00:00:00Z`) - IST_OFFSET_MS;
+}
+
+// Recomputes the counters of closed days (see lastClosedDay) from the orders
+// ledger, e.g. for orders placed before counters existed. Today and any day
+// that may still receive increments are left to the live counters, so nothing
+// recorded while it runs is lost. Run with rebuild-sales-stats.js, not from a
+// request. Returns { orders, days, through }.
+async function rebuildSalesStats(db, now = new Date()) {
+  const through = lastClosedDay(now);
+  const days = new Map();
+  const day = (date) => {
+    const key = dayKey(date);
+    if (!days.has(key)) days.set(key, { date: key, ordersCreated: 0, ordersPaid: 0, revenueINR: 0, discountINR: 0, refunds: 0, refundedINR: 0, courses: {}, coupons: {}, affiliates: {} });
+    return days.get(key);
+  };
+  const add = (map, key, fields) => {
+    map[key] = map[key] || {};
+    Object.entries(fields).forEach(([k, v]) => { map[key][k] = money((map[key][k] || 0) + v); });
+  };
+
+  const orders = await db.collection('orders').get();
+  orders.forEach((snap) => {
+    const o = snap.data();
+    const createdAt = toDate(o.createdAt);
+    if (createdAt) day(createdAt).ordersCreated += 1;
+
+    const paidAt = toDate(o.paidAt);
+    if (paidAt && ['paid', 'disputed', 'refunded'].includes(o.status)) {
+      const d = day(paidAt);
+      const amount = money(o.amountINR);
+      const discount = money(o.discountINR);
+      d.ordersPaid += 1;
+      d.revenueINR = money(d.revenueINR + amount);
+      d.discountINR = money(d.discountINR + discount);
+      if (o.courseId) add(d.courses, o.courseId, { ordersPaid: 1, revenueINR: amount });
+      if (o.couponCode) add(d.coupons, o.couponCode, { uses: 1, discountINR: discount, revenueINR: amount });
+      if (o.affiliateCode) add(d.affiliates, o.affiliateCode, { ordersPaid: 1, revenueINR: amount });
+    }
+
+    const refundedAt = toDate(o.refundedAt);
+    if (o.status === 'refunded' && refundedAt) {
+      const d = day(refundedAt);
+      d.refunds += 1;
+      d.refundedINR = money(d.refundedINR + (Number(o.refund?.refund_amount) || Number(o.amountINR) || 0));
+    }
+    (o.partialRefunds || []).forEach((r) => {
+      const d = day(toDate(r.processed_at || r.created_at) || toDate(o.updatedAt) || new Date());
+      d.refundedINR = money(d.refundedINR + (Number(r.refund_amount) || 0));
+    });
+  });
+
+  [...days.keys()].filter((key) => key > through).forEach((key) => days.delete(key));
+  const existing = await db.collection('sales_stats').where(admin.firestore.FieldPath.documentId(), '<=', through).get();
+  const writes = [
+    ...existing.docs.filter((d) => !days.has(d.id)).map((d) => (batch) => batch.delete(d.ref)),
+    ...[...days.values()].map((d) => (batch) => batch.set(db.collection('sales_stats').doc(d.date), {
+      ...d,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    })),
+  ];
+  for (let i = 0; i < writes.length; i += 400) {
+    const batch = db.batch();
+    writes.slice(i, i + 400).forEach((write) => write(batch));
+    await batch.commit();
+  }
+  return { orders: orders.size, days: days.size, through };
+}
+
+// Per-day counters between two YYYY-MM-DD keys (inclusive); missing days are zero.
+async function getSalesStats(db, from, to) {
+  const snap = await db.collection('sales_stats')
+    .where(admin.firestore.FieldPath.documentId(), '>=', from)
+    .where(admin.firestore.FieldPath.documentId(), '<=', to)
+    .get();
+  const byDay = new Map(snap.docs.map((d) => [d.id, d.data()]));
+  const days = [];
+  for (let t = Date.parse(`${from}T00:00:00Z`); t <= Date.parse(`${to}T00:00:00Z`); t += 24 * 60 * 60 * 1000) {
+    const date = new Date(t).toISOString().slice(0, 10);
+    const d = byDay.get(date) || {};
+    days.push({
+      date,
+      ordersCreated: d.ordersCreated || 0,
+      ordersPaid: d.ordersPaid || 0,
+      revenueINR: money(d.revenueINR),
+      discountINR: money(d.discountINR),
+      refunds: d.refunds || 0,
+      refundedINR: money(d.refundedINR),
+      courses: d.courses || {},
+      coupons: d.coupons || {},
+      affiliates: d.affiliates || {},
+    });
+  }
+  return days;
+}
+
+module.exports = {
+  dayKey,
+  recordOrderCreated,
+  recordOrderPaid,
+  recordRefund,
+  rebuildSalesStats,
+  getSalesStats,
+};
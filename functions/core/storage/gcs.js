@@ -0,0 +1,66 @@
+const { admin } = require('../firebaseAdmin');
+const { READ_URL_TTL_SEC, UPLOAD_TTL_SEC } = require('./index');
+
+// Google Cloud Storage, which is also what Firebase Storage uses. GCS_BUCKET
+// names the bucket; on Firebase the project's default bucket is used. The bucket
+// needs a CORS rule allowing PUT from the admin site for browser uploads.
+
+function bucket() {
+  return admin.storage().bucket(process.env.GCS_BUCKET || undefined);
+}
+
+async function createUploadTarget(path, { contentType } = {}) {
+  const [url] = await bucket().file(path).getSignedUrl({
+    version: 'v4',
+    action: 'write',
+    expires: Date.now() + UPLOAD_TTL_SEC * 1000,
+    contentType,
+  });
+  return { type: 'put', url, headers: contentType ? { 'Content-Type': contentType } : {} };
+}
+
+async function getReadUrl(path, { filename } = {}) {
+  const [url] = await bucket().file(path).getSignedUrl({
+    version: 'v4',
+    action: 'read',
+    expires: Date.now() + READ_URL_TTL_SEC * 1000,
+    responseDisposition: filename ? `attachment; filename="${filename}"` : undefined,
+  });
+  return url;
+}
+
+async function head(path) {
+  try {
+    const [meta] = await bucket().file(path).getMetadata();
+    return { size: Number(meta.size), contentType: meta.contentType || null, etag: meta.etag || null, uploadedAt: new Date(meta.updated) };
+  } catch (e) {
+    if (e.code === 404) return null;
+    throw e;
+  }
+}
+
+async function remove(path) {
+  await bucket().file(path).delete({ ignoreNotFound: true });
+}
+
+async function list(prefix) {
+  const [files] = await bucket().getFiles({ prefix });
+  return files.map((f) => ({ path: f.name, size: Number(f.metadata.size), uploadedAt: new Date(f.metadata.updated) }));
+}
+
+async function put(path, body, { contentType } = {}) {
+  await bucket().file(path).save(body, { contentType, resumable: false });
+  return { path };
+}
+
+async function read(path) {
+  const [data] = await bucket().file(path).download();
+  return data;
+}
+
+async function openRead(path, { start, end } = {}) {
+  // Checksums only cover whole objects, so ranged reads skip validation
+  return bucket().file(path).createReadStream(start === undefined ? {} : { start, end, validation: false });
+}
+
+module.exports = { name: 'gcs', createUploadTarget, getReadUrl, head, remove, list, put, read, openRead };
@@ -0,0 +1,105 @@
+// Where course files and invoice PDFs live, selected by STORAGE_PROVIDER:
+//   vercel-blob   Vercel Blob (BLOB_READ_WRITE_TOKEN)
+//   gcs           Google Cloud Storage / Firebase Storage (GCS_BUCKET or the default bucket)
+//   s3            any S3-compatible store: AWS, R2, MinIO (S3_* env, see s3.js)
+//   local         a directory on this machine, for local development
+// Unset, it picks vercel-blob when a Blob token exists, gcs on Firebase and
+// local otherwise, except on a deployment (VERCEL or K_SERVICE set), where
+// local files would not survive the instance and it throws instead.
+// Every provider implements:
+//   createUploadTarget(path, { contentType, maxBytes, baseUrl })
+//     → { type: 'put', url, headers } for the browser to PUT the file to, or
+//       { type: 'vercel-blob', pathname, clientToken } for @vercel/blob/client put()
+//   getReadUrl(path, { filename, baseUrl }) → short-lived signed URL to fetch
+//     the file, or '' when the provider has none (vercel-blob)
+//   head(path)    → { size, contentType, etag, uploadedAt }, or null when missing
+//   remove(path)
+//   list(prefix)  → [{ path, size, uploadedAt }]
+//   put(path, body, { contentType }) → { path }  (server-side writes, e.g. invoices)
+//   read(path)    → Buffer
+//   openRead(path, { start, end }?) → readable stream of the bytes (end inclusive)
+// Records keep `storageProvider` and `blobPath` (the path in that provider), so
+// switching providers later does not orphan existing files. Records from before
+// providers existed only have a public Vercel Blob `blobUrl`.
+
+const crypto = require('crypto');
+const { Readable } = require('stream');
+
+const PROVIDERS = {
+  'vercel-blob': () => require('./vercelBlob'),
+  gcs: () => require('./gcs'),
+  s3: () => require('./s3'),
+  local: () => require('./local'),
+};
+
+// Lifetime of signed read URLs; they are only used for an immediate redirect
+const READ_URL_TTL_SEC = 5 * 60;
+// Lifetime of upload targets handed to the admin's browser
+const UPLOAD_TTL_SEC = 60 * 60;
+
+function configuredProvider() {
+  const name = process.env.STORAGE_PROVIDER;
+  if (name) return name;
+  if (process.env.BLOB_READ_WRITE_TOKEN) return 'vercel-blob';
+  if (process.env.FIREBASE_CONFIG) return 'gcs';
+  if (process.env.VERCEL || process.env.K_SERVICE) {
+    throw new Error('No storage provider configured: set STORAGE_PROVIDER or BLOB_READ_WRITE_TOKEN');
+  }
+  return 'local';
+}
+
+// The provider named on a record, or the configured one.
+function getStorage(name = configuredProvider()) {
+  const load = PROVIDERS[name];
+  if (!load) throw new Error(`Unknown storage provider: ${name}`);
+  return load();
+}
+
+// Short-lived URL for a stored file record ({ storageProvider, blobPath }), or ''
+// when there is none to give out. Legacy { blobUrl } records only have a
+// permanent public URL, which would work for anyone it is shared with, so they
+// never get one; serve those through fileReadStream instead.
+async function fileReadUrl(record, options = {}) {
+  if (record?.storageProvider && record.blobPath) return getStorage(record.storageProvider).getReadUrl(record.blobPath, options);
+  return '';
+}
+
+// Legacy Vercel Blob URLs are public, so plain HTTP covers head and ranged reads
+async function fetchLegacyBlob(url, { method = 'GET', start, end } = {}) {
+  const headers = start === undefined ? {} : { Range: `bytes=${start}-${end}` };
+  const resp = await fetch(url, { method, headers });
+  if (resp.status === 404) return null;
+  if (!resp.ok) throw new Error(`Blob request failed (${resp.status})`);
+  return resp;
+}
+
+// head() for a stored file record, or null when the file is gone.
+async function fileHead(record) {
+  if (record?.storageProvider && record.blobPath) return getStorage(record.storageProvider).head(record.blobPath);
+  if (!record?.blobUrl) return null;
+  const resp = await fetchLegacyBlob(record.blobUrl, { method: 'HEAD' });
+  if (!resp) return null;
+  return {
+    size: Number(resp.headers.get('content-length')),
+    contentType: resp.headers.get('content-type'),
+    etag: resp.headers.get('etag'),
+    uploadedAt: new Date(resp.headers.get('last-modified')),
+  };
+}
+
+// openRead() for a stored file record.
+async function fileReadStream(record, range) {
+  if (record.storageProvider && record.blobPath) return getStorage(record.storageProvider).openRead(record.blobPath, range);
+  const resp = await fetchLegacyBlob(record.blobUrl, range);
+  if (!resp) throw new Error('Blob not found');
+  return Readable.fromWeb(resp.body);
+}
+
+// SHA-256 hex digest of a stored file record's bytes, streamed from storage.
+async function fileSha256(record) {
+  const hash = crypto.createHash('sha256');
+  for await (const chunk of await fileReadStream(record)) hash.update(chunk);
+  return hash.digest('hex');
+}
+
+module.exports = { READ_URL_TTL_SEC, UPLOAD_TTL_SEC, configuredProvider, getStorage, fileReadUrl, fileHead, fileReadStream, fileSha256 };
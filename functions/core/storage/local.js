@@ -0,0 +1,129 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const nodePath = require('path');
+const { apiBaseUrl } = require('../http');
+const { READ_URL_TTL_SEC, UPLOAD_TTL_SEC } = require('./index');
+
+// Files in a local directory (LOCAL_STORAGE_DIR, default a temp dir), served
+// and accepted by /api/local-storage with HMAC-signed URLs. Meant for running
+// the API on a laptop; serverless filesystems do not persist.
+
+const CONTENT_TYPES = { '.zip': 'application/zip', '.pdf': 'application/pdf' };
+
+function rootDir() {
+  return process.env.LOCAL_STORAGE_DIR || nodePath.join(os.tmpdir(), 'lets-earn-storage');
+}
+
+// Absolute path of a stored file; rejects paths that would escape the root.
+function localFilePath(path) {
+  const clean = nodePath.posix.normalize(String(path || ''));
+  if (!clean || clean.startsWith('..') || nodePath.posix.isAbsolute(clean)) throw new Error('Invalid storage path');
+  return nodePath.join(rootDir(), clean);
+}
+
+function hmac(data) {
+  const secret = process.env.DOWNLOAD_TOKEN_SECRET;
+  if (!secret) throw new Error('DOWNLOAD_TOKEN_SECRET is not configured');
+  return crypto.createHmac('sha256', secret).update(`local-storage:${data}`).digest('base64url');
+}
+
+function signedUrl(baseUrl, claims, ttlSec) {
+  const body = Buffer.from(JSON.stringify({ ...claims, exp: Math.floor(Date.now() / 1000) + ttlSec })).toString('base64url');
+  return `${baseUrl || apiBaseUrl()}/api/local-storage?token=${body}.${hmac(body)}`;
+}
+
+// Returns the claims { op: 'get' | 'put', p: path, fn?, ct? } of a valid URL token, or null.
+function verifyLocalToken(token) {
+  const [body, sig] = String(token || '').split('.');
+  if (!body || !sig) return null;
+  const expected = Buffer.from(hmac(body));
+  const given = Buffer.from(sig);
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) return null;
+  try {
+    const claims = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+    return claims.exp * 1000 > Date.now() ? claims : null;
+  } catch {
+    return null;
+  }
+}
+
+async function createUploadTarget(path, { contentType, baseUrl } = {}) {
+  localFilePath(path);
+  const url = signedUrl(baseUrl, { op: 'put', p: path }, UPLOAD_TTL_SEC);
+  return { type: 'put', url, headers: contentType ? { 'Content-Type': contentType } : {} };
+}
+
+async function getReadUrl(path, { filename, baseUrl } = {}) {
+  localFilePath(path);
+  return signedUrl(baseUrl, { op: 'get', p: path, fn: filename || null }, READ_URL_TTL_SEC);
+}
+
+async function head(path) {
+  try {
+    const stat = await fs.promises.stat(localFilePath(path));
+    return {
+      size: stat.size,
+      contentType: CONTENT_TYPES[nodePath.extname(path).toLowerCase()] || 'application/octet-stream',
+      etag: `"${stat.size.toString(16)}-${Math.floor(stat.mtimeMs).toString(16)}"`,
+      uploadedAt: stat.mtime,
+    };
+  } catch (e) {
+    if (e.code === 'ENOENT') return null;
+    throw e;
+  }
+}
+
+async function remove(path) {
+  await fs.promises.rm(localFilePath(path), { force: true });
+}
+
+async function list(prefix) {
+  const root = rootDir();
+  const files = [];
+  async function walk(dir) {
+    const entries = await fs.promises.readdir(dir, { withFileTypes: true }).catch(() => []);
+    for (const entry of entries) {
+      const full = nodePath.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        await walk(full);
+        continue;
+      }
+      const path = nodePath.relative(root, full).split(nodePath.sep).join('/');
+      if (!path.startsWith(prefix || '')) continue;
+      const stat = await fs.promises.stat(full);
+      files.push({ path, size: stat.size, uploadedAt: stat.mtime });
+    }
+  }
+  await walk(root);
+  return files;
+}
+
+async function put(path, body) {
+  const file = localFilePath(path);
+  await fs.promises.mkdir(nodePath.dirname(file), { recursive: true });
+  await fs.promises.writeFile(file, body);
+  return { path };
+}
+
+async function read(path) {
+  return fs.promises.readFile(localFilePath(path));
+}
+
+async function openRead(path, { start, end } = {}) {
+  return fs.createReadStream(localFilePath(path), { start, end });
+}
+
+module.exports = {
+  name: 'local',
+  createUploadTarget,
+  getReadUrl,
+  head,
+  remove,
+  list,
+  put,
+  read,
+  openRead,
+  localFilePath,
+  verifyLocalToken,
+};
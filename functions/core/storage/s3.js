@@ -0,0 +1,98 @@
+const {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  HeadObjectCommand,
+  DeleteObjectCommand,
+  ListObjectsV2Command,
+} = require('@aws-sdk/client-s3');
+const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+const { READ_URL_TTL_SEC, UPLOAD_TTL_SEC } = require('./index');
+
+// Any S3-compatible store. S3_BUCKET is required; S3_ENDPOINT points at a
+// non-AWS service (Cloudflare R2, MinIO, ...), with S3_FORCE_PATH_STYLE=1 for
+// those that need it. Credentials come from S3_ACCESS_KEY_ID/S3_SECRET_ACCESS_KEY
+// or the usual AWS credential chain. Browser uploads need a bucket CORS rule
+// allowing PUT from the admin site.
+
+let client;
+function s3() {
+  if (!client) {
+    client = new S3Client({
+      region: process.env.S3_REGION || process.env.AWS_REGION || 'auto',
+      endpoint: process.env.S3_ENDPOINT || undefined,
+      forcePathStyle: process.env.S3_FORCE_PATH_STYLE === '1',
+      credentials: process.env.S3_ACCESS_KEY_ID
+        ? { accessKeyId: process.env.S3_ACCESS_KEY_ID, secretAccessKey: process.env.S3_SECRET_ACCESS_KEY }
+        : undefined,
+    });
+  }
+  return client;
+}
+
+function bucket() {
+  const name = process.env.S3_BUCKET;
+  if (!name) throw new Error('S3_BUCKET is not configured');
+  return name;
+}
+
+async function createUploadTarget(path, { contentType } = {}) {
+  const url = await getSignedUrl(s3(), new PutObjectCommand({ Bucket: bucket(), Key: path, ContentType: contentType }), {
+    expiresIn: UPLOAD_TTL_SEC,
+  });
+  return { type: 'put', url, headers: contentType ? { 'Content-Type': contentType } : {} };
+}
+
+async function getReadUrl(path, { filename } = {}) {
+  return getSignedUrl(s3(), new GetObjectCommand({
+    Bucket: bucket(),
+    Key: path,
+    ResponseContentDisposition: filename ? `attachment; filename="${filename}"` : undefined,
+  }), { expiresIn: READ_URL_TTL_SEC });
+}
+
+async function head(path) {
+  try {
+    const meta = await s3().send(new HeadObjectCommand({ Bucket: bucket(), Key: path }));
+    return { size: meta.ContentLength, contentType: meta.ContentType || null, etag: meta.ETag || null, uploadedAt: meta.LastModified };
+  } catch (e) {
+    if (e.$metadata?.httpStatusCode === 404) return null;
+    throw e;
+  }
+}
+
+async function remove(path) {
+  await s3().send(new DeleteObjectCommand({ Bucket: bucket(), Key: path }));
+}
+
+async function list(prefix) {
+  const files = [];
+  let token;
+  do {
+    const page = await s3().send(new ListObjectsV2Command({ Bucket: bucket(), Prefix: prefix, ContinuationToken: token }));
+    (page.Contents || []).forEach((o) => files.push({ path: o.Key, size: o.Size, uploadedAt: o.LastModified }));
+    token = page.IsTruncated ? page.NextContinuationToken : undefined;
+  } while (token);
+  return files;
+}
+
+async function put(path, body, { contentType } = {}) {
+  await s3().send(new PutObjectCommand({ Bucket: bucket(), Key: path, Body: body, ContentType: contentType }));
+  return { path };
+}
+
+async function read(path) {
+  const obj = await s3().send(new GetObjectCommand({ Bucket: bucket(), Key: path }));
+  return Buffer.from(await obj.Body.transformToByteArray());
+}
+
+async function openRead(path, { start, end } = {}) {
+  const obj = await s3().send(new GetObjectCommand({
+    Bucket: bucket(),
+    Key: path,
+    Range: start === undefined ? undefined : `bytes=${start}-${end}`,
+  }));
+  return obj.Body;
+}
+
+module.exports = { name: 's3', createUploadTarget, getReadUrl, head, remove, list, put, read, openRead };
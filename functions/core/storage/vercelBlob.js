@@ -0,0 +1,92 @@
+const { Readable } = require('stream');
+const { head, del, list, put } = require('@vercel/blob');
+const { generateClientTokenFromReadWriteToken } = require('@vercel/blob/client');
+const { UPLOAD_TTL_SEC } = require('./index');
+
+// Vercel Blob. Blobs are public and their URLs never expire, so paths carry a
+// random segment and the URLs never leave the API: getReadUrl gives none, and
+// downloads are streamed even with DOWNLOAD_MODE=redirect. The SDK addresses
+// blobs by URL; paths are resolved to one with a prefix listing.
+
+async function findBlob(path) {
+  const { blobs } = await list({ prefix: path, limit: 10 });
+  return blobs.find((b) => b.pathname === path) || null;
+}
+
+async function createUploadTarget(path, { contentType, maxBytes } = {}) {
+  const clientToken = await generateClientTokenFromReadWriteToken({
+    pathname: path,
+    allowedContentTypes: contentType ? [contentType] : undefined,
+    maximumSizeInBytes: maxBytes,
+    // The API picks the path and expects the file exactly there
+    addRandomSuffix: false,
+    validUntil: Date.now() + UPLOAD_TTL_SEC * 1000,
+  });
+  return { type: 'vercel-blob', pathname: path, clientToken };
+}
+
+async function blobUrl(path) {
+  const blob = await findBlob(path);
+  return blob ? blob.url : '';
+}
+
+// There are no signed URLs for public blobs
+async function getReadUrl() {
+  return '';
+}
+
+async function headFile(path) {
+  const blob = await findBlob(path);
+  if (!blob) return null;
+  const meta = await head(blob.url);
+  return { size: meta.size, contentType: meta.contentType, etag: null, uploadedAt: meta.uploadedAt };
+}
+
+async function remove(path) {
+  const blob = await findBlob(path);
+  if (blob) await del(blob.url);
+}
+
+async function listFiles(prefix) {
+  const files = [];
+  let cursor;
+  do {
+    const page = await list({ prefix, cursor });
+    page.blobs.forEach((b) => files.push({ path: b.pathname, size: b.size, uploadedAt: b.uploadedAt }));
+    cursor = page.hasMore ? page.cursor : undefined;
+  } while (cursor);
+  return files;
+}
+
+async function putFile(path, body, { contentType } = {}) {
+  // A random suffix keeps server-written blobs (invoices) unguessable
+  const blob = await put(path, body, { access: 'public', contentType, addRandomSuffix: true });
+  return { path: blob.pathname };
+}
+
+async function read(path) {
+  const url = await blobUrl(path);
+  const resp = url ? await fetch(url) : null;
+  if (!resp?.ok) throw new Error(`Blob not readable: ${path}`);
+  return Buffer.from(await resp.arrayBuffer());
+}
+
+async function openRead(path, { start, end } = {}) {
+  const url = await blobUrl(path);
+  if (!url) throw new Error(`Blob not found: ${path}`);
+  const resp = await fetch(url, { headers: start === undefined ? {} : { Range: `bytes=${start}-${end}` } });
+  if (!resp.ok) throw new Error(`Blob not readable: ${path} (${resp.status})`);
+  return Readable.fromWeb(resp.body);
+}
+
+module.exports = {
+  name: 'vercel-blob',
+  createUploadTarget,
+  getReadUrl,
+  head: headFile,
+  remove,
+  list: listFiles,
+  put: putFile,
+  read,
+  openRead,
+};
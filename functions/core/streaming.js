@@ -0,0 +1,92 @@
+const { once } = require('events');
+const { fileReadStream } = require('./storage');
+
+// Serving stored files through the API with HTTP range support, so interrupted
+// downloads of large ZIPs resume instead of starting over.
+
+// Parses a Range header against a file size. Returns { start, end } (inclusive),
+// null to send the whole file (no header, or several ranges, which RFC 9110
+// lets servers ignore), or 'unsatisfiable'.
+function parseRange(header, size) {
+  const match = /^bytes=(\d*)-(\d*)$/.exec(String(header || '').trim());
+  if (!match || (!match[1] && !match[2])) return null;
+  let start;
+  let end;
+  if (!match[1]) {
+    // Suffix range: the last N bytes
+    const suffix = Number(match[2]);
+    if (!suffix) return 'unsatisfiable';
+    start = Math.max(size - suffix, 0);
+    end = size - 1;
+  } else {
+    start = Number(match[1]);
+    end = match[2] ? Math.min(Number(match[2]), size - 1) : size - 1;
+  }
+  if (start >= size || start > end) return 'unsatisfiable';
+  return { start, end };
+}
+
+// { ifRange, start } for a request that continues an earlier transfer partway
+// through (an If-Range and a Range starting after byte 0), or null for anything
+// that fetches the file from the start.
+function resumeRequest(req) {
+  const ifRange = req.headers['if-range'];
+  const match = /^bytes=(\d+)-\d*$/.exec(String(req.headers.range || '').trim());
+  return ifRange && match && Number(match[1]) > 0 ? { ifRange, start: Number(match[1]) } : null;
+}
+
+// RFC 6266 header; the ASCII fallback keeps old clients happy
+function contentDisposition(filename) {
+  const ascii = filename.replace(/[^\x20-\x7e]|["\\]/g, '_');
+  return `attachment; filename="${ascii}"; filename*=UTF-8''${encodeURIComponent(filename)}`;
+}
+
+// Answers GET or HEAD for a stored file record (see storage) whose head() is
+// `meta`. `onBeforeEnd(bytes)` runs once the body is written (or the client went
+// away) but before the response ends, since serverless runtimes may freeze the
+// process right after. Returns { status, bytes }.
+async function sendStoredFile(req, res, { file, meta, etag, filename, onBeforeEnd }) {
+  // A resume is only safe if the file did not change since the first part
+  const ifRange = req.headers['if-range'];
+  const range = ifRange && ifRange !== etag ? null : parseRange(req.headers.range, meta.size);
+
+  res.setHeader('Accept-Ranges', 'bytes');
+  res.setHeader('ETag', etag);
+  res.setHeader('Cache-Control', 'private, no-store');
+  if (range === 'unsatisfiable') {
+    res.setHeader('Content-Range', `bytes */${meta.size}`);
+    res.status(416).end();
+    return { status: 416, bytes: 0 };
+  }
+  res.setHeader('Content-Type', meta.contentType || 'application/zip');
+  res.setHeader('Content-Disposition', contentDisposition(filename));
+  res.setHeader('Content-Length', String(range ? range.end - range.start + 1 : meta.size));
+  if (range) res.setHeader('Content-Range', `bytes ${range.start}-${range.end}/${meta.size}`);
+  const status = range ? 206 : 200;
+  res.statusCode = status;
+  if (req.method === 'HEAD') {
+    res.end();
+    return { status, bytes: 0 };
+  }
+
+  const source = await fileReadStream(file, range || undefined);
+  const closed = once(res, 'close').catch(() => {});
+  let bytes = 0;
+  try {
+    for await (const chunk of source) {
+      if (res.destroyed) break;
+      bytes += chunk.length;
+      if (!res.write(chunk)) await Promise.race([once(res, 'drain'), closed]);
+    }
+  } catch (e) {
+    console.error('file stream error', e);
+    res.destroy(e);
+  } finally {
+    source.destroy?.();
+  }
+  if (onBeforeEnd) await onBeforeEnd(bytes).catch((e) => console.error('file stream log error', e));
+  if (!res.destroyed) res.end();
+  return { status, bytes };
+}
+
+module.exports = { parseRange, resumeRequest, contentDisposition, sendStoredFile };
@@ -0,0 +1,373 @@
+const crypto = require('crypto');
+const JSZip = require('jszip');
+const { PDFDocument, StandardFonts, rgb } = require('pdf-lib');
+const { admin } = require('./firebaseAdmin');
+const { configuredProvider, getStorage, fileReadStream } = require('./storage');
+
+// Per-buyer course files. Each buyer gets their own copy of a release with:
+//   - LICENSE.txt at the ZIP root naming the buyer, order and license id
+//   - the license id in the ZIP comment
+//   - every PDF stamped on each page (email, order, license id) and carrying
+//     the license id in its Keywords/Subject metadata
+// Copies are cached in storage and recorded in `watermarks/{licenseId}`:
+//   { licenseId, email, orderId, courseId, courseTitle, version, source,
+//     sourceSize, status, attempts, lockedUntil, lastError, storageProvider,
+//     blobPath, size, checksum, pdfsStamped, createdAt, builtAt, lastServedAt }
+// status is queued | building | ready | failed; the doc doubles as the build
+// lock (`lockedUntil`), so only one request or job makes each copy. Sources up
+// to WATERMARK_INLINE_MAX_MB are personalized during the first download;
+// larger ones are queued and made by buildPendingCopies, run from a scheduled
+// job, while the download asks the buyer to come back shortly.
+// A copy is never replaced by the unmarked file: one that cannot be made
+// (sources above WATERMARK_MAX_MB, since personalizing happens in memory, or
+// MAX_BUILD_ATTEMPTS failures) is marked failed, listed to admins through
+// /api/watermarks and made again once they queue a rebuild (see requeueCopy).
+// The license id is an HMAC of buyer, course and version, so it is stable per
+// entitlement and release and cannot be forged to frame another buyer.
+// WATERMARK_DOWNLOADS=0 turns this off.
+
+const LICENSE_ID_RE = /lic_[a-f0-9]{20}/g;
+const DEFAULT_MAX_MB = 300;
+const DEFAULT_INLINE_MAX_MB = 25;
+const BUILD_LOCK_MS = 10 * 60 * 1000;
+const MAX_BUILD_ATTEMPTS = 3;
+
+function watermarkingEnabled() {
+  return process.env.WATERMARK_DOWNLOADS !== '0';
+}
+
+function megabytesFromEnv(name, fallback) {
+  const n = Number(process.env[name]);
+  return (Number.isFinite(n) && n > 0 ? n : fallback) * 1024 * 1024;
+}
+
+function maxSourceBytes() {
+  return megabytesFromEnv('WATERMARK_MAX_MB', DEFAULT_MAX_MB);
+}
+
+function maxInlineBytes() {
+  return Math.min(megabytesFromEnv('WATERMARK_INLINE_MAX_MB', DEFAULT_INLINE_MAX_MB), maxSourceBytes());
+}
+
+function licenseIdFor({ email, courseId, version }) {
+  const secret = process.env.DOWNLOAD_TOKEN_SECRET;
+  if (!secret) throw new Error('DOWNLOAD_TOKEN_SECRET is not configured');
+  const mac = crypto.createHmac('sha256', secret).update(`watermark:${email}|${courseId}|${version || 0}`).digest('hex');
+  return `lic_${mac.slice(0, 20)}`;
+}
+
+function licenseText({ email, orderId, licenseId, courseTitle, version }) {
+  return [
+    `${courseTitle}${version ? ` (v${version})` : ''}`,
+    '',
+    `Licensed to: ${email}`,
+    `Order: ${orderId || 'n/a'}`,
+    `License ID: ${licenseId}`,
+    `Issued: ${new Date().toISOString().slice(0, 10)}`,
+    '',
+    'This copy is for the personal use of the buyer named above. It is marked',
+    'for that buyer, and copies shared with others can be traced back to them.',
+    '',
+  ].join('\n');
+}
+
+// Standard PDF fonts only cover WinAnsi; anything else would throw
+function winAnsiSafe(text) {
+  return String(text).replace(/[^\x20-\x7e]/g, '?');
+}
+
+async function stampPdf(bytes, { email, orderId, licenseId }) {
+  const pdf = await PDFDocument.load(bytes, { updateMetadata: false });
+  const font = await pdf.embedFont(StandardFonts.Helvetica);
+  const label = winAnsiSafe(`Licensed to ${email} - Order ${orderId || 'n/a'} - ${licenseId}`);
+  for (const page of pdf.getPages()) {
+    const { width } = page.getSize();
+    const size = 7;
+    page.drawText(label, {
+      x: Math.max((width - font.widthOfTextAtSize(label, size)) / 2, 8),
+      y: 8,
+      size,
+      font,
+      color: rgb(0.45, 0.45, 0.45),
+      opacity: 0.7,
+    });
+  }
+  const keywords = pdf.getKeywords();
+  pdf.setKeywords([...(keywords ? keywords.split(/[;,]\s*/).filter(Boolean) : []), `license:${licenseId}`]);
+  pdf.setSubject(`Licensed to ${email} (${licenseId})`);
+  return Buffer.from(await pdf.save());
+}
+
+// JSZip copies an entry's compressed bytes as they are when it is written with
+// the compression it was read with, so pin that instead of recompressing.
+function keepCompression(entry) {
+  const magic = entry._data?.compression?.magic;
+  if (magic === '\x00\x00') entry.options.compression = 'STORE';
+  else if (magic === '\x08\x00') entry.options.compression = 'DEFLATE';
+}
+
+// Returns { buffer, pdfsStamped } for the personalized ZIP. Only PDFs are
+// decompressed; every other entry is copied without being decompressed.
+async function personalizeZip(source, { email, orderId, licenseId, courseTitle, version }) {
+  const zip = await JSZip.loadAsync(source);
+  let pdfsStamped = 0;
+  for (const entry of Object.values(zip.files)) {
+    if (entry.dir) continue;
+    if (!/\.pdf$/i.test(entry.name) || entry.name.startsWith('__MACOSX/')) {
+      keepCompression(entry);
+      continue;
+    }
+    try {
+      zip.file(entry.name, await stampPdf(await entry.async('uint8array'), { email, orderId, licenseId }));
+      pdfsStamped += 1;
+    } catch (e) {
+      // Encrypted or malformed PDFs stay as they are; the license file still marks the copy
+      console.warn('watermark: could not stamp', entry.name, e.message);
+      keepCompression(entry);
+    }
+  }
+  zip.file('LICENSE.txt', licenseText({ email, orderId, licenseId, courseTitle, version }));
+  const buffer = await zip.generateAsync({
+    type: 'nodebuffer',
+    compression: 'DEFLATE',
+    comment: `Licensed to ${email} - ${licenseId}`,
+  });
+  return { buffer, pdfsStamped };
+}
+
+async function readAll(stream) {
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(chunk);
+  return Buffer.concat(chunks);
+}
+
+// The stored file fields of a release, kept on the copy's record so a job can build it later.
+function sourceRef(source) {
+  return {
+    storageProvider: source.storageProvider || null,
+    blobPath: source.blobPath || null,
+    blobUrl: source.blobUrl || null,
+  };
+}
+
+const isReady = (copy) => copy?.status === 'ready' || (copy && !copy.status && copy.blobPath);
+
+// Takes the build lock of a copy. Returns the record to build from, or null when
+// the copy is ready (unless `rebuild`) or someone else is building it. With
+// `queueOnly` the copy is only queued for buildPendingCopies.
+async function claimBuild(db, ref, job, { rebuild = false, queueOnly = false } = {}) {
+  return db.runTransaction(async (tx) => {
+    const snap = await tx.get(ref);
+    const copy = snap.exists ? snap.data() : null;
+    if (isReady(copy) && !rebuild) return null;
+    if (copy?.status === 'failed') return null;
+    const locked = copy?.status === 'building' && copy.lockedUntil?.toMillis() > Date.now();
+    if (locked || (queueOnly && copy?.status === 'queued')) return null;
+    const now = admin.firestore.FieldValue.serverTimestamp();
+    const record = {
+      ...(copy || {}),
+      ...job,
+      status: queueOnly ? 'queued' : 'building',
+      lockedUntil: queueOnly ? null : admin.firestore.Timestamp.fromMillis(Date.now() + BUILD_LOCK_MS),
+      attempts: (copy?.attempts || 0) + (queueOnly ? 0 : 1),
+      ...(copy ? {} : { createdAt: now }),
+    };
+    tx.set(ref, record);
+    return record;
+  });
+}
+
+// Makes the copy described by a claimed record, stores it and marks it ready.
+// Returns { file, meta }. On failure the copy goes back to the queue, or to
+// failed after MAX_BUILD_ATTEMPTS, and the error is rethrown.
+async function buildCopy(ref, job) {
+  if (job.sourceSize > maxSourceBytes()) {
+    const lastError = `source_too_large: ${Math.ceil(job.sourceSize / 1024 / 1024)} MB is over WATERMARK_MAX_MB`;
+    await ref.update({ status: 'failed', lockedUntil: null, lastError });
+    throw new Error(lastError);
+  }
+  try {
+    const { buffer, pdfsStamped } = await personalizeZip(await readAll(await fileReadStream(job.source)), {
+      email: job.email,
+      orderId: job.orderId,
+      licenseId: job.licenseId,
+      courseTitle: job.courseTitle,
+      version: job.version,
+    });
+    const storageProvider = configuredProvider();
+    const storage = getStorage(storageProvider);
+    const { path } = await storage.put(`personalized/${job.courseId}/v${job.version || 0}/${job.licenseId}.zip`, buffer, { contentType: 'application/zip' });
+    const now = admin.firestore.FieldValue.serverTimestamp();
+    const built = {
+      status: 'ready',
+      lockedUntil: null,
+      lastError: null,
+      storageProvider,
+      blobPath: path,
+      size: buffer.length,
+      checksum: crypto.createHash('sha256').update(buffer).digest('hex'),
+      pdfsStamped,
+      builtAt: now,
+    };
+    await ref.update(built);
+    return { file: { ...job, ...built }, meta: await storage.head(path) };
+  } catch (e) {
+    await ref.update({
+      status: (job.attempts || 0) >= MAX_BUILD_ATTEMPTS ? 'failed' : 'queued',
+      lockedUntil: null,
+      lastError: String(e?.message || e).slice(0, 500),
+    });
+    throw e;
+  }
+}
+
+// The buyer's copy of a release `source` (a stored file record, see storage).
+// Returns { file, meta } ready to serve: the copy once it exists, or the source
+// itself when watermarking does not apply. When the copy is not ready yet and
+// is too large to make within the request, or another request is making it,
+// returns { pending: true } and the copy is queued for buildPendingCopies.
+async function getPersonalizedFile(db, { source, sourceMeta, course, version, email, orderId }) {
+  if (!watermarkingEnabled()) return { file: source, meta: sourceMeta };
+  const licenseId = licenseIdFor({ email, courseId: course.id, version });
+  const ref = db.collection('watermarks').doc(licenseId);
+  const snap = await ref.get();
+  const copy = snap.exists ? snap.data() : null;
+  if (isReady(copy)) {
+    const meta = await getStorage(copy.storageProvider).head(copy.blobPath);
+    if (meta) {
+      await ref.update({ lastServedAt: admin.firestore.FieldValue.serverTimestamp() });
+      return { file: copy, meta };
+    }
+  }
+  // Waits for an admin to look into it (see listFailedCopies)
+  if (copy?.status === 'failed') return { pending: true };
+
+  const job = {
+    licenseId,
+    email,
+    orderId: orderId || null,
+    courseId: course.id,
+    courseTitle: course.title || course.id,
+    version: version || null,
+    source: sourceRef(source),
+    sourceSize: sourceMeta.size,
+  };
+  // A ready copy whose file went missing is made again
+  const rebuild = isReady(copy);
+  const inline = sourceMeta.size <= maxInlineBytes();
+  const claimed = await claimBuild(db, ref, job, { rebuild, queueOnly: !inline });
+  if (!inline || !claimed) return { pending: true };
+  const built = await buildCopy(ref, claimed);
+  await ref.update({ lastServedAt: admin.firestore.FieldValue.serverTimestamp() });
+  return built;
+}
+
+// Copies that could not be made, newest first, for admins.
+async function listFailedCopies(db, { limit = 50 } = {}) {
+  const snap = await db.collection('watermarks').where('status', '==', 'failed').limit(limit).get();
+  return snap.docs
+    .map((d) => d.data())
+    .map((c) => ({
+      licenseId: c.licenseId,
+      email: c.email,
+      courseId: c.courseId,
+      version: c.version,
+      attempts: c.attempts || 0,
+      lastError: c.lastError || null,
+      sourceSize: c.sourceSize || null,
+      createdAt: c.createdAt?.toMillis?.() || null,
+    }))
+    .sort((a, b) => (b.createdAt || 0) - (a.createdAt || 0));
+}
+
+// Puts a failed copy back in the queue with fresh attempts, e.g. after raising
+// WATERMARK_MAX_MB or fixing the source. Returns false if it is not failed.
+async function requeueCopy(db, licenseId) {
+  const ref = db.collection('watermarks').doc(String(licenseId));
+  return db.runTransaction(async (tx) => {
+    const snap = await tx.get(ref);
+    if (!snap.exists || snap.data().status !== 'failed') return false;
+    tx.update(ref, { status: 'queued', attempts: 0, lockedUntil: null, lastError: null });
+    return true;
+  });
+}
+
+// Makes queued copies, and retries ones whose build was cut off. Run from a
+// scheduled job. Returns [{ licenseId, status }].
+async function buildPendingCopies(db, { max = 5 } = {}) {
+  const results = [];
+  const snap = await db.collection('watermarks').where('status', 'in', ['queued', 'building']).limit(max * 4).get();
+  for (const doc of snap.docs) {
+    if (results.length >= max) break;
+    const claimed = await claimBuild(db, doc.ref, {});
+    if (!claimed) continue;
+    try {
+      await buildCopy(doc.ref, claimed);
+      results.push({ licenseId: doc.id, status: 'ready' });
+    } catch (e) {
+      console.error('watermark: build failed', doc.id, e);
+      results.push({ licenseId: doc.id, status: 'failed' });
+    }
+  }
+  return results;
+}
+
+// License ids found in a leaked file: a personalized ZIP (comment, LICENSE.txt,
+// PDFs inside) or a single PDF taken out of one. Falls back to scanning the raw
+// bytes, which catches uncompressed metadata and plain-text copies.
+async function findLicenseIds(buffer) {
+  const ids = new Set(buffer.toString('latin1').match(LICENSE_ID_RE) || []);
+  const addFrom = (text) => (String(text || '').match(LICENSE_ID_RE) || []).forEach((id) => ids.add(id));
+  const readPdf = async (bytes) => {
+    const pdf = await PDFDocument.load(bytes, { ignoreEncryption: true, updateMetadata: false });
+    addFrom(pdf.getKeywords());
+    addFrom(pdf.getSubject());
+  };
+
+  if (buffer.subarray(0, 4).toString('latin1') === '%PDF') {
+    await readPdf(buffer).catch(() => {});
+  } else if (buffer.length >= 4 && buffer.readUInt32LE(0) === 0x04034b50) {
+    const zip = await JSZip.loadAsync(buffer).catch(() => null);
+    if (zip) {
+      addFrom(zip.comment);
+      for (const entry of Object.values(zip.files)) {
+        if (entry.dir) continue;
+        if (/(^|\/)LICENSE\.txt$/i.test(entry.name)) addFrom(await entry.async('string'));
+        else if (/\.pdf$/i.test(entry.name)) await readPdf(await entry.async('uint8array')).catch(() => {});
+      }
+    }
+  }
+  return [...ids];
+}
+
+// Buyer records for license ids, in the order given; unknown ids are kept with found: false.
+async function lookupLicenses(db, licenseIds) {
+  const snaps = await Promise.all(licenseIds.map((id) => db.collection('watermarks').doc(id).get()));
+  return snaps.map((snap, i) => {
+    if (!snap.exists) return { licenseId: licenseIds[i], found: false };
+    const d = snap.data();
+    return {
+      licenseId: d.licenseId,
+      found: true,
+      email: d.email,
+      orderId: d.orderId,
+      courseId: d.courseId,
+      version: d.version,
+      createdAt: d.createdAt?.toMillis?.() || null,
+      lastServedAt: d.lastServedAt?.toMillis?.() || null,
+    };
+  });
+}
+
+module.exports = {
+  LICENSE_ID_RE,
+  watermarkingEnabled,
+  licenseIdFor,
+  personalizeZip,
+  getPersonalizedFile,
+  buildPendingCopies,
+  listFailedCopies,
+  requeueCopy,
+  findLicenseIds,
+  lookupLicenses,
+};
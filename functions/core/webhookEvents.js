@@ -0,0 +1,90 @@
+const crypto = require('crypto');
+const { admin } = require('./firebaseAdmin');
+
+// Every webhook delivery is logged in `webhook_events/{eventId}`:
+//   { eventId, provider, type, orderId, payload, status, attempts, httpStatus,
+//     result, error, receivedAt, startedAt, processedAt, replays, lastReplayAt }
+// status is processing | processed | failed. Cashfree retries deliveries, so a
+// processed event is acknowledged again without re-running side effects.
+
+// A delivery stuck in `processing` this long is assumed to have crashed.
+const STALE_PROCESSING_MS = 2 * 60 * 1000;
+
+// Cashfree has no event id, so derive one from the entity id and its state:
+// the same refund moving PENDING -> SUCCESS is two distinct events.
+function webhookEventId(payload, rawBody) {
+  const type = payload?.type || payload?.event || 'UNKNOWN';
+  const data = payload?.data || {};
+  const entityId = data.payment?.cf_payment_id || data.refund?.cf_refund_id || data.dispute?.dispute_id;
+  const state = data.payment?.payment_status || data.refund?.refund_status || data.dispute?.dispute_status || '';
+  const key = entityId
+    ? `${type}_${entityId}_${state}`
+    : `${type}_${crypto.createHash('sha256').update(rawBody).digest('hex').slice(0, 32)}`;
+  return key.replace(/[^A-Za-z0-9_-]/g, '_').slice(0, 200);
+}
+
+// Marks the event as being processed. Returns 'new' or 'retry' when the caller
+// should process it, 'duplicate' when it was already processed and
+// 'in_progress' when another delivery is handling it right now.
+async function claimWebhookEvent(db, eventId, { type, orderId, payload }) {
+  const ref = db.collection('webhook_events').doc(eventId);
+  return db.runTransaction(async (tx) => {
+    const snap = await tx.get(ref);
+    const now = Date.now();
+    if (!snap.exists) {
+      tx.set(ref, {
+        eventId,
+        provider: 'cashfree',
+        type: type || null,
+        orderId: orderId || null,
+        payload,
+        status: 'processing',
+        attempts: 1,
+        replays: 0,
+        startedAt: now,
+        receivedAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+      return 'new';
+    }
+    const data = snap.data();
+    if (data.status === 'processed') return 'duplicate';
+    if (data.status === 'processing' && now - (data.startedAt || 0) < STALE_PROCESSING_MS) return 'in_progress';
+    tx.update(ref, {
+      status: 'processing',
+      attempts: admin.firestore.FieldValue.increment(1),
+      startedAt: now,
+    });
+    return 'retry';
+  });
+}
+
+async function completeWebhookEvent(db, eventId, { status, body }) {
+  await db.collection('webhook_events').doc(eventId).set({
+    status: 'processed',
+    httpStatus: status,
+    result: body,
+    error: null,
+    processedAt: admin.firestore.FieldValue.serverTimestamp(),
+  }, { merge: true });
+}
+
+async function failWebhookEvent(db, eventId, err, { status, body } = {}) {
+  await db.collection('webhook_events').doc(eventId).set({
+    status: 'failed',
+    httpStatus: status || null,
+    result: body || null,
+    error: String(err?.message || err).slice(0, 1000),
+    processedAt: admin.firestore.FieldValue.serverTimestamp(),
+  }, { merge: true });
+}
+
+// Records the outcome of processing an event. Only a 2xx result marks it
+// processed; anything else (e.g. the Cashfree order lookup failing) leaves it
+// failed, so the provider's retry runs it again instead of being acknowledged
+// as a duplicate.
+async function finishWebhookEvent(db, eventId, result) {
+  if (result.status >= 200 && result.status < 300) return completeWebhookEvent(db, eventId, result);
+  return failWebhookEvent(db, eventId, result.body?.error || `HTTP ${result.status}`, result);
+}
+
+module.exports = { webhookEventId, claimWebhookEvent, completeWebhookEvent, failWebhookEvent, finishWebhookEvent };
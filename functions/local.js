@@ -0,0 +1,8 @@
+const { createApp } = require("./app");
+
+// Runs the API locally: `npm start` here, then point the storefront at it with
+// VITE_BACKEND_URL=http://localhost:8787. Uses the same environment variables as
+// the deployments; set FIRESTORE_EMULATOR_HOST and FIREBASE_AUTH_EMULATOR_HOST
+// to run against the emulators instead of a real project.
+const port = Number(process.env.PORT) || 8787;
+createApp().listen(port, () => console.log(`API listening on http://localhost:${port}/api`));
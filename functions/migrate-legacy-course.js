@@ -0,0 +1,107 @@
+const crypto = require("crypto");
+const { admin } = require("./core/firebaseAdmin");
+const { LEGACY_COURSE_ID, getCourseFile, pickCourseContent, publishCourse } = require("./core/courses");
+const { recordRelease } = require("./core/releases");
+const { configuredProvider, getStorage, fileHead, fileReadStream } = require("./core/storage");
+const { SYSTEM_ACTORS, recordAudit } = require("./core/audit");
+
+// One-off migration for the course sold before the catalog existed:
+// `npm run migrate-legacy-course` here, with the same credentials as the API.
+// Publishes its catalog doc, which create-order needs for the price, then copies
+// the ZIP behind settings/global.courseBlobUrl (a public URL in a doc anyone can
+// read) into private storage as a release of the legacy course and deletes the
+// field. Safe to run again. Delete the old public blob afterwards.
+
+// What the storefront showed before the catalog, when the price lived in the
+// browser. Set LEGACY_COURSE_PRICE_INR to publish a different price.
+const LEGACY_CONTENT = {
+  title: "Entrepreneur's Pocket MBA",
+  subtitle: "Zero fluff. High-leverage playbooks to make money faster.",
+  bullets: [
+    "100+ pages of distilled tactics",
+    "Templates for validation and sales",
+    "Pricing and funnel playbook",
+  ],
+  priceINR: 1999,
+  published: true,
+  sortOrder: 0,
+};
+
+async function seedLegacyCourse(db) {
+  const courseRef = db.collection("courses").doc(LEGACY_COURSE_ID);
+  const snap = await courseRef.get();
+  if (snap.exists) {
+    if (!Number(snap.data().priceINR)) console.warn(`courses/${LEGACY_COURSE_ID} has no price; publish one from the admin panel`);
+    return console.log(`courses/${LEGACY_COURSE_ID} already exists; leaving it as is`);
+  }
+
+  const content = pickCourseContent({ ...LEGACY_CONTENT, priceINR: process.env.LEGACY_COURSE_PRICE_INR || LEGACY_CONTENT.priceINR });
+  if (!content.priceINR) throw new Error("LEGACY_COURSE_PRICE_INR is not a valid price");
+  const { version, changes } = await publishCourse(db, { courseId: LEGACY_COURSE_ID, content, by: null });
+  // A ZIP already moved by an earlier run was recorded before the doc existed
+  const file = await getCourseFile(db, { id: LEGACY_COURSE_ID });
+  if (file?.currentVersion) await courseRef.update({ currentRelease: file.currentVersion });
+  await recordAudit(db, {
+    action: "course_publish",
+    actor: SYSTEM_ACTORS.maintenance,
+    targetType: "course",
+    targetId: LEGACY_COURSE_ID,
+    details: { version, changes },
+  });
+  console.log(`Published courses/${LEGACY_COURSE_ID} at ₹${content.priceINR}`);
+}
+
+async function migrateLegacyFile(db) {
+  const settingsRef = db.collection("settings").doc("global");
+  const settings = await settingsRef.get();
+  const blobUrl = settings.exists ? settings.data().courseBlobUrl : "";
+  if (!blobUrl) return console.log("settings/global.courseBlobUrl is already gone");
+
+  const existing = await getCourseFile(db, { id: LEGACY_COURSE_ID });
+  if (existing) {
+    console.log(`${LEGACY_COURSE_ID} already has a course file; leaving it as is`);
+  } else {
+    const meta = await fileHead({ blobUrl });
+    if (!meta) throw new Error(`The legacy course file is missing: ${blobUrl}`);
+    const chunks = [];
+    for await (const chunk of await fileReadStream({ blobUrl })) chunks.push(chunk);
+    const buffer = Buffer.concat(chunks);
+    const provider = configuredProvider();
+    const path = `courses/${LEGACY_COURSE_ID}/${crypto.randomBytes(8).toString("hex")}/${LEGACY_COURSE_ID}.zip`;
+    await getStorage(provider).put(path, buffer, { contentType: "application/zip" });
+    const version = await recordRelease(db, {
+      courseId: LEGACY_COURSE_ID,
+      file: { provider, path },
+      size: buffer.length,
+      contentType: "application/zip",
+      checksum: crypto.createHash("sha256").update(buffer).digest("hex"),
+      notes: "Moved from the legacy settings/global.courseBlobUrl",
+      uploadedBy: null,
+    });
+    await recordAudit(db, {
+      action: "course_upload",
+      actor: SYSTEM_ACTORS.maintenance,
+      targetType: "course",
+      targetId: LEGACY_COURSE_ID,
+      details: { version, size: buffer.length, migratedFrom: "settings/global.courseBlobUrl" },
+    });
+    console.log(`Copied the legacy ZIP to ${provider}:${path} as release ${version}`);
+  }
+
+  await settingsRef.update({ courseBlobUrl: admin.firestore.FieldValue.delete() });
+  console.log(`Removed settings/global.courseBlobUrl. Now delete the public blob at ${blobUrl}`);
+}
+
+async function main() {
+  const db = admin.firestore();
+  await seedLegacyCourse(db);
+  await migrateLegacyFile(db);
+}
+
+main()
+  .catch((e) => {
+    console.error("migration failed", e);
+    process.exitCode = 1;
+  })
+  // Close the Firestore connection so the process can exit
+  .finally(() => admin.app().delete());
@@ -0,0 +1,21 @@
+const { admin } = require("./core/firebaseAdmin");
+const { rebuildSalesStats } = require("./core/salesStats");
+const { SYSTEM_ACTORS, recordAudit } = require("./core/audit");
+
+// Recomputes the sales_stats counters of closed days from the orders ledger:
+// `npm run rebuild-sales-stats` here, with the same credentials as the API.
+// Today's counters are left to the live increments.
+async function main() {
+  const db = admin.firestore();
+  const result = await rebuildSalesStats(db);
+  await recordAudit(db, { action: "sales_stats_rebuild", actor: SYSTEM_ACTORS.maintenance, targetType: "sales_stats", details: result });
+  console.log(`Rebuilt ${result.days} days through ${result.through} from ${result.orders} orders`);
+}
+
+main()
+  .catch((e) => {
+    console.error("rebuild failed", e);
+    process.exitCode = 1;
+  })
+  // Close the Firestore connection so the process can exit
+  .finally(() => admin.app().delete());
@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { verifyWebhookSignature } = require('../core/cashfree');
+
+// Signed the way Cashfree signs deliveries: base64(HMAC-SHA256(timestamp + rawBody))
+const SECRET = 'test_webhook_secret';
+const NOW = Date.parse('2026-01-15T10:00:00Z');
+const BODY = Buffer.from(JSON.stringify({
+  type: 'PAYMENT_SUCCESS_WEBHOOK',
+  data: {
+    order: { order_id: 'order_123', order_amount: 499, order_currency: 'INR' },
+    payment: { cf_payment_id: 98765, payment_status: 'SUCCESS' },
+    customer_details: { customer_email: 'buyer@example.com' },
+  },
+}));
+
+function sign(rawBody, timestamp, secret = SECRET) {
+  return crypto.createHmac('sha256', secret).update(String(timestamp)).update(rawBody).digest('base64');
+}
+
+function delivery(overrides = {}) {
+  const timestamp = String(NOW - 1000);
+  return {
+    rawBody: BODY,
+    timestamp,
+    signature: sign(BODY, timestamp),
+    secret: SECRET,
+    toleranceSec: 300,
+    now: NOW,
+    ...overrides,
+  };
+}
+
+test('accepts a correctly signed delivery', () => {
+  assert.deepEqual(verifyWebhookSignature(delivery()), { ok: true });
+});
+
+test('accepts timestamps sent in seconds', () => {
+  const timestamp = String(Math.floor(NOW / 1000));
+  assert.deepEqual(verifyWebhookSignature(delivery({ timestamp, signature: sign(BODY, timestamp) })), { ok: true });
+});
+
+test('rejects a tampered body', () => {
+  const tampered = Buffer.from(BODY.toString('utf8').replace('"order_amount":499', '"order_amount":1'));
+  assert.deepEqual(verifyWebhookSignature(delivery({ rawBody: tampered })), { ok: false, reason: 'invalid_signature' });
+});
+
+test('rejects a re-serialized body', () => {
+  const reserialized = Buffer.from(JSON.stringify(JSON.parse(BODY.toString('utf8')), null, 2));
+  assert.equal(verifyWebhookSignature(delivery({ rawBody: reserialized })).reason, 'invalid_signature');
+});
+
+test('rejects a signature made with another secret', () => {
+  const { timestamp } = delivery();
+  assert.equal(verifyWebhookSignature(delivery({ signature: sign(BODY, timestamp, 'other_secret') })).reason, 'invalid_signature');
+});
+
+test('rejects a changed timestamp', () => {
+  assert.equal(verifyWebhookSignature(delivery({ timestamp: String(NOW) })).reason, 'invalid_signature');
+});
+
+test('rejects a stale timestamp even when correctly signed', () => {
+  const timestamp = String(NOW - 301 * 1000);
+  const check = verifyWebhookSignature(delivery({ timestamp, signature: sign(BODY, timestamp) }));
+  assert.deepEqual(check, { ok: false, reason: 'stale_timestamp' });
+});
+
+test('rejects timestamps from the future beyond the window', () => {
+  const timestamp = String(NOW + 301 * 1000);
+  assert.equal(verifyWebhookSignature(delivery({ timestamp, signature: sign(BODY, timestamp) })).reason, 'stale_timestamp');
+});
+
+test('rejects a non-numeric timestamp', () => {
+  assert.equal(verifyWebhookSignature(delivery({ timestamp: 'yesterday' })).reason, 'stale_timestamp');
+});
+
+test('fails closed when no secret is configured', () => {
+  assert.deepEqual(verifyWebhookSignature(delivery({ secret: '' })), { ok: false, reason: 'missing_secret' });
+});
+
+test('rejects deliveries without signature headers', () => {
+  assert.equal(verifyWebhookSignature(delivery({ signature: undefined })).reason, 'missing_signature');
+  assert.equal(verifyWebhookSignature(delivery({ timestamp: undefined })).reason, 'missing_signature');
+});
@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createFakeFirestore } = require('./helpers/fakeFirestore');
+const { reserveCoupon, releaseCoupon, redeemCoupon } = require('../core/coupons');
+
+const NOW = Date.parse('2026-03-01T10:00:00Z');
+const HOLD_MS = 30 * 60 * 1000;
+
+async function withCoupon(fields = {}) {
+  const db = createFakeFirestore();
+  await db.collection('coupons').doc('LAUNCH').set({ code: 'LAUNCH', type: 'percent', value: 20, active: true, uses: 0, ...fields });
+  return db;
+}
+
+const reserve = (db, orderId, email = 'a@example.com', now = NOW) => reserveCoupon(db, { code: 'launch', orderId, email, courseId: 'pocket-mba', now });
+const holds = async (db) => (await db.collection('coupons').doc('LAUNCH').collection('reservations').get()).docs.map((d) => d.id);
+
+test('holds a use for the order until it expires', async () => {
+  const db = await withCoupon();
+  assert.deepEqual(await reserve(db, 'order_1', 'A@Example.com'), { ok: true, expiresAt: NOW + HOLD_MS });
+  const hold = (await db.collection('coupons').doc('LAUNCH').collection('reservations').doc('order_1').get()).data();
+  assert.equal(hold.email, 'a@example.com');
+  assert.equal(hold.expiresAt, NOW + HOLD_MS);
+});
+
+test('live holds count against maxUses together with paid uses', async () => {
+  const db = await withCoupon({ maxUses: 2, uses: 1 });
+  assert.equal((await reserve(db, 'order_1')).ok, true);
+  assert.deepEqual(await reserve(db, 'order_2', 'b@example.com'), { ok: false, reason: 'coupon_exhausted' });
+});
+
+test('expired holds no longer count', async () => {
+  const db = await withCoupon({ maxUses: 1 });
+  assert.equal((await reserve(db, 'order_1')).ok, true);
+  assert.equal((await reserve(db, 'order_2', 'b@example.com', NOW + HOLD_MS)).ok, true);
+});
+
+test('holds and paid uses count against the per-email limit', async () => {
+  const db = await withCoupon({ maxUsesPerEmail: 1 });
+  assert.equal((await reserve(db, 'order_1')).ok, true);
+  assert.deepEqual(await reserve(db, 'order_2'), { ok: false, reason: 'coupon_email_limit' });
+  assert.equal((await reserve(db, 'order_3', 'b@example.com')).ok, true);
+});
+
+test('refuses unknown and inactive coupons', async () => {
+  const db = await withCoupon({ active: false });
+  assert.deepEqual(await reserve(db, 'order_1'), { ok: false, reason: 'coupon_invalid' });
+  assert.deepEqual(await reserveCoupon(db, { code: 'NOPE', orderId: 'order_1', email: 'a@example.com', now: NOW }), { ok: false, reason: 'coupon_invalid' });
+});
+
+test('redeeming a paid order counts it once and drops its hold', async () => {
+  const db = await withCoupon({ maxUses: 5 });
+  await reserve(db, 'order_1');
+  const order = { orderId: 'order_1', couponCode: 'LAUNCH', email: 'a@example.com', courseId: 'pocket-mba', discountINR: 400, amountINR: 1599 };
+  assert.equal(await redeemCoupon(db, order), true);
+  assert.equal(await redeemCoupon(db, order), false);
+  const coupon = (await db.collection('coupons').doc('LAUNCH').get()).data();
+  assert.equal(coupon.uses, 1);
+  assert.equal(coupon.discountTotalINR, 400);
+  assert.equal(coupon.revenueINR, 1599);
+  assert.deepEqual(await holds(db), []);
+});
+
+test('a paid use keeps counting against the per-email limit', async () => {
+  const db = await withCoupon({ maxUsesPerEmail: 1 });
+  await reserve(db, 'order_1');
+  await redeemCoupon(db, { orderId: 'order_1', couponCode: 'LAUNCH', email: 'a@example.com', courseId: 'pocket-mba' });
+  assert.deepEqual(await reserve(db, 'order_2', 'a@example.com', NOW + HOLD_MS), { ok: false, reason: 'coupon_email_limit' });
+});
+
+test('releasing gives back only that order\'s hold', async () => {
+  const db = await withCoupon({ maxUses: 2 });
+  await reserve(db, 'order_1');
+  await reserve(db, 'order_2', 'b@example.com');
+  await releaseCoupon(db, { orderId: 'order_1', couponCode: 'launch' });
+  assert.deepEqual(await holds(db), ['order_2']);
+  assert.equal((await reserve(db, 'order_3', 'c@example.com')).ok, true);
+});
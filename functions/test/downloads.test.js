@@ -0,0 +1,106 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createFakeFirestore } = require('./helpers/fakeFirestore');
+const { consumeDownload, recordDownloadFile, recordBytesServed } = require('../core/entitlements');
+
+const EMAIL = 'buyer@example.com';
+const COURSE = 'pocket-mba';
+const SIZE = 1000;
+
+async function withEntitlement(entry = {}) {
+  const db = createFakeFirestore();
+  await db.collection('entitlements_by_email').doc(EMAIL).set({
+    email: EMAIL,
+    courses: { [COURSE]: { granted: true, status: 'active', orderId: 'order_1', downloads: 0, ...entry } },
+  });
+  return db;
+}
+
+const consume = (db, opts = {}) => consumeDownload(db, { email: EMAIL, courseId: COURSE, maxDownloads: 3, downloadId: 'dl_1', ...opts });
+const downloads = async (db) => (await db.collection('entitlements_by_email').doc(EMAIL).get()).data().courses[COURSE].downloads;
+const log = async (db, id = 'dl_1') => (await db.collection('entitlements_by_email').doc(EMAIL).collection('downloads').doc(id).get()).data();
+
+// A counted download serving `etag` that has already streamed `served` bytes
+async function started(db, { etag = '"v1"', served = 0 } = {}) {
+  await consume(db);
+  await recordDownloadFile(db, { email: EMAIL, downloadId: 'dl_1', etag, size: SIZE });
+  await recordBytesServed(db, { email: EMAIL, courseId: COURSE, downloadId: 'dl_1', bytes: served });
+}
+
+test('counts a download and logs it', async () => {
+  const db = await withEntitlement();
+  assert.deepEqual(await consume(db, { version: 2, client: { ip: '10.0.0.1' } }), { ok: true, downloads: 1, resumed: false, orderId: 'order_1' });
+  assert.equal(await downloads(db), 1);
+  const entry = await log(db);
+  assert.equal(entry.version, 2);
+  assert.equal(entry.ip, '10.0.0.1');
+  assert.equal(entry.counted, 1);
+});
+
+test('stops at the download limit', async () => {
+  const db = await withEntitlement({ downloads: 3 });
+  assert.deepEqual(await consume(db), { ok: false, reason: 'download_limit_reached', downloads: 3 });
+  assert.equal(await downloads(db), 3);
+});
+
+test('a resume of the same copy is free', async () => {
+  const db = await withEntitlement();
+  await started(db, { served: 400 });
+  assert.deepEqual(await consume(db, { resume: { ifRange: '"v1"', start: 400 } }), { ok: true, downloads: 1, resumed: true, orderId: 'order_1' });
+  assert.equal(await downloads(db), 1);
+  assert.equal((await log(db)).requests, 2);
+});
+
+test('a resume naming another copy counts', async () => {
+  const db = await withEntitlement();
+  await started(db, { served: 400 });
+  assert.equal((await consume(db, { resume: { ifRange: '"v2"', start: 400 } })).resumed, false);
+  assert.equal(await downloads(db), 2);
+});
+
+test('a resume without If-Range counts', async () => {
+  const db = await withEntitlement();
+  await started(db, { served: 400 });
+  assert.equal((await consume(db, { resume: null })).resumed, false);
+  assert.equal(await downloads(db), 2);
+});
+
+test('resumes that would serve well over one file size count', async () => {
+  const db = await withEntitlement();
+  await started(db, { served: 900 });
+  // 900 served + 1000 more from the start is far past 1.1 × the file size
+  assert.equal((await consume(db, { resume: { ifRange: '"v1"', start: 0 } })).resumed, false);
+  assert.equal(await downloads(db), 2);
+});
+
+test('fetching the same link again starts a new download', async () => {
+  const db = await withEntitlement();
+  await started(db, { served: SIZE });
+  assert.equal((await consume(db)).resumed, false);
+  assert.equal(await downloads(db), 2);
+  const entry = await log(db);
+  assert.equal(entry.counted, 2);
+  assert.equal(entry.bytesServed, 0);
+  assert.equal(entry.etag, null);
+});
+
+test('a resume is not free before the copy being served is known', async () => {
+  const db = await withEntitlement();
+  await consume(db);
+  assert.equal((await consume(db, { resume: { ifRange: '"v1"', start: 10 } })).resumed, false);
+  assert.equal(await downloads(db), 2);
+});
+
+test('refuses suspended, revoked and expired access', async () => {
+  for (const entry of [{ status: 'suspended' }, { status: 'revoked', granted: false }, { expiresAt: Date.now() - 1000 }]) {
+    const db = await withEntitlement(entry);
+    const result = await consume(db);
+    assert.equal(result.ok, false);
+    assert.equal(result.reason, 'access_revoked');
+  }
+});
+
+test('refuses buyers without the course', async () => {
+  const db = await withEntitlement();
+  assert.deepEqual(await consume(db, { courseId: 'other-course' }), { ok: false, reason: 'no_entitlement' });
+});
@@ -0,0 +1,216 @@
+const crypto = require('crypto');
+const { admin } = require('../../core/firebaseAdmin');
+
+const { FieldValue, FieldPath, Timestamp } = admin.firestore;
+
+// In-memory stand-in for the part of the Admin SDK Firestore API that the core
+// modules use: docs and subcollections, set (with merge), update, create,
+// delete, simple queries, batches and transactions, and the FieldValue
+// sentinels (serverTimestamp, increment, arrayUnion, delete). Transactions run
+// once with their writes applied at the end, which is enough for tests that
+// make one call at a time. `db.dump(prefix)` returns the stored docs by path.
+
+const isPlainObject = (v) => v !== null && typeof v === 'object' && Object.getPrototypeOf(v) === Object.prototype;
+
+function clone(v) {
+  if (Array.isArray(v)) return v.map(clone);
+  if (isPlainObject(v)) return Object.fromEntries(Object.entries(v).map(([k, x]) => [k, clone(x)]));
+  return v;
+}
+
+// Resolves a sentinel against the value it replaces; undefined means "remove".
+function resolveSentinel(sentinel, current) {
+  if (sentinel.isEqual(FieldValue.delete())) return undefined;
+  if (sentinel.isEqual(FieldValue.serverTimestamp())) return Timestamp.now();
+  if ('operand' in sentinel) return (typeof current === 'number' ? current : 0) + sentinel.operand;
+  if (sentinel.constructor.name === 'ArrayUnionTransform') {
+    const out = Array.isArray(current) ? [...current] : [];
+    sentinel.elements.forEach((e) => {
+      if (!out.some((x) => JSON.stringify(x) === JSON.stringify(e))) out.push(clone(e));
+    });
+    return out;
+  }
+  throw new Error(`fakeFirestore does not support ${sentinel.constructor.name}`);
+}
+
+function resolveValue(value, current) {
+  if (value instanceof FieldValue) return resolveSentinel(value, current);
+  if (isPlainObject(value)) return mergeInto({}, value, false);
+  return clone(value);
+}
+
+// Writes `data` into `target`; with `merge`, nested maps are merged key by key.
+function mergeInto(target, data, merge) {
+  Object.entries(data).forEach(([key, value]) => {
+    const next = merge && isPlainObject(value) && !(value instanceof FieldValue)
+      ? mergeInto(isPlainObject(target[key]) ? target[key] : {}, value, true)
+      : resolveValue(value, target[key]);
+    if (next === undefined) delete target[key];
+    else target[key] = next;
+  });
+  return target;
+}
+
+function setPath(target, segments, value) {
+  const [head, ...rest] = segments;
+  if (!rest.length) {
+    const next = resolveValue(value, target[head]);
+    if (next === undefined) delete target[head];
+    else target[head] = next;
+    return;
+  }
+  if (!isPlainObject(target[head])) target[head] = {};
+  setPath(target[head], rest, value);
+}
+
+const segmentsOf = (field) => (field instanceof FieldPath ? field.toArray() : String(field).split('.'));
+
+function getPath(data, segments) {
+  return segments.reduce((v, s) => (v == null ? undefined : v[s]), data);
+}
+
+function comparable(v) {
+  if (v instanceof Timestamp) return v.toMillis();
+  if (v instanceof Date) return v.getTime();
+  return v;
+}
+
+const OPERATORS = {
+  '==': (a, b) => JSON.stringify(a) === JSON.stringify(b),
+  '!=': (a, b) => JSON.stringify(a) !== JSON.stringify(b),
+  '<': (a, b) => a !== undefined && a < b,
+  '<=': (a, b) => a !== undefined && a <= b,
+  '>': (a, b) => a !== undefined && a > b,
+  '>=': (a, b) => a !== undefined && a >= b,
+  in: (a, b) => b.some((x) => JSON.stringify(x) === JSON.stringify(a)),
+  'array-contains': (a, b) => Array.isArray(a) && a.some((x) => JSON.stringify(x) === JSON.stringify(b)),
+};
+
+function querySnapshot(docs) {
+  return { docs, size: docs.length, empty: !docs.length, forEach: (fn) => docs.forEach(fn) };
+}
+
+function createFakeFirestore() {
+  const store = new Map();
+
+  function snapshotOf(ref) {
+    const data = store.get(ref.path);
+    return { id: ref.id, ref, exists: data !== undefined, data: () => (data === undefined ? undefined : clone(data)) };
+  }
+
+  // Applies one write; `op` is set, update, create or delete.
+  function write(ref, op, data, options) {
+    const existing = store.get(ref.path);
+    if (op === 'delete') return store.delete(ref.path);
+    if (op === 'create' && existing !== undefined) throw Object.assign(new Error(`${ref.path} already exists`), { code: 6 });
+    if (op === 'update') {
+      if (existing === undefined) throw Object.assign(new Error(`${ref.path} not found`), { code: 5 });
+      const next = clone(existing);
+      data.forEach(([field, value]) => setPath(next, segmentsOf(field), value));
+      return store.set(ref.path, next);
+    }
+    const merge = !!options?.merge;
+    return store.set(ref.path, mergeInto(merge && existing ? clone(existing) : {}, data, merge));
+  }
+
+  // update(data) or update(field, value, field, value, ...) as [field, value] pairs
+  function updatePairs(args) {
+    if (args.length === 1 && isPlainObject(args[0])) return Object.entries(args[0]);
+    const pairs = [];
+    for (let i = 0; i < args.length; i += 2) pairs.push([args[i], args[i + 1]]);
+    return pairs;
+  }
+
+  function docRef(path) {
+    const segments = path.split('/');
+    const ref = {
+      id: segments[segments.length - 1],
+      path,
+      collection: (name) => collectionRef(`${path}/${name}`),
+      get: async () => snapshotOf(ref),
+      set: async (data, options) => { write(ref, 'set', data, options); },
+      create: async (data) => { write(ref, 'create', data); },
+      update: async (...args) => { write(ref, 'update', updatePairs(args)); },
+      delete: async () => { write(ref, 'delete'); },
+    };
+    return ref;
+  }
+
+  function query(path, filters = [], order = [], max = null) {
+    const q = {
+      where: (field, op, value) => query(path, [...filters, { field, op, value }], order, max),
+      orderBy: (field, dir = 'asc') => query(path, filters, [...order, { field, dir }], max),
+      limit: (n) => query(path, filters, order, n),
+      get: async () => {
+        const depth = path.split('/').length + 1;
+        let docs = [...store.keys()]
+          .filter((key) => key.startsWith(`${path}/`) && key.split('/').length === depth)
+          .map((key) => snapshotOf(docRef(key)));
+        const valueOf = (snap, field) => (field instanceof FieldPath && field.isEqual(FieldPath.documentId())
+          ? snap.id
+          : comparable(getPath(snap.data(), segmentsOf(field))));
+        filters.forEach(({ field, op, value }) => {
+          if (!OPERATORS[op]) throw new Error(`fakeFirestore does not support the ${op} operator`);
+          docs = docs.filter((snap) => OPERATORS[op](valueOf(snap, field), comparable(value)));
+        });
+        docs.sort((a, b) => {
+          for (const { field, dir } of order) {
+            const x = valueOf(a, field);
+            const y = valueOf(b, field);
+            if (x !== y) return (x < y ? -1 : 1) * (dir === 'desc' ? -1 : 1);
+          }
+          return a.id < b.id ? -1 : 1;
+        });
+        return querySnapshot(max === null ? docs : docs.slice(0, max));
+      },
+    };
+    return q;
+  }
+
+  function collectionRef(path) {
+    return {
+      id: path.split('/').pop(),
+      path,
+      ...query(path),
+      doc: (id) => docRef(`${path}/${id || crypto.randomBytes(10).toString('hex')}`),
+      add: async (data) => {
+        const ref = docRef(`${path}/${crypto.randomBytes(10).toString('hex')}`);
+        write(ref, 'set', data);
+        return ref;
+      },
+    };
+  }
+
+  // Buffers writes and applies them together, as batches and transactions do.
+  function writeBuffer() {
+    const writes = [];
+    const buffer = {
+      set: (ref, data, options) => { writes.push(() => write(ref, 'set', data, options)); return buffer; },
+      create: (ref, data) => { writes.push(() => write(ref, 'create', data)); return buffer; },
+      update: (ref, ...args) => { writes.push(() => write(ref, 'update', updatePairs(args))); return buffer; },
+      delete: (ref) => { writes.push(() => write(ref, 'delete')); return buffer; },
+    };
+    return { buffer, commit: () => writes.forEach((w) => w()) };
+  }
+
+  return {
+    collection: collectionRef,
+    doc: docRef,
+    batch: () => {
+      const { buffer, commit } = writeBuffer();
+      return { ...buffer, commit: async () => commit() };
+    },
+    runTransaction: async (fn) => {
+      const { buffer, commit } = writeBuffer();
+      const tx = { ...buffer, get: (refOrQuery) => refOrQuery.get() };
+      const result = await fn(tx);
+      commit();
+      return result;
+    },
+    dump: (prefix = '') => Object.fromEntries([...store.entries()]
+      .filter(([key]) => key.startsWith(prefix))
+      .map(([key, data]) => [key, clone(data)])),
+  };
+}
+
+module.exports = { createFakeFirestore };
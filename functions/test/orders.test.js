@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createFakeFirestore } = require('./helpers/fakeFirestore');
+const { PAYABLE_STATUSES, orderStatusFromPayment, createOrderRecord, getOrder, transitionOrder } = require('../core/orders');
+
+async function orderIn(db, status) {
+  await createOrderRecord(db, { orderId: 'order_1', courseId: 'pocket-mba', email: 'Buyer@Example.com', amountINR: 1999 });
+  if (status !== 'created') await db.collection('orders').doc('order_1').update({ status });
+}
+
+test('maps Cashfree payment statuses to order statuses', () => {
+  assert.equal(orderStatusFromPayment('SUCCESS'), 'paid');
+  assert.equal(orderStatusFromPayment('cancelled'), 'failed');
+  assert.equal(orderStatusFromPayment('USER_DROPPED'), 'user_dropped');
+  assert.equal(orderStatusFromPayment('PENDING'), null);
+});
+
+test('pays a created order and stamps paidAt', async () => {
+  const db = createFakeFirestore();
+  await orderIn(db, 'created');
+  assert.deepEqual(await transitionOrder(db, 'order_1', 'paid', { payment: { cf_payment_id: 1 } }), { changed: true, from: 'created' });
+  const order = await getOrder(db, 'order_1');
+  assert.equal(order.status, 'paid');
+  assert.ok(order.paidAt);
+  assert.deepEqual(order.statusHistory.map((h) => h.status), ['created', 'paid']);
+  assert.equal(order.email, 'buyer@example.com');
+});
+
+test('a failed attempt after payment leaves the order paid', async () => {
+  const db = createFakeFirestore();
+  await orderIn(db, 'paid');
+  assert.deepEqual(await transitionOrder(db, 'order_1', 'failed'), { changed: false, from: 'paid' });
+  assert.equal((await getOrder(db, 'order_1')).status, 'paid');
+});
+
+test('a failed or dropped order can still be paid on a retry', async () => {
+  for (const status of ['failed', 'user_dropped']) {
+    const db = createFakeFirestore();
+    await orderIn(db, status);
+    assert.equal((await transitionOrder(db, 'order_1', 'paid')).changed, true);
+  }
+});
+
+test('refunds are final', async () => {
+  const db = createFakeFirestore();
+  await orderIn(db, 'refunded');
+  for (const status of ['paid', 'failed', 'disputed', 'refunded']) {
+    assert.deepEqual(await transitionOrder(db, 'order_1', status), { changed: false, from: 'refunded' });
+  }
+});
+
+test('a payment event does not move a disputed order back to paid', async () => {
+  const db = createFakeFirestore();
+  await orderIn(db, 'disputed');
+  assert.deepEqual(await transitionOrder(db, 'order_1', 'paid', {}, { onlyFrom: PAYABLE_STATUSES }), { changed: false, from: 'disputed' });
+  assert.equal((await getOrder(db, 'order_1')).status, 'disputed');
+});
+
+test('a won dispute returns the order to paid and keeps the first paidAt', async () => {
+  const db = createFakeFirestore();
+  await orderIn(db, 'created');
+  await transitionOrder(db, 'order_1', 'paid');
+  const { paidAt } = await getOrder(db, 'order_1');
+  await transitionOrder(db, 'order_1', 'disputed');
+  assert.deepEqual(await transitionOrder(db, 'order_1', 'paid', {}, { onlyFrom: ['disputed'] }), { changed: true, from: 'disputed' });
+  const order = await getOrder(db, 'order_1');
+  assert.equal(order.status, 'paid');
+  assert.ok(order.paidAt.isEqual(paidAt));
+});
+
+test('a replayed success reports the order was already paid', async () => {
+  const db = createFakeFirestore();
+  await orderIn(db, 'created');
+  await transitionOrder(db, 'order_1', 'paid');
+  assert.deepEqual(await transitionOrder(db, 'order_1', 'paid', {}, { onlyFrom: PAYABLE_STATUSES }), { changed: true, from: 'paid' });
+});
+
+test('orders without a ledger record start as created', async () => {
+  const db = createFakeFirestore();
+  assert.deepEqual(await transitionOrder(db, 'order_old', 'paid'), { changed: true, from: 'created' });
+  assert.equal((await getOrder(db, 'order_old')).orderId, 'order_old');
+});
+
+test('rejects unknown statuses', async () => {
+  await assert.rejects(transitionOrder(createFakeFirestore(), 'order_1', 'shipped'), /Unknown order status/);
+});
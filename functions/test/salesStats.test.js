@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { admin } = require('../core/firebaseAdmin');
+const { createFakeFirestore } = require('./helpers/fakeFirestore');
+const { recordOrderPaid, rebuildSalesStats, getSalesStats } = require('../core/salesStats');
+
+const { Timestamp } = admin.firestore;
+// 09:30 India time on 2026-03-03
+const NOW = new Date('2026-03-03T04:00:00Z');
+const at = (iso) => Timestamp.fromDate(new Date(iso));
+
+async function withOrders(orders) {
+  const db = createFakeFirestore();
+  for (const o of orders) await db.collection('orders').doc(o.orderId).set(o);
+  return db;
+}
+
+test('rebuilds closed days from the orders ledger', async () => {
+  const db = await withOrders([
+    // Paid just after midnight India time on 2026-03-01
+    { orderId: 'o1', status: 'paid', courseId: 'pocket-mba', amountINR: 1599, discountINR: 400, couponCode: 'LAUNCH',
+      createdAt: at('2026-02-28T18:35:00Z'), paidAt: at('2026-02-28T18:40:00Z') },
+    { orderId: 'o2', status: 'refunded', courseId: 'pocket-mba', amountINR: 1999, affiliateCode: 'ANNA',
+      createdAt: at('2026-03-01T06:00:00Z'), paidAt: at('2026-03-01T06:05:00Z'), refundedAt: at('2026-03-02T08:00:00Z'),
+      refund: { refund_amount: 1999 } },
+    { orderId: 'o3', status: 'failed', courseId: 'pocket-mba', amountINR: 1999, createdAt: at('2026-03-02T09:00:00Z') },
+  ]);
+
+  assert.deepEqual(await rebuildSalesStats(db, NOW), { orders: 3, days: 2, through: '2026-03-02' });
+  const [day1, day2] = await getSalesStats(db, '2026-03-01', '2026-03-02');
+  assert.equal(day1.ordersCreated, 2);
+  assert.equal(day1.ordersPaid, 2);
+  assert.equal(day1.revenueINR, 3598);
+  assert.equal(day1.discountINR, 400);
+  assert.deepEqual(day1.courses, { 'pocket-mba': { ordersPaid: 2, revenueINR: 3598 } });
+  assert.deepEqual(day1.coupons, { LAUNCH: { uses: 1, discountINR: 400, revenueINR: 1599 } });
+  assert.deepEqual(day1.affiliates, { ANNA: { ordersPaid: 1, revenueINR: 1999 } });
+  assert.equal(day2.ordersCreated, 1);
+  assert.equal(day2.ordersPaid, 0);
+  assert.equal(day2.refunds, 1);
+  assert.equal(day2.refundedINR, 1999);
+});
+
+test('leaves today to the live counters', async () => {
+  const db = await withOrders([
+    { orderId: 'o1', status: 'paid', courseId: 'pocket-mba', amountINR: 1999, createdAt: at('2026-03-03T03:00:00Z'), paidAt: at('2026-03-03T03:10:00Z') },
+  ]);
+  await recordOrderPaid(db, { courseId: 'pocket-mba', amountINR: 1999 }, NOW);
+  await rebuildSalesStats(db, NOW);
+  const [today] = await getSalesStats(db, '2026-03-03', '2026-03-03');
+  assert.equal(today.ordersPaid, 1);
+  assert.equal(today.revenueINR, 1999);
+});
+
+test('clears counters of closed days that have no orders', async () => {
+  const db = await withOrders([]);
+  await recordOrderPaid(db, { courseId: 'pocket-mba', amountINR: 1999 }, new Date('2026-02-20T06:00:00Z'));
+  await rebuildSalesStats(db, NOW);
+  assert.deepEqual(Object.keys(db.dump('sales_stats/')), []);
+});
+
+test('counts partial refunds on the day they were processed', async () => {
+  const db = await withOrders([
+    { orderId: 'o1', status: 'paid', courseId: 'pocket-mba', amountINR: 1999,
+      createdAt: at('2026-03-01T06:00:00Z'), paidAt: at('2026-03-01T06:05:00Z'),
+      partialRefunds: [{ refund_amount: 500, processed_at: '2026-03-02T10:00:00+05:30' }] },
+  ]);
+  await rebuildSalesStats(db, NOW);
+  const [day1, day2] = await getSalesStats(db, '2026-03-01', '2026-03-02');
+  assert.equal(day1.ordersPaid, 1);
+  assert.equal(day2.refunds, 0);
+  assert.equal(day2.refundedINR, 500);
+});
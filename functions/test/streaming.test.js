@@ -0,0 +1,30 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseRange, resumeRequest } = require('../core/streaming');
+
+const request = (headers) => ({ headers });
+
+test('parses single byte ranges against the file size', () => {
+  assert.deepEqual(parseRange('bytes=0-99', 1000), { start: 0, end: 99 });
+  assert.deepEqual(parseRange('bytes=500-', 1000), { start: 500, end: 999 });
+  assert.deepEqual(parseRange('bytes=-100', 1000), { start: 900, end: 999 });
+  assert.deepEqual(parseRange('bytes=900-5000', 1000), { start: 900, end: 999 });
+});
+
+test('ignores missing or multi-part ranges and rejects impossible ones', () => {
+  assert.equal(parseRange(undefined, 1000), null);
+  assert.equal(parseRange('bytes=0-1,5-6', 1000), null);
+  assert.equal(parseRange('bytes=1000-', 1000), 'unsatisfiable');
+  assert.equal(parseRange('bytes=-0', 1000), 'unsatisfiable');
+});
+
+test('treats a Range past byte 0 with If-Range as a resume', () => {
+  assert.deepEqual(resumeRequest(request({ range: 'bytes=4096-', 'if-range': '"sha256-abc"' })), { ifRange: '"sha256-abc"', start: 4096 });
+});
+
+test('does not treat fresh fetches as resumes', () => {
+  assert.equal(resumeRequest(request({})), null);
+  assert.equal(resumeRequest(request({ range: 'bytes=4096-' })), null);
+  assert.equal(resumeRequest(request({ range: 'bytes=0-', 'if-range': '"sha256-abc"' })), null);
+  assert.equal(resumeRequest(request({ range: 'bytes=-4096', 'if-range': '"sha256-abc"' })), null);
+});
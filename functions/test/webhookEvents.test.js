@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createFakeFirestore } = require('./helpers/fakeFirestore');
+const { webhookEventId, claimWebhookEvent, finishWebhookEvent } = require('../core/webhookEvents');
+
+const payment = (status) => ({
+  type: 'PAYMENT_SUCCESS_WEBHOOK',
+  data: { order: { order_id: 'order_1' }, payment: { cf_payment_id: 98765, payment_status: status } },
+});
+const claim = (db, id) => claimWebhookEvent(db, id, { type: 'PAYMENT_SUCCESS_WEBHOOK', orderId: 'order_1', payload: payment('SUCCESS') });
+const event = async (db, id) => (await db.collection('webhook_events').doc(id).get()).data();
+
+test('the same delivery always gets the same event id', () => {
+  const raw = Buffer.from(JSON.stringify(payment('SUCCESS')));
+  assert.equal(webhookEventId(payment('SUCCESS'), raw), webhookEventId(payment('SUCCESS'), Buffer.from('reordered')));
+  assert.notEqual(webhookEventId(payment('SUCCESS'), raw), webhookEventId(payment('FAILED'), raw));
+});
+
+test('a processed event is acknowledged again without running twice', async () => {
+  const db = createFakeFirestore();
+  assert.equal(await claim(db, 'evt_1'), 'new');
+  await finishWebhookEvent(db, 'evt_1', { status: 200, body: { ok: true } });
+  assert.equal(await claim(db, 'evt_1'), 'duplicate');
+  assert.equal((await event(db, 'evt_1')).attempts, 1);
+});
+
+test('a delivery arriving while another is processing waits for it', async () => {
+  const db = createFakeFirestore();
+  await claim(db, 'evt_1');
+  assert.equal(await claim(db, 'evt_1'), 'in_progress');
+});
+
+test('a failed event runs again on the next delivery', async () => {
+  const db = createFakeFirestore();
+  await claim(db, 'evt_1');
+  await finishWebhookEvent(db, 'evt_1', { status: 502, body: { error: 'verify_failed' } });
+  const failed = await event(db, 'evt_1');
+  assert.equal(failed.status, 'failed');
+  assert.equal(failed.error, 'verify_failed');
+  assert.equal(await claim(db, 'evt_1'), 'retry');
+  assert.equal((await event(db, 'evt_1')).attempts, 2);
+});
+
+test('a delivery stuck in processing is taken over', async () => {
+  const db = createFakeFirestore();
+  await claim(db, 'evt_1');
+  await db.collection('webhook_events').doc('evt_1').update({ startedAt: Date.now() - 5 * 60 * 1000 });
+  assert.equal(await claim(db, 'evt_1'), 'retry');
+});
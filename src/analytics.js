@@ -0,0 +1,74 @@
+// First-party funnel events, batched to POST /api/events. No cookies and no
+// third-party scripts: a random id in sessionStorage ties one visit together,
+// and UTM parameters are taken from the landing URL. Honors Do Not Track.
+
+const SESSION_KEY = 'le_session_v1';
+const FLUSH_DELAY_MS = 4000;
+const MAX_BATCH = 20;
+// Sent right away: the page may navigate to checkout or a download next
+const URGENT_EVENTS = ['pay_clicked', 'checkout_opened', 'download_clicked'];
+
+let endpoint = '';
+let session = null;
+let queue = [];
+let timer = null;
+
+function loadSession() {
+  try {
+    const saved = JSON.parse(sessionStorage.getItem(SESSION_KEY) || 'null');
+    if (saved?.id) return saved;
+  } catch {}
+  const params = new URLSearchParams(window.location.search);
+  const utm = {};
+  ['source', 'medium', 'campaign', 'term', 'content'].forEach((k) => {
+    const v = params.get(`utm_${k}`);
+    if (v) utm[k] = v;
+  });
+  // Only external referrers say anything about where the visit came from
+  const referrer = document.referrer && !document.referrer.startsWith(window.location.origin) ? document.referrer : '';
+  const fresh = { id: crypto.randomUUID().replace(/-/g, ''), utm, referrer };
+  try { sessionStorage.setItem(SESSION_KEY, JSON.stringify(fresh)); } catch {}
+  return fresh;
+}
+
+function send(events) {
+  const body = JSON.stringify({ sessionId: session.id, utm: session.utm, referrer: session.referrer, events });
+  // text/plain keeps the request "simple", so no CORS preflight is needed
+  const blob = new Blob([body], { type: 'text/plain' });
+  if (navigator.sendBeacon?.(endpoint, blob)) return;
+  fetch(endpoint, { method: 'POST', body, headers: { 'Content-Type': 'text/plain' }, keepalive: true }).catch(() => {});
+}
+
+export function flushEvents() {
+  clearTimeout(timer);
+  timer = null;
+  if (!queue.length || !endpoint) return;
+  send(queue.splice(0, queue.length));
+}
+
+// Call once on startup with the API origin.
+export function initAnalytics(backendBase) {
+  if (endpoint || navigator.doNotTrack === '1' || !backendBase) return;
+  endpoint = `${backendBase}/api/events`;
+  session = loadSession();
+  document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'hidden') flushEvents();
+  });
+  window.addEventListener('pagehide', flushEvents);
+}
+
+// Queues a funnel event. `props` should hold short, non-personal values only.
+export function track(name, { courseId, ...props } = {}) {
+  if (!endpoint) return;
+  queue.push({ name, at: Date.now(), path: window.location.pathname, courseId, props });
+  if (URGENT_EVENTS.includes(name) || queue.length >= MAX_BATCH) flushEvents();
+  else if (!timer) timer = setTimeout(flushEvents, FLUSH_DELAY_MS);
+}
+
+// track() at most once per page load for `key`, e.g. the first valid email.
+const seen = new Set();
+export function trackOnce(key, name, props) {
+  if (seen.has(key)) return;
+  seen.add(key);
+  track(name, props);
+}
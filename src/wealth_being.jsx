@@ -1,9 +1,10 @@
 import React, { useEffect, useMemo, useRef, useState } from "react";
 import logoUrl from '../lets-earn-logo.svg';
 import { auth, googleProvider, db } from './firebase';
-import { onAuthStateChanged, signInWithPopup, signOut } from 'firebase/auth';
-import { upload } from '@vercel/blob/client';
-import { doc, getDoc, setDoc, updateDoc, onSnapshot, serverTimestamp, collection, query, orderBy } from 'firebase/firestore';
+import { initAnalytics, track, trackOnce } from './analytics';
+import { onAuthStateChanged, signInWithPopup, signOut, sendSignInLinkToEmail, isSignInWithEmailLink, signInWithEmailLink } from 'firebase/auth';
+import { put } from '@vercel/blob/client';
+import { doc, getDoc, onSnapshot, collection, query, orderBy, limit } from 'firebase/firestore';
 
 // Minimal single-file React app for a course paywall landing page
 // Design goals: simple, cheerful, entrepreneurial theme. Clean CTA.
@@ -23,7 +24,11 @@ import { doc, getDoc, setDoc, updateDoc, onSnapshot, serverTimestamp, collection
 // DEMO MODE
 // - This canvas runs without a backend. Use the "Test checkout (no charge)" button to simulate a success flow.
 
-// ---- Simple local model ----------------------------------------------------
+// ---- Catalog model ---------------------------------------------------------
+// Courses are stored in Firestore `courses/{courseId}`; that doc is always the
+// published version visitors see. Admin edits go to `course_drafts/{courseId}`
+// until published, and every publish is kept in `courses/{courseId}/versions/{n}`.
+// DEFAULT_COURSE is the starting content for a newly created course.
 const DEFAULT_COURSE = {
   title: "Entrepreneur's Pocket MBA",
   subtitle: "Zero fluff. High-leverage playbooks to make money faster.",
@@ -33,25 +38,313 @@ const DEFAULT_COURSE = {
     "Pricing and funnel playbook",
   ],
   priceINR: 1999,
+  published: true,
+  sortOrder: 0,
 };
 
-const LS_KEY = "ffx_course_admin_state_v1";
+// Fields copied between drafts, the published doc and version snapshots
+const COURSE_CONTENT_FIELDS = ['title', 'subtitle', 'bullets', 'priceINR', 'published', 'sortOrder'];
+
+function pickCourseContent(c) {
+  const out = {};
+  COURSE_CONTENT_FIELDS.forEach((k) => { if (c[k] !== undefined) out[k] = c[k]; });
+  out.published = out.published !== false;
+  out.sortOrder = Number(out.sortOrder || 0);
+  return out;
+}
+
 // Secret URL path to access Admin. Visit this exact path to open admin panel.
 const ADMIN_SECRET_PATH = "/le-admin-9f1c2a7b5e";
+const COURSE_PATH_PREFIX = "/courses/";
+const LIBRARY_PATH = "/library";
+// Email a sign-in link was sent to, needed to complete it on return
+const SIGNIN_EMAIL_LS_KEY = "le_signin_email_v1";
+const BACKEND_BASE = import.meta.env.VITE_BACKEND_URL || 'https://lets-earn.vercel.app';
 
-function useAdminState() {
-  const [state, setState] = useState(() => {
-    try {
-      const raw = localStorage.getItem(LS_KEY);
-      return raw ? JSON.parse(raw) : { course: DEFAULT_COURSE, zipName: null, zipDataUrl: null };
-    } catch {
-      return { course: DEFAULT_COURSE, zipName: null, zipDataUrl: null };
+// Orders placed from this browser, newest first: { [courseId]: [{ orderId, email }] }.
+// Order status and download links are only returned for an order id + email pair.
+const ORDERS_LS_KEY = "le_orders_v1";
+
+function getStoredOrders(courseId) {
+  try {
+    return JSON.parse(localStorage.getItem(ORDERS_LS_KEY) || '{}')[courseId] || [];
+  } catch {
+    return [];
+  }
+}
+
+function storeOrder(courseId, order) {
+  try {
+    const all = JSON.parse(localStorage.getItem(ORDERS_LS_KEY) || '{}');
+    const rest = (all[courseId] || []).filter((o) => o.orderId !== order.orderId);
+    localStorage.setItem(ORDERS_LS_KEY, JSON.stringify({ ...all, [courseId]: [order, ...rest].slice(0, 5) }));
+  } catch {}
+}
+
+// Finds an order placed from this browser, e.g. the one Cashfree returned for.
+function findStoredOrder(orderId) {
+  try {
+    const all = JSON.parse(localStorage.getItem(ORDERS_LS_KEY) || '{}');
+    for (const [courseId, orders] of Object.entries(all)) {
+      const order = orders.find((o) => o.orderId === orderId);
+      if (order) return { ...order, courseId };
     }
+  } catch {}
+  return null;
+}
+
+// POST /api/order-status → { status, phase, access, invoiceNumber, ... } or { error }
+async function fetchOrderStatus({ orderId, email }) {
+  const resp = await fetch(`${BACKEND_BASE}/api/order-status`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ orderId, email }),
+  });
+  const data = await resp.json().catch(() => null);
+  return resp.ok ? data : { error: data?.error || 'status_unavailable' };
+}
+
+// Affiliate attribution: the last `?ref=CODE` seen in this browser, kept for
+// REF_TTL_MS and sent with create-order.
+const REF_LS_KEY = "le_ref_v1";
+const REF_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+
+function captureReferral() {
+  try {
+    const code = new URLSearchParams(window.location.search).get('ref');
+    if (!code || !/^[A-Za-z0-9_-]{3,32}$/.test(code)) return;
+    localStorage.setItem(REF_LS_KEY, JSON.stringify({ code: code.toUpperCase(), at: Date.now() }));
+    // One click per code per browser session
+    const clickKey = `${REF_LS_KEY}_click_${code.toUpperCase()}`;
+    if (sessionStorage.getItem(clickKey)) return;
+    sessionStorage.setItem(clickKey, '1');
+    fetch(`${BACKEND_BASE}/api/ref-click`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ code }),
+    }).catch(() => {});
+  } catch {}
+}
+
+function getReferral() {
+  try {
+    const ref = JSON.parse(localStorage.getItem(REF_LS_KEY) || 'null');
+    return ref && Date.now() - ref.at < REF_TTL_MS ? ref.code : undefined;
+  } catch {
+    return undefined;
+  }
+}
+
+// GST state codes for the buyer's place of supply (same list as functions/core/invoices.js)
+const GST_STATES = {
+  '35': 'Andaman and Nicobar Islands', '37': 'Andhra Pradesh', '12': 'Arunachal Pradesh', '18': 'Assam',
+  '10': 'Bihar', '04': 'Chandigarh', '22': 'Chhattisgarh', '26': 'Dadra and Nagar Haveli and Daman and Diu',
+  '07': 'Delhi', '30': 'Goa', '24': 'Gujarat', '06': 'Haryana', '02': 'Himachal Pradesh',
+  '01': 'Jammu and Kashmir', '20': 'Jharkhand', '29': 'Karnataka', '32': 'Kerala', '38': 'Ladakh',
+  '31': 'Lakshadweep', '23': 'Madhya Pradesh', '27': 'Maharashtra', '14': 'Manipur', '17': 'Meghalaya',
+  '15': 'Mizoram', '13': 'Nagaland', '21': 'Odisha', '34': 'Puducherry', '03': 'Punjab', '08': 'Rajasthan',
+  '11': 'Sikkim', '33': 'Tamil Nadu', '36': 'Telangana', '16': 'Tripura', '09': 'Uttar Pradesh',
+  '05': 'Uttarakhand', '19': 'West Bengal', '97': 'Other Territory',
+};
+const GSTIN_RE = /^[0-9]{2}[A-Z]{5}[0-9]{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/;
+
+// Reasons returned by /api/coupon-quote and /api/create-order for unusable codes
+const COUPON_ERRORS = {
+  coupon_invalid: 'This code is not valid.',
+  coupon_not_started: 'This code is not active yet.',
+  coupon_expired: 'This code has expired.',
+  coupon_not_applicable: 'This code does not apply to this course.',
+  coupon_exhausted: 'This code has been fully used.',
+  coupon_email_limit: 'You have already used this code.',
+};
+
+function coursePath(courseId) {
+  return `${COURSE_PATH_PREFIX}${encodeURIComponent(courseId)}`;
+}
+
+// Tiny pushState router: the app only has a catalog, per-course pages and the
+// payment return page (/?order_id=...). Returns [path, navigate, search].
+function usePath() {
+  const read = () => ({ path: window.location.pathname, search: window.location.search });
+  const [loc, setLoc] = useState(read);
+  useEffect(() => {
+    const onPop = () => setLoc(read());
+    window.addEventListener('popstate', onPop);
+    return () => window.removeEventListener('popstate', onPop);
+  }, []);
+  const navigate = (to) => {
+    window.history.pushState(null, '', to);
+    setLoc(read());
+    window.scrollTo(0, 0);
+  };
+  return [loc.path, navigate, loc.search];
+}
+
+function useCourses() {
+  const [courses, setCourses] = useState([]);
+  const [loading, setLoading] = useState(true);
+  useEffect(() => {
+    const unsub = onSnapshot(collection(db, 'courses'), (snap) => {
+      const items = [];
+      snap.forEach((d) => items.push({ id: d.id, title: '', subtitle: '', bullets: [], priceINR: 0, published: true, sortOrder: 0, ...d.data() }));
+      items.sort((a, b) => (a.sortOrder || 0) - (b.sortOrder || 0) || a.title.localeCompare(b.title));
+      setCourses(items);
+      setLoading(false);
+    }, () => setLoading(false));
+    return () => unsub();
+  }, []);
+  return [courses, loading];
+}
+
+// The signed-in Firebase user: undefined until known, then a user or null.
+function useAuthUser() {
+  const [user, setUser] = useState(undefined);
+  useEffect(() => onAuthStateChanged(auth, setUser), []);
+  return user;
+}
+
+// Calls an admin-only API route with the signed-in admin's Firebase ID token.
+async function adminFetch(path, { method = 'POST', body } = {}) {
+  const idToken = await auth.currentUser.getIdToken();
+  const resp = await fetch(`${BACKEND_BASE}${path}`, {
+    method,
+    headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${idToken}` },
+    body: body === undefined ? undefined : JSON.stringify(body),
+  });
+  const data = await resp.json().catch(() => ({}));
+  if (!resp.ok) throw new Error(data?.detail || data?.error || `Request failed (${resp.status})`);
+  return data;
+}
+
+// YYYY-MM-DD in India time, `daysAgo` days back; matches the sales_stats day keys.
+function istDay(daysAgo = 0) {
+  return new Date(Date.now() + 5.5 * 60 * 60 * 1000 - daysAgo * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+}
+
+// Sums per-day sales rows into Monday-starting weeks.
+function groupSalesByWeek(days) {
+  const weeks = [];
+  days.forEach((d) => {
+    const date = new Date(`${d.date}T00:00:00Z`);
+    date.setUTCDate(date.getUTCDate() - ((date.getUTCDay() + 6) % 7));
+    const key = date.toISOString().slice(0, 10);
+    let week = weeks[weeks.length - 1];
+    if (!week || week.date !== key) {
+      week = { date: key, ordersCreated: 0, ordersPaid: 0, revenueINR: 0, discountINR: 0, refunds: 0, refundedINR: 0 };
+      weeks.push(week);
+    }
+    Object.keys(week).forEach((k) => { if (k !== 'date') week[k] = Math.round((week[k] + (d[k] || 0)) * 100) / 100; });
+  });
+  return weeks;
+}
+
+const FUNNEL_LABELS = {
+  page_view: 'Visited',
+  email_entered: 'Entered email',
+  phone_entered: 'Entered phone',
+  pay_clicked: 'Clicked Pay',
+  checkout_opened: 'Opened checkout',
+  download_clicked: 'Clicked download',
+};
+
+const formatPercent = (n) => (n === null || n === undefined ? '–' : `${(n * 100).toFixed(1)}%`);
+
+// Hex SHA-256 of a file, recorded with each release so buyers can verify downloads.
+async function sha256Hex(file) {
+  const digest = await crypto.subtle.digest('SHA-256', await file.arrayBuffer());
+  return Array.from(new Uint8Array(digest), (b) => b.toString(16).padStart(2, '0')).join('');
+}
+
+// Sends a file to an upload target from /api/blob-upload: a presigned PUT URL
+// (XHR, since fetch cannot report upload progress) or a Vercel Blob client token.
+function uploadToTarget(target, file, { contentType, onProgress }) {
+  if (target.type === 'vercel-blob') {
+    return put(target.pathname, file, {
+      access: 'public',
+      token: target.clientToken,
+      contentType,
+      multipart: true,
+      onUploadProgress: ({ percentage }) => onProgress(percentage),
+    });
+  }
+  return new Promise((resolve, reject) => {
+    const xhr = new XMLHttpRequest();
+    xhr.open('PUT', target.url);
+    Object.entries(target.headers || {}).forEach(([k, v]) => xhr.setRequestHeader(k, v));
+    xhr.upload.onprogress = (e) => e.lengthComputable && onProgress((e.loaded / e.total) * 100);
+    xhr.onload = () => (xhr.status >= 200 && xhr.status < 300 ? resolve() : reject(new Error(`Storage rejected the upload (${xhr.status})`)));
+    xhr.onerror = () => reject(new Error('Network error during upload'));
+    xhr.send(file);
   });
+}
+
+function formatBytes(n) {
+  if (!n) return '';
+  if (n < 1024 * 1024) return `${Math.round(n / 1024)} KB`;
+  return `${(n / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+// Public changelog of a course's ZIP releases, newest first.
+function useReleases(courseId) {
+  const [releases, setReleases] = useState([]);
   useEffect(() => {
-    localStorage.setItem(LS_KEY, JSON.stringify(state));
-  }, [state]);
-  return [state, setState];
+    if (!courseId) return;
+    const q = query(collection(db, 'courses', courseId, 'releases'), orderBy('version', 'desc'), limit(10));
+    const unsub = onSnapshot(q, (snap) => {
+      const items = [];
+      snap.forEach((d) => items.push({ id: d.id, ...d.data() }));
+      setReleases(items);
+    }, () => setReleases([]));
+    return () => unsub();
+  }, [courseId]);
+  return releases;
+}
+
+// Saves a fetch response body (CSV, PDF) as a file download.
+async function saveResponseAs(resp, filename) {
+  const url = URL.createObjectURL(await resp.blob());
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  a.click();
+  URL.revokeObjectURL(url);
+}
+
+// Buyer's GST invoice for a stored order (POST /api/invoice).
+async function downloadInvoice({ orderId, email }) {
+  const resp = await fetch(`${BACKEND_BASE}/api/invoice`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ orderId, email }),
+  });
+  if (!resp.ok) throw new Error('Invoice is not available yet');
+  await saveResponseAs(resp, `invoice-${orderId}.pdf`);
+}
+
+// Emails a one-time download link (POST /api/send-download-link). The API
+// answers the same whether or not the email bought the course.
+async function requestDownloadLink({ email, courseId }) {
+  const resp = await fetch(`${BACKEND_BASE}/api/send-download-link`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ email: email.toLowerCase().trim(), courseId }),
+  });
+  const data = await resp.json().catch(() => null);
+  if (!resp.ok) throw new Error(data?.error || 'Could not send the link');
+}
+
+// POST /api/library as the signed-in buyer
+async function libraryFetch(body) {
+  const idToken = await auth.currentUser.getIdToken();
+  const resp = await fetch(`${BACKEND_BASE}/api/library`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${idToken}` },
+    body: JSON.stringify(body),
+  });
+  const data = await resp.json().catch(() => ({}));
+  if (data?.error === 'email_not_verified') throw new Error('Verify your email address to see your purchases.');
+  if (!resp.ok) throw new Error(data?.error || `Request failed (${resp.status})`);
+  return data;
 }
 
 // ---- Cashfree loader (optional; will no-op in this canvas) -----------------
@@ -93,15 +386,51 @@ function CheckItem({ children }) {
 }
 
 // ---- Admin Panel -----------------------------------------------------------
-function AdminPanel({ open, onClose, state, setState }) {
-  const [draft, setDraft] = useState(state.course);
+function AdminPanel({ open, onClose, courses }) {
+  const [courseId, setCourseId] = useState("");
+  const [newCourseId, setNewCourseId] = useState("");
+  const [draft, setDraft] = useState(DEFAULT_COURSE);
   const [user, setUser] = useState(null);
-  const [admins, setAdmins] = useState([]);
-  const [isAdmin, setIsAdmin] = useState(false);
+  const [role, setRole] = useState(null);
+  // From the server (functions/core/roles.js), so the panel only shows what the
+  // signed-in role may use; the API and security rules enforce the same matrix.
+  const [permissions, setPermissions] = useState([]);
+  const [adminRoles, setAdminRoles] = useState([]);
+  const [roleError, setRoleError] = useState("");
+  const [team, setTeam] = useState([]);
+  const [invites, setInvites] = useState([]);
+  const [inviteForm, setInviteForm] = useState({ email: "", role: "editor" });
+  const [auditEntries, setAuditEntries] = useState([]);
+  const [auditLimit, setAuditLimit] = useState(100);
+  const [auditFilter, setAuditFilter] = useState({ action: "", text: "" });
+  const [salesRange, setSalesRange] = useState({ from: istDay(29), to: istDay() });
+  const [salesGrouping, setSalesGrouping] = useState("day");
+  const [sales, setSales] = useState(null);
+  const [funnel, setFunnel] = useState(null);
+  const [buyerQuery, setBuyerQuery] = useState("");
+  const [buyerMatches, setBuyerMatches] = useState([]);
+  const [buyer, setBuyer] = useState(null);
+  const [leakText, setLeakText] = useState("");
+  const [leakResults, setLeakResults] = useState(null);
+  const [leakBusy, setLeakBusy] = useState(false);
+  const [grantForm, setGrantForm] = useState({ courseId: "", source: "manual", note: "", expiresOn: "" });
   const [uploadPct, setUploadPct] = useState(0);
   const [selectedFile, setSelectedFile] = useState(null);
+  const [releaseNotes, setReleaseNotes] = useState("");
+  const [notifyBuyers, setNotifyBuyers] = useState(false);
+  const [adminReleases, setAdminReleases] = useState({ currentVersion: null, releases: [] });
+  const [failedCopies, setFailedCopies] = useState([]);
   const [paymentLink, setPaymentLink] = useState("");
   const [requests, setRequests] = useState([]);
+  const [webhookEvents, setWebhookEvents] = useState([]);
+  const [coupons, setCoupons] = useState([]);
+  const [affiliates, setAffiliates] = useState([]);
+  const [affiliateForm, setAffiliateForm] = useState({ code: "", name: "", email: "", commissionPercent: "" });
+  const [couponForm, setCouponForm] = useState({ code: "", type: "percent", value: "", courseIds: "", expiresAt: "", maxUses: "", maxUsesPerEmail: "" });
+  const [orders, setOrders] = useState([]);
+  const [openEventId, setOpenEventId] = useState(null);
+  const [hasDraft, setHasDraft] = useState(false);
+  const [versions, setVersions] = useState([]);
 
   // Attach auth state listener only when admin panel is open
   useEffect(() => {
@@ -110,29 +439,80 @@ function AdminPanel({ open, onClose, state, setState }) {
     return () => unsub();
   }, [open]);
 
+  // The server accepts a pending invite or owner bootstrap and sets the role
+  // claim; refresh the ID token so security rules see it.
   useEffect(() => {
-    if (!open) return;
-    setDraft(state.course);
-    // load admins
+    setRole(null);
+    setPermissions([]);
+    setRoleError("");
+    if (!open || !user) return;
+    let cancelled = false;
     (async () => {
-      const snap = await getDoc(doc(db, 'config', 'admins'));
-      const list = snap.exists() ? (snap.data().allowedEmails || []) : [];
-      setAdmins(list);
+      try {
+        const data = await adminFetch('/api/admin-users', { body: { action: 'session' } });
+        await auth.currentUser.getIdToken(true);
+        if (cancelled) return;
+        setRole(data.role);
+        setPermissions(data.permissions || []);
+        setAdminRoles(data.roles || []);
+      } catch (e) {
+        if (!cancelled) setRoleError(e?.message || 'not_admin');
+      }
     })();
-    // load settings
+    return () => { cancelled = true; };
+  }, [open, user]);
+
+  const can = (permission) => !!role && permissions.includes(permission);
+
+  useEffect(() => {
+    if (!can('settings') || !open) return;
     (async () => {
       const s = await getDoc(doc(db, 'settings', 'global'));
       setPaymentLink(s.exists() ? (s.data().paymentLink || "") : "");
     })();
-  }, [open]);
+  }, [role, open]);
+
+  // Edit the first course by default; reload the draft when switching courses
+  useEffect(() => {
+    if (!courseId && courses.length) setCourseId(courses[0].id);
+  }, [courses, courseId]);
+
+  // An unpublished draft wins over the live course
+  useEffect(() => {
+    if (!courseId || !open) return;
+    let cancelled = false;
+    (async () => {
+      const snap = await getDoc(doc(db, 'course_drafts', courseId)).catch(() => null);
+      if (cancelled) return;
+      const current = courses.find((c) => c.id === courseId);
+      setHasDraft(!!snap?.exists());
+      if (snap?.exists()) setDraft({ ...DEFAULT_COURSE, ...current, ...snap.data() });
+      else if (current) setDraft(current);
+    })();
+    return () => { cancelled = true; };
+  }, [courseId, open]);
 
   useEffect(() => {
-    const email = user?.email || "";
-    setIsAdmin(email && admins.includes(email));
-  }, [user, admins]);
+    if (can('courses') && open && courseId) loadReleases();
+  }, [role, open, courseId]);
 
   useEffect(() => {
-    if (!isAdmin || !open) return;
+    if (can('courses') && open) loadFailedCopies();
+  }, [role, open]);
+
+  useEffect(() => {
+    if (!can('courses') || !open || !courseId) return;
+    const q = query(collection(db, 'courses', courseId, 'versions'), orderBy('version', 'desc'), limit(20));
+    const unsub = onSnapshot(q, (snap) => {
+      const items = [];
+      snap.forEach((d) => items.push({ id: d.id, ...d.data() }));
+      setVersions(items);
+    });
+    return () => unsub();
+  }, [role, open, courseId]);
+
+  useEffect(() => {
+    if (!can('access') || !open) return;
     const q = query(collection(db, 'requests'));
     const unsub = onSnapshot(q, (snap) => {
       const items = [];
@@ -141,58 +521,467 @@ function AdminPanel({ open, onClose, state, setState }) {
       setRequests(items);
     });
     return () => unsub();
-  }, [isAdmin, open]);
+  }, [role, open]);
+
+  useEffect(() => {
+    if (!can('webhooks') || !open) return;
+    const q = query(collection(db, 'webhook_events'), orderBy('receivedAt', 'desc'), limit(25));
+    const unsub = onSnapshot(q, (snap) => {
+      const items = [];
+      snap.forEach((d) => items.push({ id: d.id, ...d.data() }));
+      setWebhookEvents(items);
+    });
+    return () => unsub();
+  }, [role, open]);
+
+  useEffect(() => {
+    if (!can('orders') || !open) return;
+    const q = query(collection(db, 'orders'), orderBy('createdAt', 'desc'), limit(25));
+    const unsub = onSnapshot(q, (snap) => {
+      const items = [];
+      snap.forEach((d) => items.push({ id: d.id, ...d.data() }));
+      setOrders(items);
+    });
+    return () => unsub();
+  }, [role, open]);
+
+  useEffect(() => {
+    if (!can('coupons') || !open) return;
+    const unsub = onSnapshot(collection(db, 'coupons'), (snap) => {
+      const items = [];
+      snap.forEach((d) => items.push({ id: d.id, ...d.data() }));
+      items.sort((a, b) => (b.createdAt?.seconds || 0) - (a.createdAt?.seconds || 0));
+      setCoupons(items);
+    });
+    return () => unsub();
+  }, [role, open]);
+
+  useEffect(() => {
+    if (!can('affiliates') || !open) return;
+    const unsub = onSnapshot(collection(db, 'affiliates'), (snap) => {
+      const items = [];
+      snap.forEach((d) => items.push({ id: d.id, ...d.data() }));
+      items.sort((a, b) => (b.commissionOwedINR || 0) - (a.commissionOwedINR || 0) || a.code.localeCompare(b.code));
+      setAffiliates(items);
+    });
+    return () => unsub();
+  }, [role, open]);
+
+  useEffect(() => {
+    if (!can('team') || !open) return;
+    const unsubUsers = onSnapshot(collection(db, 'admin_users'), (snap) => {
+      const items = [];
+      snap.forEach((d) => items.push({ id: d.id, ...d.data() }));
+      items.sort((a, b) => adminRoles.indexOf(a.role) - adminRoles.indexOf(b.role) || a.email.localeCompare(b.email));
+      setTeam(items);
+    });
+    const unsubInvites = onSnapshot(collection(db, 'admin_invites'), (snap) => {
+      const items = [];
+      snap.forEach((d) => items.push({ id: d.id, ...d.data() }));
+      setInvites(items);
+    });
+    return () => { unsubUsers(); unsubInvites(); };
+  }, [role, open]);
+
+  useEffect(() => {
+    if (can('analytics') && open) loadSales();
+  }, [role, open, salesRange.from, salesRange.to]);
+
+  useEffect(() => {
+    if (!can('audit') || !open) return;
+    const q = query(collection(db, 'audit_log'), orderBy('at', 'desc'), limit(auditLimit));
+    const unsub = onSnapshot(q, (snap) => {
+      const items = [];
+      snap.forEach((d) => items.push({ id: d.id, ...d.data() }));
+      setAuditEntries(items);
+    });
+    return () => unsub();
+  }, [role, open, auditLimit]);
 
   if (!open) return null;
 
-  async function claimAdmin() {
-    if (!user) return;
-    await setDoc(doc(db, 'config', 'admins'), { allowedEmails: [user.email] }, { merge: false });
-    setAdmins([user.email]);
+  async function saveDraft() {
+    if (!can('courses') || !courseId) return;
+    try {
+      await adminFetch('/api/courses', { body: { action: 'save_draft', courseId, content: pickCourseContent(draft) } });
+      setHasDraft(true);
+      alert('Draft saved. Visitors still see the published version.');
+    } catch (e) {
+      alert(`Save failed: ${e?.message || e}`);
+    }
+  }
+
+  // Makes the current draft live and records it as the next version
+  async function publishCourse() {
+    if (!can('courses') || !courseId) return;
+    if (!confirm(`Publish these changes to ${courseId}? Visitors will see them immediately.`)) return;
+    try {
+      const { version } = await adminFetch('/api/courses', { body: { action: 'publish', courseId, content: pickCourseContent(draft) } });
+      setHasDraft(false);
+      alert(`Published version ${version}`);
+    } catch (e) {
+      alert(`Publish failed: ${e?.message || e}`);
+    }
+  }
+
+  async function discardDraft() {
+    if (!can('courses') || !courseId) return;
+    try {
+      await adminFetch('/api/courses', { body: { action: 'discard_draft', courseId } });
+    } catch (e) {
+      return alert(`Discard failed: ${e?.message || e}`);
+    }
+    setHasDraft(false);
+    const current = courses.find((c) => c.id === courseId);
+    if (current) setDraft(current);
+  }
+
+  // Loads an old version into the editor; it goes live only when published again
+  function restoreVersion(v) {
+    setDraft({ ...draft, ...pickCourseContent(v) });
+  }
+
+  async function createCourse() {
+    if (!can('courses')) return;
+    const id = newCourseId.trim().toLowerCase();
+    if (!/^[a-z0-9][a-z0-9-]{0,63}$/.test(id)) return alert('Use lowercase letters, digits and dashes for the course id');
+    if (courses.some((c) => c.id === id)) return alert('A course with this id already exists');
+    try {
+      await adminFetch('/api/courses', { body: { action: 'create', courseId: id, content: DEFAULT_COURSE } });
+    } catch (e) {
+      return alert(`Create failed: ${e?.message || e}`);
+    }
+    setNewCourseId("");
+    setCourseId(id);
+    setDraft({ id, ...DEFAULT_COURSE, published: false });
   }
 
   async function saveSettings() {
-    if (!isAdmin) return;
-    await setDoc(doc(db, 'settings', 'global'), { paymentLink }, { merge: true });
+    if (!can('settings')) return;
+    try {
+      await adminFetch('/api/settings', { body: { paymentLink } });
+      alert('Settings saved');
+    } catch (e) {
+      alert(`Save failed: ${e?.message || e}`);
+    }
   }
 
   async function startUpload() {
-    if (!isAdmin || !selectedFile) return;
+    if (!can('courses') || !selectedFile || !courseId) return;
     try {
       setUploadPct(1);
-      const idToken = (await auth.currentUser.getIdToken());
-      const blob = await upload(`courses/${selectedFile.name}`, selectedFile, {
-        access: 'private',
-        contentType: selectedFile.type || 'application/zip',
-        handleUploadUrl: `${backendBase}/api/blob-upload`,
-        clientPayload: idToken, // validated server-side
-        multipart: true,
-        onUploadProgress: ({ percentage }) => setUploadPct(Math.max(1, Math.round(percentage))),
+      const checksum = await sha256Hex(selectedFile);
+      // Some browsers report no type for .zip files
+      const contentType = selectedFile.type === 'application/x-zip-compressed' ? selectedFile.type : 'application/zip';
+      const { uploadId, target } = await adminFetch('/api/blob-upload', {
+        body: { action: 'start', courseId, filename: selectedFile.name, contentType, size: selectedFile.size, checksum, notes: releaseNotes, notify: notifyBuyers },
       });
-      alert('Upload complete');
+      await uploadToTarget(target, selectedFile, { contentType, onProgress: (pct) => setUploadPct(Math.max(1, Math.round(pct))) });
+      const { version } = await adminFetch('/api/blob-upload', { body: { action: 'complete', uploadId } });
+      setReleaseNotes("");
+      setNotifyBuyers(false);
+      alert(`Upload complete. v${version} is now the default download.`);
+      await loadReleases();
     } catch (e) {
       alert(`Upload failed: ${e?.message || e}`);
     }
   }
 
-  async function approve(uid, email) {
-    if (!isAdmin) return;
-    const lower = (email || '').toLowerCase();
-    // Keep legacy UID entitlement, and add email-based entitlement used by download API
-    await setDoc(doc(db, 'entitlements', uid), { email: lower, granted: true, updatedAt: serverTimestamp() }, { merge: true });
-    await setDoc(doc(db, 'entitlements_by_email', lower), { email: lower, granted: true, updatedAt: serverTimestamp() }, { merge: true });
-    await updateDoc(doc(db, 'requests', uid), { status: 'approved', updatedAt: serverTimestamp() });
+  async function loadReleases() {
+    try {
+      setAdminReleases(await adminFetch(`/api/course-releases?courseId=${encodeURIComponent(courseId)}`, { method: 'GET' }));
+    } catch (e) {
+      setAdminReleases({ currentVersion: null, releases: [] });
+    }
+  }
+
+  // Buyer copies that could not be watermarked; those buyers cannot download until one is rebuilt
+  async function loadFailedCopies() {
+    try {
+      setFailedCopies((await adminFetch('/api/watermarks', { method: 'GET' })).failed);
+    } catch (e) {
+      setFailedCopies([]);
+    }
+  }
+
+  async function rebuildCopy(licenseId) {
+    if (!can('courses')) return;
+    try {
+      await adminFetch('/api/watermarks', { body: { action: 'rebuild', licenseId } });
+      await loadFailedCopies();
+    } catch (e) {
+      alert(`Rebuild failed: ${e?.message || e}`);
+    }
+  }
+
+  async function rollbackRelease(version) {
+    if (!can('courses')) return;
+    if (!confirm(`Make v${version} the download buyers get for ${courseId}?`)) return;
+    try {
+      await adminFetch('/api/course-releases', { body: { courseId, action: 'rollback', version } });
+      await loadReleases();
+    } catch (e) {
+      alert(`Rollback failed: ${e?.message || e}`);
+    }
+  }
+
+  async function notifyRelease(version) {
+    if (!can('courses')) return;
+    if (!confirm(`Email everyone who bought ${courseId} that v${version} is available?`)) return;
+    try {
+      const data = await adminFetch('/api/course-releases', { body: { courseId, action: 'notify', version } });
+      alert(data.queued
+        ? `Queued emails to ${data.queued} of ${data.total} buyers. They go out over the next few minutes.`
+        : `All ${data.total} buyers were already notified of v${version}.`);
+      await loadReleases();
+    } catch (e) {
+      alert(`Notification failed: ${e?.message || e}`);
+    }
+  }
+
+  async function approve(uid) {
+    if (!can('access')) return;
+    try {
+      await adminFetch('/api/access-requests', { body: { uid } });
+    } catch (e) {
+      alert(`Approve failed: ${e?.message || e}`);
+    }
+  }
+
+  async function searchBuyers() {
+    const q = buyerQuery.trim().toLowerCase();
+    if (!can('access') || q.length < 2) return;
+    try {
+      // A full address opens the buyer even without any entitlement yet
+      if (/[^@\s]+@[^@\s]+\.[^@\s]+/.test(q)) {
+        setBuyerMatches([]);
+        return openBuyer(q);
+      }
+      setBuyerMatches((await adminFetch(`/api/entitlements?q=${encodeURIComponent(q)}`, { method: 'GET' })).matches);
+    } catch (e) {
+      alert(`Search failed: ${e?.message || e}`);
+    }
+  }
+
+  // Traces a leaked copy to its buyer, from the file itself or a pasted license id
+  async function checkLeak(file) {
+    if (!can('access')) return;
+    setLeakBusy(true);
+    try {
+      let data;
+      if (file) {
+        const idToken = await auth.currentUser.getIdToken();
+        const resp = await fetch(`${BACKEND_BASE}/api/leak-check`, {
+          method: 'POST',
+          headers: { 'Content-Type': file.type || 'application/octet-stream', Authorization: `Bearer ${idToken}` },
+          body: file,
+        });
+        data = await resp.json().catch(() => ({}));
+        if (resp.status === 413) throw new Error('File too large. Upload one PDF from the archive, or paste its footer text.');
+        if (!resp.ok) throw new Error(data?.error || `Request failed (${resp.status})`);
+      } else {
+        data = await adminFetch('/api/leak-check', { body: { text: leakText } });
+      }
+      setLeakResults(data.licenseIds);
+    } catch (e) {
+      alert(`Leak check failed: ${e?.message || e}`);
+    } finally {
+      setLeakBusy(false);
+    }
+  }
+
+  async function openBuyer(email) {
+    try {
+      setBuyer(await adminFetch(`/api/entitlements?email=${encodeURIComponent(email)}`, { method: 'GET' }));
+    } catch (e) {
+      alert(`Could not load ${email}: ${e?.message || e}`);
+    }
+  }
+
+  async function changeAccess(body, question) {
+    if (!can('access') || !buyer) return;
+    if (question && !confirm(question)) return;
+    try {
+      setBuyer(await adminFetch('/api/entitlements', { body: { email: buyer.email, ...body } }));
+    } catch (e) {
+      alert(`Failed: ${e?.message || e}`);
+    }
+  }
+
+  function grantAccess() {
+    const target = grantForm.courseId || courseId;
+    // End of the chosen day, in the admin's time zone
+    const expiresAt = grantForm.expiresOn ? new Date(`${grantForm.expiresOn}T23:59:59`).toISOString() : null;
+    changeAccess({ action: 'grant', courseId: target, source: grantForm.source, note: grantForm.note, expiresAt }, `Give ${buyer.email} access to ${target}?`)
+      .then(() => setGrantForm({ ...grantForm, note: "", expiresOn: "" }));
+  }
+
+  function setExpiry(ent) {
+    const current = ent.expiresAt ? new Date(ent.expiresAt).toISOString().slice(0, 10) : '';
+    const input = prompt(`Access to ${ent.courseId} ends after (YYYY-MM-DD). Leave empty for no expiry; a past date ends it now.`, current);
+    if (input === null) return;
+    if (input && !/^\d{4}-\d{2}-\d{2}$/.test(input.trim())) return alert('Use the YYYY-MM-DD format');
+    changeAccess({ action: 'set_expiry', courseId: ent.courseId, expiresAt: input ? new Date(`${input.trim()}T23:59:59`).toISOString() : null });
+  }
+
+  async function createCoupon() {
+    if (!can('coupons')) return;
+    const code = couponForm.code.trim().toUpperCase();
+    if (!/^[A-Z0-9_-]{3,32}$/.test(code)) return alert('Use 3-32 letters, digits, dashes or underscores for the code');
+    const value = Number(couponForm.value);
+    if (!(value > 0) || (couponForm.type === 'percent' && value > 100)) return alert('Enter a discount between 1 and 100 percent, or a flat amount');
+    try {
+      await adminFetch('/api/coupons', {
+        body: {
+          action: 'create',
+          code,
+          type: couponForm.type,
+          value,
+          courseIds: couponForm.courseIds.split(',').map((c) => c.trim()).filter(Boolean),
+          // End of the chosen day, in the admin's time zone
+          expiresAt: couponForm.expiresAt ? new Date(`${couponForm.expiresAt}T23:59:59`).toISOString() : null,
+          maxUses: Number(couponForm.maxUses) || null,
+          maxUsesPerEmail: Number(couponForm.maxUsesPerEmail) || null,
+        },
+      });
+    } catch (e) {
+      return alert(e?.message === 'coupon_exists' ? 'A coupon with this code already exists' : `Create failed: ${e?.message || e}`);
+    }
+    setCouponForm({ code: "", type: "percent", value: "", courseIds: "", expiresAt: "", maxUses: "", maxUsesPerEmail: "" });
+  }
+
+  async function toggleCoupon(c) {
+    if (!can('coupons')) return;
+    try {
+      await adminFetch('/api/coupons', { body: { action: 'set_active', code: c.id, active: c.active === false } });
+    } catch (e) {
+      alert(`Update failed: ${e?.message || e}`);
+    }
+  }
+
+  async function createAffiliate() {
+    if (!can('affiliates')) return;
+    const code = affiliateForm.code.trim().toUpperCase();
+    if (!/^[A-Z0-9_-]{3,32}$/.test(code)) return alert('Use 3-32 letters, digits, dashes or underscores for the code');
+    const commissionPercent = Number(affiliateForm.commissionPercent);
+    if (!(commissionPercent > 0 && commissionPercent <= 100)) return alert('Enter a commission between 1 and 100 percent');
+    try {
+      await adminFetch('/api/affiliates', {
+        body: { action: 'create', code, name: affiliateForm.name.trim(), email: affiliateForm.email.trim().toLowerCase(), commissionPercent },
+      });
+    } catch (e) {
+      return alert(e?.message === 'affiliate_exists' ? 'An affiliate with this code already exists' : `Create failed: ${e?.message || e}`);
+    }
+    setAffiliateForm({ code: "", name: "", email: "", commissionPercent: "" });
+  }
+
+  async function toggleAffiliate(a) {
+    if (!can('affiliates')) return;
+    try {
+      await adminFetch('/api/affiliates', { body: { action: 'set_active', code: a.id, active: a.active === false } });
+    } catch (e) {
+      alert(`Update failed: ${e?.message || e}`);
+    }
+  }
+
+  async function markAffiliatePaid(a) {
+    if (!can('affiliates')) return;
+    const reference = prompt(`Mark ₹${(a.commissionOwedINR || 0).toFixed(2)} owed to ${a.code} as paid. Payment reference (optional):`, '');
+    if (reference === null) return;
+    try {
+      const data = await adminFetch('/api/affiliate-payouts', { body: { code: a.code, reference } });
+      alert(`Marked ${data.count} orders (₹${data.amountINR}) as paid`);
+    } catch (e) {
+      alert(`Failed: ${e?.message || e}`);
+    }
+  }
+
+  async function exportPayouts() {
+    if (!can('affiliates')) return;
+    try {
+      const idToken = await auth.currentUser.getIdToken();
+      const resp = await fetch(`${BACKEND_BASE}/api/affiliate-payouts`, { headers: { Authorization: `Bearer ${idToken}` } });
+      if (!resp.ok) throw new Error(`Export failed (${resp.status})`);
+      await saveResponseAs(resp, `affiliate-payouts-${new Date().toISOString().slice(0, 10)}.csv`);
+    } catch (e) {
+      alert(e?.message || 'Export failed');
+    }
+  }
+
+  async function downloadOrderInvoice(order) {
+    try {
+      const idToken = await auth.currentUser.getIdToken();
+      const resp = await fetch(`${BACKEND_BASE}/api/invoice?orderId=${encodeURIComponent(order.orderId)}`, { headers: { Authorization: `Bearer ${idToken}` } });
+      if (!resp.ok) throw new Error(`Invoice failed (${resp.status})`);
+      await saveResponseAs(resp, `invoice-${order.invoiceNumber || order.orderId}.pdf`.replace(/\//g, '-'));
+    } catch (e) {
+      alert(e?.message || 'Invoice failed');
+    }
+  }
+
+  async function refundOrder(order) {
+    if (!can('refunds')) return;
+    const input = prompt(`Refund amount in INR for ${order.orderId} (${order.email})`, String(order.amountINR || ''));
+    if (input === null) return;
+    try {
+      const data = await adminFetch('/api/refund', { body: { orderId: order.orderId, amountINR: Number(input) } });
+      alert(`Refund requested (${data.refundStatus}). Access is revoked once Cashfree confirms it.`);
+    } catch (e) {
+      alert(`Refund failed: ${e?.message || e}`);
+    }
+  }
+
+  // The funnel shares the sales date range
+  async function loadSales() {
+    const range = `from=${salesRange.from}&to=${salesRange.to}`;
+    await Promise.all([
+      adminFetch(`/api/sales-stats?${range}`, { method: 'GET' })
+        .then(setSales, (e) => setSales({ error: e?.message || 'Could not load sales' })),
+      adminFetch(`/api/funnel-stats?${range}`, { method: 'GET' })
+        .then(setFunnel, (e) => setFunnel({ error: e?.message || 'Could not load the funnel' })),
+    ]);
+  }
+
+  async function inviteTeamMember() {
+    if (!can('team')) return;
+    try {
+      await adminFetch('/api/admin-users', { body: { action: 'invite', ...inviteForm, adminPath: ADMIN_SECRET_PATH } });
+      setInviteForm({ email: "", role: inviteForm.role });
+    } catch (e) {
+      alert(`Invite failed: ${e?.message || e}`);
+    }
+  }
+
+  async function teamAction(body, question) {
+    if (!can('team')) return;
+    if (question && !confirm(question)) return;
+    try {
+      await adminFetch('/api/admin-users', { body });
+    } catch (e) {
+      alert(e?.message === 'last_owner' ? 'The team needs at least one owner.' : `Failed: ${e?.message || e}`);
+    }
+  }
+
+  async function replayEvent(eventId) {
+    if (!can('webhooks')) return;
+    if (!confirm(`Replay webhook event ${eventId}?`)) return;
+    try {
+      const data = await adminFetch('/api/webhook-replay', { body: { eventId } });
+      alert(`Replayed: ${JSON.stringify(data.result)}`);
+    } catch (e) {
+      alert(`Replay failed: ${e?.message || e}`);
+    }
   }
 
   return (
     <div className="fixed inset-0 z-50 bg-black/40 flex items-center justify-center p-4">
-      <div className="w-full max-w-3xl rounded-2xl bg-white p-6 shadow-xl">
+      <div className="w-full max-w-3xl max-h-[90vh] overflow-auto rounded-2xl bg-white p-6 shadow-xl">
         <div className="flex items-center justify-between">
           <h2 className="text-xl font-semibold">Admin</h2>
           <div className="flex items-center gap-2">
             {user ? (
               <>
-                <span className="text-xs text-neutral-600">{user.email}</span>
+                <span className="text-xs text-neutral-600">{user.email}{role ? ` • ${role}` : ''}</span>
                 <button onClick={() => signOut(auth)} className="rounded-xl border px-3 py-1">Sign out</button>
               </>
             ) : (
@@ -204,16 +993,154 @@ function AdminPanel({ open, onClose, state, setState }) {
 
         {!user ? (
           <div className="mt-6 text-sm text-neutral-700">Sign in to continue.</div>
-        ) : !admins.length ? (
-          <div className="mt-6 space-y-3">
-            <div className="text-sm">No admins configured yet. Claim admin with your email:</div>
-            <div className="text-xs">You will be recorded as the first admin: <b>{user.email}</b></div>
-            <button onClick={claimAdmin} className="rounded-xl bg-black text-white px-4 py-2">Claim Admin</button>
+        ) : roleError ? (
+          <div className="mt-6 text-sm text-red-600">
+            {roleError === 'not_admin'
+              ? `You are signed in as ${user.email}, but you are not on the admin team. Ask an owner for an invite.`
+              : `Could not check your admin access: ${roleError}`}
           </div>
-        ) : !isAdmin ? (
-          <div className="mt-6 text-sm text-red-600">You are signed in as {user.email}, but you are not in the admin list.</div>
+        ) : !role ? (
+          <div className="mt-6 text-sm text-neutral-700">Checking access…</div>
         ) : (
           <div className="mt-6 space-y-8">
+            {can('analytics') && (
+            <div className="border rounded-xl p-4">
+              <div className="font-semibold mb-2">Sales</div>
+              <div className="flex flex-wrap items-center gap-2 text-sm">
+                <input type="date" className="rounded-xl border px-3 py-1" value={salesRange.from} max={salesRange.to} onChange={(e) => e.target.value && setSalesRange({ ...salesRange, from: e.target.value })} />
+                <span>to</span>
+                <input type="date" className="rounded-xl border px-3 py-1" value={salesRange.to} min={salesRange.from} onChange={(e) => e.target.value && setSalesRange({ ...salesRange, to: e.target.value })} />
+                {[7, 30, 90].map((n) => (
+                  <button key={n} className="rounded-xl border px-3 py-1" onClick={() => setSalesRange({ from: istDay(n - 1), to: istDay() })}>{n} days</button>
+                ))}
+                <select className="rounded-xl border px-3 py-1" value={salesGrouping} onChange={(e) => setSalesGrouping(e.target.value)}>
+                  <option value="day">Daily</option>
+                  <option value="week">Weekly</option>
+                </select>
+              </div>
+              {!sales ? (
+                <div className="mt-3 text-sm">Loading…</div>
+              ) : sales.error ? (
+                <div className="mt-3 text-sm text-red-600">{sales.error}</div>
+              ) : (
+                <>
+                  <div className="mt-3 grid grid-cols-2 md:grid-cols-3 gap-2 text-sm">
+                    {[
+                      ['Net revenue', `₹${sales.totals.netRevenueINR.toFixed(2)}`, `gross ₹${sales.totals.revenueINR.toFixed(2)} • refunded ₹${sales.totals.refundedINR.toFixed(2)}`],
+                      ['Paid orders', sales.totals.ordersPaid, `of ${sales.totals.ordersCreated} checkouts started`],
+                      ['Conversion', formatPercent(sales.totals.conversionRate), 'paid / created'],
+                      ['Average order', sales.totals.averageOrderINR === null ? '–' : `₹${sales.totals.averageOrderINR.toFixed(2)}`, `discounts ₹${sales.totals.discountINR.toFixed(2)}`],
+                      ['Refund rate', formatPercent(sales.totals.refundRate), `${sales.totals.refunds} full refunds`],
+                    ].map(([label, value, note]) => (
+                      <div key={label} className="rounded-lg border p-2">
+                        <div className="text-xs text-neutral-500">{label}</div>
+                        <div className="text-lg font-semibold">{value}</div>
+                        <div className="text-xs text-neutral-500">{note}</div>
+                      </div>
+                    ))}
+                  </div>
+                  {(() => {
+                    const rows = salesGrouping === 'week' ? groupSalesByWeek(sales.days) : sales.days;
+                    const max = Math.max(1, ...rows.map((r) => r.revenueINR));
+                    return (
+                      <div className="mt-3 space-y-1 max-h-60 overflow-auto text-xs">
+                        {rows.slice().reverse().map((r) => (
+                          <div key={r.date} className="flex items-center gap-2">
+                            <span className="w-24 shrink-0 text-neutral-500">{salesGrouping === 'week' ? `wk of ${r.date.slice(5)}` : r.date}</span>
+                            <div className="flex-1 rounded bg-neutral-100">
+                              <div className="h-3 rounded bg-amber-400" style={{ width: `${(r.revenueINR / max) * 100}%` }} />
+                            </div>
+                            <span className="w-40 shrink-0 text-right">₹{r.revenueINR.toFixed(0)} • {r.ordersPaid}/{r.ordersCreated}{r.refunds ? ` • ${r.refunds} ref.` : ''}</span>
+                          </div>
+                        ))}
+                      </div>
+                    );
+                  })()}
+                  <div className="mt-3 grid grid-cols-1 md:grid-cols-2 gap-3 text-sm">
+                    <div>
+                      <div className="font-medium mb-1">Top referrers</div>
+                      {sales.referrers.length === 0 && <div className="text-xs text-neutral-500">No affiliate sales in this range.</div>}
+                      {sales.referrers.map((r) => (
+                        <div key={r.code} className="flex justify-between text-xs"><span>{r.code}</span><span>{r.ordersPaid} sales • ₹{r.revenueINR.toFixed(2)}</span></div>
+                      ))}
+                    </div>
+                    <div>
+                      <div className="font-medium mb-1">Coupon usage</div>
+                      {sales.coupons.length === 0 && <div className="text-xs text-neutral-500">No coupons used in this range.</div>}
+                      {sales.coupons.map((c) => (
+                        <div key={c.code} className="flex justify-between text-xs"><span>{c.code}</span><span>{c.uses} uses • −₹{c.discountINR.toFixed(2)} • ₹{c.revenueINR.toFixed(2)}</span></div>
+                      ))}
+                    </div>
+                  </div>
+                </>
+              )}
+            </div>
+            )}
+
+            {can('analytics') && (
+            <div className="border rounded-xl p-4">
+              <div className="font-semibold mb-1">Storefront funnel</div>
+              <div className="text-xs text-neutral-600 mb-2">Visits that started in the range above. Each step counts a visit once.</div>
+              {!funnel ? (
+                <div className="text-sm">Loading…</div>
+              ) : funnel.error ? (
+                <div className="text-sm text-red-600">{funnel.error}</div>
+              ) : (
+                <>
+                  <div className="space-y-1 text-xs">
+                    {funnel.steps.map((step, i) => {
+                      const n = funnel.totals.steps[step];
+                      const prev = i ? funnel.totals.steps[funnel.steps[i - 1]] : null;
+                      return (
+                        <div key={step} className="flex items-center gap-2">
+                          <span className="w-32 shrink-0">{FUNNEL_LABELS[step] || step}</span>
+                          <div className="flex-1 rounded bg-neutral-100">
+                            <div className="h-3 rounded bg-emerald-400" style={{ width: `${funnel.totals.sessions ? (n / funnel.totals.sessions) * 100 : 0}%` }} />
+                          </div>
+                          <span className="w-36 shrink-0 text-right">{n}{prev ? ` • ${formatPercent(n / prev)} of previous` : ''}</span>
+                        </div>
+                      );
+                    })}
+                  </div>
+                  <div className="mt-2 text-xs text-neutral-500">
+                    {funnel.totals.sessions} visits • {funnel.ordersPaid} paid orders • {funnel.totals.checkoutErrors} checkout errors
+                    {funnel.totals.dropped ? ` • ${funnel.totals.dropped} event batches dropped by rate limits` : ''}
+                  </div>
+                  {funnel.sources.length > 0 && (
+                    <div className="mt-3 text-xs">
+                      <div className="font-medium mb-1">By source</div>
+                      {funnel.sources.slice(0, 10).map((src) => (
+                        <div key={src.source} className="flex justify-between">
+                          <span>{src.source}</span>
+                          <span>{src.sessions} visits • {src.steps.pay_clicked} pay clicks • {src.steps.checkout_opened} checkouts</span>
+                        </div>
+                      ))}
+                    </div>
+                  )}
+                </>
+              )}
+            </div>
+            )}
+
+            {can('courses') && (
+            <>
+            <div className="flex flex-wrap items-end gap-3">
+              <div>
+                <label className="text-sm">Course</label>
+                <select className="block rounded-xl border px-3 py-2 mt-1" value={courseId} onChange={(e) => setCourseId(e.target.value)}>
+                  {courses.length === 0 && <option value="">No courses yet</option>}
+                  {courses.map((c) => <option key={c.id} value={c.id}>{c.title || c.id}{c.published === false ? ' (hidden)' : ''}</option>)}
+                </select>
+              </div>
+              <div>
+                <label className="text-sm">New course id</label>
+                <input className="block rounded-xl border px-3 py-2 mt-1" placeholder="e.g. sales-masterclass" value={newCourseId} onChange={(e) => setNewCourseId(e.target.value)} />
+              </div>
+              <button onClick={createCourse} className="rounded-xl border px-3 py-2" disabled={!newCourseId}>Create course</button>
+            </div>
+
+            {courseId && (
+            <>
             <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
               <div>
                 <label className="text-sm">Course title</label>
@@ -231,48 +1158,475 @@ function AdminPanel({ open, onClose, state, setState }) {
                 <label className="text-sm">What user gets (one per line)</label>
                 <textarea className="w-full rounded-xl border px-3 py-2 mt-1" rows={3} value={draft.bullets.join("\n")} onChange={(e) => setDraft({ ...draft, bullets: e.target.value.split(/\n+/).filter(Boolean) })} />
               </div>
+              <div>
+                <label className="text-sm">Catalog position</label>
+                <input type="number" className="w-full rounded-xl border px-3 py-2 mt-1" value={draft.sortOrder || 0} onChange={(e) => setDraft({ ...draft, sortOrder: Number(e.target.value || 0) })} />
+              </div>
+              <label className="flex items-center gap-2 text-sm md:mt-6">
+                <input type="checkbox" checked={draft.published !== false} onChange={(e) => setDraft({ ...draft, published: e.target.checked })} />
+                Listed in catalog
+              </label>
+            </div>
+
+            <div className="flex flex-wrap items-center gap-2">
+              <button className="rounded-xl border px-4 py-2" onClick={saveDraft}>Save draft</button>
+              <button className="rounded-xl bg-black text-white px-4 py-2" onClick={publishCourse}>Publish</button>
+              {hasDraft && <button className="rounded-xl border px-4 py-2" onClick={discardDraft}>Discard draft</button>}
+              <button className="rounded-xl border px-4 py-2" onClick={() => { setDraft({ ...draft, ...DEFAULT_COURSE }); }}>Reset</button>
+              <span className="text-xs text-neutral-500">
+                {hasDraft ? 'Unpublished draft' : 'Editing the published version'}
+                {courses.find((c) => c.id === courseId)?.version ? ` • live: v${courses.find((c) => c.id === courseId).version}` : ''}
+              </span>
+            </div>
+
+            <div className="border rounded-xl p-4">
+              <div className="font-semibold mb-2">Version history</div>
+              <div className="space-y-2 max-h-60 overflow-auto">
+                {versions.length === 0 && <div className="text-sm">Nothing published yet.</div>}
+                {versions.map((v) => (
+                  <div key={v.id} className="flex items-center justify-between rounded-lg border p-2 text-sm">
+                    <div>
+                      <div className="font-medium">v{v.version} • {v.title} • ₹{v.priceINR}</div>
+                      <div className="text-xs text-neutral-500">
+                        {v.publishedBy}
+                        {v.publishedAt?.seconds ? ` • ${new Date(v.publishedAt.seconds * 1000).toLocaleString()}` : ''}
+                      </div>
+                    </div>
+                    <button className="rounded-xl border px-3 py-1" onClick={() => restoreVersion(v)}>Load into editor</button>
+                  </div>
+                ))}
+              </div>
+            </div>
+            </>
+            )}
+            </>
+            )}
+
+            {can('settings') && (
+            <div className="border rounded-xl p-4">
+              <div className="font-semibold mb-2">Payment settings</div>
+              <label className="text-sm">Cashfree Payment Link URL</label>
+              <input className="w-full rounded-xl border px-3 py-2 mt-1" placeholder="https://payments.cashfree.com/forms/your-link" value={paymentLink} onChange={(e) => setPaymentLink(e.target.value)} />
+              <div className="mt-2"><button onClick={saveSettings} className="rounded-xl border px-3 py-2">Save settings</button></div>
+            </div>
+            )}
+
+            {can('courses') && (
+            <div className="border rounded-xl p-4">
+              <div className="font-semibold mb-2">Upload course ZIP{courseId ? ` for ${courseId}` : ''}</div>
+              <input type="file" accept=".zip" onChange={(e) => setSelectedFile(e.target.files?.[0] || null)} />
+              <textarea className="w-full rounded-xl border px-3 py-2 mt-2" rows={2} placeholder="Release notes (shown to buyers)" value={releaseNotes} onChange={(e) => setReleaseNotes(e.target.value)} />
+              <label className="mt-1 flex items-center gap-2 text-sm">
+                <input type="checkbox" checked={notifyBuyers} onChange={(e) => setNotifyBuyers(e.target.checked)} />
+                Email existing buyers that an update is available
+              </label>
+              <div className="mt-2 flex items-center gap-3">
+                <button onClick={startUpload} className="rounded-xl bg-black text-white px-4 py-2" disabled={!selectedFile || !courseId}>Upload</button>
+                {uploadPct > 0 && <span className="text-sm">{uploadPct}%</span>}
+              </div>
+              <div className="text-xs text-neutral-500 mt-1">Each upload becomes a new release and the default download. Uploads are restricted to owners and editors.</div>
+
+              <div className="mt-4 flex items-center justify-between">
+                <div className="font-semibold">Releases</div>
+                <button className="text-xs underline" onClick={loadReleases}>Refresh</button>
+              </div>
+              <div className="mt-2 space-y-2 max-h-60 overflow-auto">
+                {adminReleases.releases.length === 0 && <div className="text-sm">No releases yet.</div>}
+                {adminReleases.releases.map((r) => (
+                  <div key={r.version} className="flex items-center justify-between rounded-lg border p-2 text-sm">
+                    <div>
+                      <div className="font-medium">
+                        v{r.version}{r.version === adminReleases.currentVersion ? ' • current' : ''}{r.size ? ` • ${formatBytes(r.size)}` : ''}
+                      </div>
+                      {r.notes && <div className="text-xs text-neutral-700 whitespace-pre-line">{r.notes}</div>}
+                      <div className="text-xs text-neutral-500">
+                        {r.uploadedBy || 'unknown uploader'}
+                        {r.createdAt ? ` • ${new Date(r.createdAt).toLocaleString()}` : ''}
+                        {r.checksum ? ` • sha256 ${r.checksum.slice(0, 12)}…` : ''}
+                        {r.notifiedAt ? ` • ${r.notifiedCount || 0} buyers notified` : ''}
+                      </div>
+                    </div>
+                    <div className="flex gap-2">
+                      {r.version !== adminReleases.currentVersion && (
+                        <button className="rounded-xl border px-3 py-1" onClick={() => rollbackRelease(r.version)}>Make current</button>
+                      )}
+                      <button className="rounded-xl border px-3 py-1" onClick={() => notifyRelease(r.version)}>Notify buyers</button>
+                    </div>
+                  </div>
+                ))}
+              </div>
+
+              <div className="mt-4 flex items-center justify-between">
+                <div className="font-semibold">Buyer copies that failed</div>
+                <button className="text-xs underline" onClick={loadFailedCopies}>Refresh</button>
+              </div>
+              <div className="text-xs text-neutral-500 mt-1">These buyers are asked to retry their download until their watermarked copy is rebuilt.</div>
+              <div className="mt-2 space-y-2 max-h-60 overflow-auto">
+                {failedCopies.length === 0 && <div className="text-sm">None.</div>}
+                {failedCopies.map((c) => (
+                  <div key={c.licenseId} className="flex items-center justify-between rounded-lg border p-2 text-sm">
+                    <div>
+                      <div className="font-medium">{c.email} • {c.courseId}{c.version ? ` v${c.version}` : ''}</div>
+                      <div className="text-xs text-neutral-500">
+                        {c.licenseId} • {c.attempts} attempts{c.lastError ? ` • ${c.lastError}` : ''}
+                      </div>
+                    </div>
+                    <button className="rounded-xl border px-3 py-1" onClick={() => rebuildCopy(c.licenseId)}>Rebuild</button>
+                  </div>
+                ))}
+              </div>
+            </div>
+            )}
+
+            {can('access') && (
+            <div className="border rounded-xl p-4">
+              <div className="font-semibold mb-2">Purchase requests</div>
+              <div className="text-xs text-neutral-600 mb-2">Approve to grant download entitlement.</div>
+              <div className="space-y-2 max-h-60 overflow-auto">
+                {requests.length === 0 && <div className="text-sm">No requests yet.</div>}
+                {requests.map(r => (
+                  <div key={r.id} className="flex items-center justify-between rounded-lg border p-2 text-sm">
+                    <div>
+                      <div className="font-medium">{r.email}</div>
+                      <div className="text-xs text-neutral-500">uid: {r.id} • status: {r.status || 'pending'}</div>
+                    </div>
+                    <div className="flex gap-2">
+                      <button className="rounded-xl border px-3 py-1" onClick={() => approve(r.id)}>Approve</button>
+                    </div>
+                  </div>
+                ))}
+              </div>
+            </div>
+            )}
+
+            {can('access') && (
+            <div className="border rounded-xl p-4">
+              <div className="font-semibold mb-2">Buyer access</div>
+              <div className="flex gap-2 text-sm">
+                <input className="flex-1 rounded-xl border px-3 py-2" placeholder="Buyer email, or the start of it" value={buyerQuery} onChange={(e) => setBuyerQuery(e.target.value)} onKeyDown={(e) => e.key === 'Enter' && searchBuyers()} />
+                <button onClick={searchBuyers} className="rounded-xl border px-3 py-2" disabled={buyerQuery.trim().length < 2}>Search</button>
+              </div>
+              {buyerMatches.length > 0 && (
+                <div className="mt-2 flex flex-wrap gap-2 text-xs">
+                  {buyerMatches.map((m) => <button key={m} className="rounded-xl border px-2 py-1" onClick={() => openBuyer(m)}>{m}</button>)}
+                </div>
+              )}
+              {buyer && (
+                <div className="mt-3 space-y-3 text-sm">
+                  <div className="flex items-center justify-between">
+                    <div className="font-medium">{buyer.email}</div>
+                    <button className="text-xs underline" onClick={() => setBuyer(null)}>Close</button>
+                  </div>
+                  <div className="space-y-2">
+                    {buyer.entitlements.length === 0 && <div className="text-xs text-neutral-500">No course access yet.</div>}
+                    {buyer.entitlements.map((ent) => (
+                      <div key={ent.courseId} className="flex items-center justify-between rounded-lg border p-2">
+                        <div>
+                          <div className="font-medium">{ent.courseId} • {ent.status}{ent.reason ? ` (${ent.reason})` : ''}</div>
+                          <div className="text-xs text-neutral-500">
+                            {ent.orderId ? `order ${ent.orderId}` : ent.source || 'manual'}
+                            {ent.grantedBy ? ` • by ${ent.grantedBy}` : ''}
+                            {ent.grantedAt ? ` • ${new Date(ent.grantedAt).toLocaleDateString()}` : ''}
+                            {ent.expiresAt ? ` • ${ent.status === 'expired' ? 'expired' : 'expires'} ${new Date(ent.expiresAt).toLocaleDateString()}` : ''}
+                            {` • ${ent.downloads} downloads`}{ent.bytesServed ? ` (${formatBytes(ent.bytesServed)} served)` : ''}
+                          </div>
+                          {ent.note && <div className="text-xs text-neutral-700">{ent.note}</div>}
+                        </div>
+                        <div className="flex gap-2">
+                          <button className="rounded-xl border px-3 py-1" onClick={() => setExpiry(ent)}>Expiry</button>
+                          {['revoked', 'suspended'].includes(ent.status) ? (
+                            <button className="rounded-xl border px-3 py-1" onClick={() => changeAccess({ action: 'reinstate', courseId: ent.courseId }, `Restore ${buyer.email}'s access to ${ent.courseId}?`)}>Reinstate</button>
+                          ) : (
+                            <button className="rounded-xl border px-3 py-1" onClick={() => {
+                              const reason = prompt(`Revoke ${buyer.email}'s access to ${ent.courseId}. Reason:`, 'support');
+                              if (reason !== null) changeAccess({ action: 'revoke', courseId: ent.courseId, reason });
+                            }}>Revoke</button>
+                          )}
+                        </div>
+                      </div>
+                    ))}
+                  </div>
+                  <div className="grid grid-cols-2 md:grid-cols-4 gap-2">
+                    <select className="rounded-xl border px-3 py-2" value={grantForm.courseId || courseId} onChange={(e) => setGrantForm({ ...grantForm, courseId: e.target.value })}>
+                      {courses.map((c) => <option key={c.id} value={c.id}>{c.title || c.id}</option>)}
+                    </select>
+                    <select className="rounded-xl border px-3 py-2" value={grantForm.source} onChange={(e) => setGrantForm({ ...grantForm, source: e.target.value })}>
+                      <option value="manual">Manual</option>
+                      <option value="bank_transfer">Bank transfer</option>
+                      <option value="gift">Gift</option>
+                      <option value="support">Support fix</option>
+                    </select>
+                    <input type="date" className="rounded-xl border px-3 py-2" title="Optional: access ends after this day" value={grantForm.expiresOn} onChange={(e) => setGrantForm({ ...grantForm, expiresOn: e.target.value })} />
+                    <button onClick={grantAccess} className="rounded-xl border px-3 py-2" disabled={!(grantForm.courseId || courseId)}>Grant access</button>
+                    <input className="col-span-2 md:col-span-4 rounded-xl border px-3 py-2" placeholder="Note, e.g. bank reference" value={grantForm.note} onChange={(e) => setGrantForm({ ...grantForm, note: e.target.value })} />
+                  </div>
+                  <div>
+                    <div className="font-medium mb-1">Orders</div>
+                    {buyer.orders.length === 0 && <div className="text-xs text-neutral-500">No orders with this email.</div>}
+                    {buyer.orders.map((o) => (
+                      <div key={o.orderId} className="text-xs text-neutral-700">
+                        {o.orderId} • {o.courseId} • ₹{o.amountINR}{o.couponCode ? ` (${o.couponCode})` : ''} • {o.status}
+                        {o.invoiceNumber ? ` • ${o.invoiceNumber}` : ''}
+                        {o.createdAt ? ` • ${new Date(o.createdAt).toLocaleString()}` : ''}
+                      </div>
+                    ))}
+                  </div>
+                  <div>
+                    <div className="font-medium mb-1">Download history</div>
+                    {buyer.downloads.length === 0 && <div className="text-xs text-neutral-500">No downloads recorded.</div>}
+                    <div className="max-h-40 overflow-auto">
+                      {buyer.downloads.map((d) => (
+                        <div key={d.id} className="text-xs text-neutral-700">
+                          {d.at ? new Date(d.at).toLocaleString() : ''} • {d.courseId}{d.version ? ` v${d.version}` : ''}{d.ip ? ` • ${d.ip}` : ''}
+                          {d.bytesServed ? ` • ${formatBytes(d.bytesServed)}${d.requests > 1 ? ` in ${d.requests} requests` : ''}` : ''}
+                        </div>
+                      ))}
+                    </div>
+                  </div>
+                </div>
+              )}
+              <div className="mt-4 border-t pt-3 text-sm space-y-2">
+                <div className="font-medium">Trace a leaked copy</div>
+                <div className="text-xs text-neutral-500">Each buyer's ZIP carries a license id in LICENSE.txt, the ZIP comment and on every PDF page.</div>
+                <div className="flex flex-wrap gap-2">
+                  <input className="flex-1 rounded-xl border px-3 py-2" placeholder="Paste a license id or PDF footer (lic_…)" value={leakText} onChange={(e) => setLeakText(e.target.value)} />
+                  <button onClick={() => checkLeak()} className="rounded-xl border px-3 py-2" disabled={leakBusy || !leakText.trim()}>Look up</button>
+                  <label className="rounded-xl border px-3 py-2 cursor-pointer">
+                    Check a file…
+                    <input type="file" accept=".zip,.pdf,application/zip,application/pdf" className="hidden" disabled={leakBusy} onChange={(e) => { const f = e.target.files?.[0]; e.target.value = ''; if (f) checkLeak(f); }} />
+                  </label>
+                </div>
+                {leakBusy && <div className="text-xs text-neutral-500">Checking…</div>}
+                {leakResults && leakResults.length === 0 && <div className="text-xs text-neutral-600">No license id found. The marks may have been stripped; try a PDF from the copy.</div>}
+                {leakResults?.map((l) => (
+                  <div key={l.licenseId} className="text-xs text-neutral-700">
+                    {l.licenseId} • {l.found ? (
+                      <>
+                        <button className="underline" onClick={() => openBuyer(l.email)}>{l.email}</button>
+                        {` • ${l.courseId}${l.version ? ` v${l.version}` : ''}${l.orderId ? ` • ${l.orderId}` : ''}${l.createdAt ? ` • issued ${new Date(l.createdAt).toLocaleString()}` : ''}`}
+                      </>
+                    ) : 'not issued by this store'}
+                  </div>
+                ))}
+              </div>
+            </div>
+            )}
+
+            {can('coupons') && (
+            <div className="border rounded-xl p-4">
+              <div className="font-semibold mb-2">Coupons</div>
+              <div className="grid grid-cols-2 md:grid-cols-4 gap-2 text-sm">
+                <input className="rounded-xl border px-3 py-2" placeholder="CODE" value={couponForm.code} onChange={(e) => setCouponForm({ ...couponForm, code: e.target.value })} />
+                <select className="rounded-xl border px-3 py-2" value={couponForm.type} onChange={(e) => setCouponForm({ ...couponForm, type: e.target.value })}>
+                  <option value="percent">% off</option>
+                  <option value="flat">₹ off</option>
+                </select>
+                <input type="number" className="rounded-xl border px-3 py-2" placeholder={couponForm.type === 'percent' ? 'Percent' : 'Rupees'} value={couponForm.value} onChange={(e) => setCouponForm({ ...couponForm, value: e.target.value })} />
+                <input type="date" className="rounded-xl border px-3 py-2" title="Expires at the end of this day" value={couponForm.expiresAt} onChange={(e) => setCouponForm({ ...couponForm, expiresAt: e.target.value })} />
+                <input className="rounded-xl border px-3 py-2 md:col-span-2" placeholder="Course ids, comma separated (blank = all)" value={couponForm.courseIds} onChange={(e) => setCouponForm({ ...couponForm, courseIds: e.target.value })} />
+                <input type="number" className="rounded-xl border px-3 py-2" placeholder="Max uses" value={couponForm.maxUses} onChange={(e) => setCouponForm({ ...couponForm, maxUses: e.target.value })} />
+                <input type="number" className="rounded-xl border px-3 py-2" placeholder="Max per email" value={couponForm.maxUsesPerEmail} onChange={(e) => setCouponForm({ ...couponForm, maxUsesPerEmail: e.target.value })} />
+              </div>
+              <div className="mt-2"><button onClick={createCoupon} className="rounded-xl border px-3 py-2" disabled={!couponForm.code || !couponForm.value}>Create coupon</button></div>
+              <div className="mt-3 space-y-2 max-h-60 overflow-auto">
+                {coupons.length === 0 && <div className="text-sm">No coupons yet.</div>}
+                {coupons.map((c) => (
+                  <div key={c.id} className="flex items-center justify-between rounded-lg border p-2 text-sm">
+                    <div>
+                      <div className="font-medium">
+                        {c.code} • {c.type === 'percent' ? `${c.value}% off` : `₹${c.value} off`}{c.active === false ? ' • disabled' : ''}
+                      </div>
+                      <div className="text-xs text-neutral-500">
+                        {c.courseIds?.length ? c.courseIds.join(', ') : 'all courses'}
+                        {c.expiresAt?.seconds ? ` • expires ${new Date(c.expiresAt.seconds * 1000).toLocaleDateString()}` : ''}
+                        {c.maxUsesPerEmail ? ` • ${c.maxUsesPerEmail} per email` : ''}
+                      </div>
+                      <div className="text-xs text-neutral-500">
+                        used {c.uses || 0}{c.maxUses ? ` / ${c.maxUses}` : ''} • discounts ₹{c.discountTotalINR || 0} • revenue ₹{c.revenueINR || 0}
+                      </div>
+                    </div>
+                    <button className="rounded-xl border px-3 py-1" onClick={() => toggleCoupon(c)}>{c.active === false ? 'Enable' : 'Disable'}</button>
+                  </div>
+                ))}
+              </div>
             </div>
+            )}
 
-            <div className="flex gap-2">
-              <button className="rounded-xl bg-black text-white px-4 py-2" onClick={() => { setState({ course: draft }); alert('Saved UI content'); }}>Save</button>
-              <button className="rounded-xl border px-4 py-2" onClick={() => { setState({ course: DEFAULT_COURSE }); }}>Reset</button>
+            {can('affiliates') && (
+            <div className="border rounded-xl p-4">
+              <div className="flex items-center justify-between mb-2">
+                <div className="font-semibold">Affiliates</div>
+                <button onClick={exportPayouts} className="rounded-xl border px-3 py-1 text-sm">Export payouts CSV</button>
+              </div>
+              <div className="grid grid-cols-2 md:grid-cols-4 gap-2 text-sm">
+                <input className="rounded-xl border px-3 py-2" placeholder="CODE" value={affiliateForm.code} onChange={(e) => setAffiliateForm({ ...affiliateForm, code: e.target.value })} />
+                <input className="rounded-xl border px-3 py-2" placeholder="Name" value={affiliateForm.name} onChange={(e) => setAffiliateForm({ ...affiliateForm, name: e.target.value })} />
+                <input className="rounded-xl border px-3 py-2" placeholder="Payout email" value={affiliateForm.email} onChange={(e) => setAffiliateForm({ ...affiliateForm, email: e.target.value })} />
+                <input type="number" className="rounded-xl border px-3 py-2" placeholder="Commission %" value={affiliateForm.commissionPercent} onChange={(e) => setAffiliateForm({ ...affiliateForm, commissionPercent: e.target.value })} />
+              </div>
+              <div className="mt-2"><button onClick={createAffiliate} className="rounded-xl border px-3 py-2" disabled={!affiliateForm.code || !affiliateForm.commissionPercent}>Add affiliate</button></div>
+              <div className="text-xs text-neutral-500 mt-1">Share links like {window.location.origin}/?ref=CODE. Commission is a share of the amount actually paid.</div>
+              <div className="mt-3 space-y-2 max-h-60 overflow-auto">
+                {affiliates.length === 0 && <div className="text-sm">No affiliates yet.</div>}
+                {affiliates.map((a) => (
+                  <div key={a.id} className="flex items-center justify-between rounded-lg border p-2 text-sm">
+                    <div>
+                      <div className="font-medium">{a.code} • {a.name || a.email} • {a.commissionPercent}%{a.active === false ? ' • disabled' : ''}</div>
+                      <div className="text-xs text-neutral-500">
+                        {a.clicks || 0} clicks • {a.conversions || 0} sales
+                        {a.clicks ? ` (${(((a.conversions || 0) / a.clicks) * 100).toFixed(1)}%)` : ''} • revenue ₹{(a.revenueINR || 0).toFixed(2)}
+                      </div>
+                      <div className="text-xs text-neutral-500">
+                        owed ₹{(a.commissionOwedINR || 0).toFixed(2)} • paid ₹{(a.commissionPaidINR || 0).toFixed(2)}
+                      </div>
+                    </div>
+                    <div className="flex gap-2">
+                      {(a.commissionOwedINR || 0) >= 0.01 && (
+                        <button className="rounded-xl border px-3 py-1" onClick={() => markAffiliatePaid(a)}>Mark paid</button>
+                      )}
+                      <button className="rounded-xl border px-3 py-1" onClick={() => toggleAffiliate(a)}>{a.active === false ? 'Enable' : 'Disable'}</button>
+                    </div>
+                  </div>
+                ))}
+              </div>
             </div>
+            )}
 
+            {can('orders') && (
             <div className="border rounded-xl p-4">
-              <div className="font-semibold mb-2">Payment settings</div>
-              <label className="text-sm">Cashfree Payment Link URL</label>
-              <input className="w-full rounded-xl border px-3 py-2 mt-1" placeholder="https://payments.cashfree.com/forms/your-link" value={paymentLink} onChange={(e) => setPaymentLink(e.target.value)} />
-              <div className="mt-2"><button onClick={saveSettings} className="rounded-xl border px-3 py-2">Save settings</button></div>
+              <div className="font-semibold mb-2">Orders</div>
+              <div className="text-xs text-neutral-600 mb-2">Latest orders. Refunds revoke the buyer's access once Cashfree confirms them.</div>
+              <div className="space-y-2 max-h-80 overflow-auto">
+                {orders.length === 0 && <div className="text-sm">No orders yet.</div>}
+                {orders.map(o => (
+                  <div key={o.id} className="flex items-center justify-between rounded-lg border p-2 text-sm">
+                    <div>
+                      <div className="font-medium">{o.email} • ₹{o.amountINR}{o.couponCode ? ` (${o.couponCode})` : ''} • {o.courseId}{o.affiliateCode ? ` • via ${o.affiliateCode}` : ''}</div>
+                      <div className="text-xs text-neutral-500">
+                        {o.orderId} • status: {o.status}
+                        {o.createdAt?.seconds ? ` • ${new Date(o.createdAt.seconds * 1000).toLocaleString()}` : ''}
+                      </div>
+                    </div>
+                    <div className="flex gap-2">
+                      {['paid', 'disputed', 'refunded'].includes(o.status) && (
+                        <button className="rounded-xl border px-3 py-1" onClick={() => downloadOrderInvoice(o)} title={o.invoiceNumber || 'Issue invoice'}>Invoice</button>
+                      )}
+                      {can('refunds') && ['paid', 'disputed'].includes(o.status) && (
+                        <button className="rounded-xl border px-3 py-1" onClick={() => refundOrder(o)}>Refund</button>
+                      )}
+                    </div>
+                  </div>
+                ))}
+              </div>
             </div>
+            )}
 
+            {can('webhooks') && (
             <div className="border rounded-xl p-4">
-              <div className="font-semibold mb-2">Upload course ZIP</div>
-              <input type="file" accept=".zip" onChange={(e) => setSelectedFile(e.target.files?.[0] || null)} />
-              <div className="mt-2 flex items-center gap-3">
-                <button onClick={startUpload} className="rounded-xl bg-black text-white px-4 py-2" disabled={!selectedFile}>Upload</button>
-                {uploadPct > 0 && <span className="text-sm">{uploadPct}%</span>}
+              <div className="font-semibold mb-2">Webhook events</div>
+              <div className="text-xs text-neutral-600 mb-2">Latest Cashfree deliveries. Duplicates are acknowledged without side effects.</div>
+              <div className="space-y-2 max-h-80 overflow-auto">
+                {webhookEvents.length === 0 && <div className="text-sm">No events yet.</div>}
+                {webhookEvents.map(ev => (
+                  <div key={ev.id} className="rounded-lg border p-2 text-sm">
+                    <div className="flex items-center justify-between">
+                      <div>
+                        <div className="font-medium">{ev.type || 'UNKNOWN'} • {ev.orderId || 'no order'}</div>
+                        <div className="text-xs text-neutral-500">
+                          {ev.status}{ev.httpStatus ? ` (${ev.httpStatus})` : ''} • attempts: {ev.attempts || 0} • replays: {ev.replays || 0}
+                          {ev.receivedAt?.seconds ? ` • ${new Date(ev.receivedAt.seconds * 1000).toLocaleString()}` : ''}
+                        </div>
+                        {ev.error && <div className="text-xs text-red-600">{ev.error}</div>}
+                      </div>
+                      <div className="flex gap-2">
+                        <button className="rounded-xl border px-3 py-1" onClick={() => setOpenEventId(openEventId === ev.id ? null : ev.id)}>{openEventId === ev.id ? 'Hide' : 'Inspect'}</button>
+                        <button className="rounded-xl border px-3 py-1" onClick={() => replayEvent(ev.id)}>Replay</button>
+                      </div>
+                    </div>
+                    {openEventId === ev.id && (
+                      <pre className="mt-2 max-h-60 overflow-auto rounded bg-neutral-50 p-2 text-xs">{JSON.stringify({ payload: ev.payload, result: ev.result }, null, 2)}</pre>
+                    )}
+                  </div>
+                ))}
               </div>
-              <div className="text-xs text-neutral-500 mt-1">Uploads are restricted to admins by Storage rules.</div>
             </div>
+            )}
 
+            {can('team') && (
             <div className="border rounded-xl p-4">
-              <div className="font-semibold mb-2">Purchase requests</div>
-              <div className="text-xs text-neutral-600 mb-2">Approve to grant download entitlement.</div>
-              <div className="space-y-2 max-h-60 overflow-auto">
-                {requests.length === 0 && <div className="text-sm">No requests yet.</div>}
-                {requests.map(r => (
-                  <div key={r.id} className="flex items-center justify-between rounded-lg border p-2 text-sm">
+              <div className="font-semibold mb-2">Team</div>
+              <div className="text-xs text-neutral-600 mb-2">
+                Editors manage courses and coupons; support handles orders, access and webhooks; finance handles orders, refunds, affiliate payouts and sales figures.
+              </div>
+              <div className="flex flex-wrap gap-2 text-sm">
+                <input className="flex-1 rounded-xl border px-3 py-2" placeholder="Email to invite" value={inviteForm.email} onChange={(e) => setInviteForm({ ...inviteForm, email: e.target.value })} />
+                <select className="rounded-xl border px-3 py-2" value={inviteForm.role} onChange={(e) => setInviteForm({ ...inviteForm, role: e.target.value })}>
+                  {adminRoles.map((r) => <option key={r} value={r}>{r}</option>)}
+                </select>
+                <button onClick={inviteTeamMember} className="rounded-xl border px-3 py-2" disabled={!inviteForm.email}>Invite</button>
+              </div>
+              <div className="mt-3 space-y-2 max-h-60 overflow-auto">
+                {team.map((m) => (
+                  <div key={m.id} className="flex items-center justify-between rounded-lg border p-2 text-sm">
                     <div>
-                      <div className="font-medium">{r.email}</div>
-                      <div className="text-xs text-neutral-500">uid: {r.id} • status: {r.status || 'pending'}</div>
+                      <div className="font-medium">{m.email}{m.id === user.uid ? ' (you)' : ''}</div>
+                      <div className="text-xs text-neutral-500">
+                        {m.updatedBy ? `added by ${m.updatedBy}` : ''}
+                        {m.updatedAt?.seconds ? ` • ${new Date(m.updatedAt.seconds * 1000).toLocaleDateString()}` : ''}
+                      </div>
                     </div>
                     <div className="flex gap-2">
-                      <button className="rounded-xl border px-3 py-1" onClick={() => approve(r.id, r.email)}>Approve</button>
+                      <select className="rounded-xl border px-2 py-1" value={m.role} onChange={(e) => teamAction({ action: 'set_role', uid: m.id, role: e.target.value }, `Change ${m.email} to ${e.target.value}?`)}>
+                        {adminRoles.map((r) => <option key={r} value={r}>{r}</option>)}
+                      </select>
+                      <button className="rounded-xl border px-3 py-1" onClick={() => teamAction({ action: 'revoke', uid: m.id }, `Remove ${m.email} from the team? They are signed out everywhere.`)}>Revoke</button>
+                    </div>
+                  </div>
+                ))}
+                {invites.map((i) => (
+                  <div key={i.id} className="flex items-center justify-between rounded-lg border border-dashed p-2 text-sm">
+                    <div>
+                      <div className="font-medium">{i.email} • {i.role}</div>
+                      <div className="text-xs text-neutral-500">invited by {i.invitedBy} • pending first sign-in</div>
                     </div>
+                    <button className="rounded-xl border px-3 py-1" onClick={() => teamAction({ action: 'cancel_invite', email: i.email })}>Cancel invite</button>
                   </div>
                 ))}
               </div>
             </div>
+            )}
+
+            {can('audit') && (
+            <div className="border rounded-xl p-4">
+              <div className="font-semibold mb-2">Audit log</div>
+              <div className="flex flex-wrap gap-2 text-sm">
+                <select className="rounded-xl border px-3 py-2" value={auditFilter.action} onChange={(e) => setAuditFilter({ ...auditFilter, action: e.target.value })}>
+                  <option value="">All actions</option>
+                  {[...new Set(auditEntries.map((a) => a.action))].sort().map((a) => <option key={a} value={a}>{a}</option>)}
+                </select>
+                <input className="flex-1 rounded-xl border px-3 py-2" placeholder="Filter by admin, target or detail" value={auditFilter.text} onChange={(e) => setAuditFilter({ ...auditFilter, text: e.target.value })} />
+              </div>
+              <div className="mt-3 space-y-2 max-h-80 overflow-auto">
+                {auditEntries
+                  .filter((a) => !auditFilter.action || a.action === auditFilter.action)
+                  .filter((a) => !auditFilter.text || JSON.stringify([a.actorEmail, a.actorRole, a.targetId, a.details]).toLowerCase().includes(auditFilter.text.toLowerCase()))
+                  .map((a) => (
+                    <div key={a.id} className="rounded-lg border p-2 text-sm">
+                      <div className="font-medium">{a.action} • {a.targetType ? `${a.targetType} ` : ''}{a.targetId || ''}</div>
+                      <div className="text-xs text-neutral-500">
+                        {a.actorEmail || a.actorRole}{a.actorEmail && a.actorRole ? ` (${a.actorRole})` : ''}
+                        {a.at?.seconds ? ` • ${new Date(a.at.seconds * 1000).toLocaleString()}` : ''}
+                      </div>
+                      {a.details && <div className="text-xs text-neutral-700 break-all">{JSON.stringify(a.details)}</div>}
+                    </div>
+                  ))}
+                {auditEntries.length === 0 && <div className="text-sm">No entries yet.</div>}
+              </div>
+              {auditEntries.length >= auditLimit && (
+                <button className="mt-2 text-xs underline" onClick={() => setAuditLimit(auditLimit + 100)}>Load older entries</button>
+              )}
+            </div>
+            )}
           </div>
         )}
       </div>
@@ -280,74 +1634,117 @@ function AdminPanel({ open, onClose, state, setState }) {
   );
 }
 
-// ---- Main App --------------------------------------------------------------
-export default function App() {
-  const cashfreeReady = useCashfreeSdk();
-  const [state, setState] = useAdminState();
+// ---- Catalog ---------------------------------------------------------------
+function Catalog({ courses, loading, onOpen }) {
+  const listed = courses.filter((c) => c.published !== false);
+  return (
+    <main className="mx-auto max-w-6xl px-4 pb-24 pt-6">
+      <h1 className="text-3xl md:text-5xl font-bold leading-tight">Courses</h1>
+      <p className="mt-3 text-lg text-neutral-700">Zero fluff playbooks. Pay once, keep the ZIP forever.</p>
+
+      {loading ? (
+        <div className="mt-8 text-sm text-neutral-600">Loading courses…</div>
+      ) : listed.length === 0 ? (
+        <div className="mt-8 text-sm text-neutral-600">No courses are available right now. Check back soon.</div>
+      ) : (
+        <div className="mt-8 grid gap-6 md:grid-cols-2 lg:grid-cols-3">
+          {listed.map((c) => (
+            <a
+              key={c.id}
+              href={coursePath(c.id)}
+              onClick={(e) => { e.preventDefault(); onOpen(c.id); }}
+              className="flex flex-col rounded-3xl border bg-white p-6 shadow-sm hover:shadow-md"
+            >
+              <div className="rounded-2xl bg-gradient-to-br from-amber-300 to-orange-200 p-4">
+                <div className="text-xl font-bold">{c.title}</div>
+              </div>
+              <p className="mt-4 flex-1 text-sm text-neutral-700">{c.subtitle}</p>
+              <div className="mt-4 flex items-center justify-between">
+                <div className="text-2xl font-extrabold">₹{c.priceINR}</div>
+                <span className="rounded-xl bg-black px-4 py-2 text-sm text-white">View course</span>
+              </div>
+            </a>
+          ))}
+        </div>
+      )}
+    </main>
+  );
+}
+
+// ---- Course page -----------------------------------------------------------
+function CoursePage({ course, onBack }) {
   const [email, setEmail] = useState("");
   const [phone, setPhone] = useState("");
+  const [buyerName, setBuyerName] = useState("");
+  const [stateCode, setStateCode] = useState("");
+  const [gstin, setGstin] = useState("");
+  const [couponOpen, setCouponOpen] = useState(false);
+  const [couponCode, setCouponCode] = useState("");
+  const [quote, setQuote] = useState(null); // { code, listPriceINR, discountINR, amountINR }
+  const [couponErr, setCouponErr] = useState("");
   const [busy, setBusy] = useState(false);
   const [done, setDone] = useState(false);
   const [err, setErr] = useState("");
-  const [adminOpen, setAdminOpen] = useState(false);
-  const [adminMode, setAdminMode] = useState(false);
-  const [user, setUser] = useState(null); // used only for Admin panel via secret path
-  const [paymentLink, setPaymentLink] = useState("");
+  const [linkSent, setLinkSent] = useState("");
+  const releases = useReleases(course.id);
+  const authUser = useAuthUser();
+
+  // Signed-in buyers check out with their account email by default
+  useEffect(() => {
+    if (authUser?.email && authUser.emailVerified) setEmail((current) => current || authUser.email);
+  }, [authUser]);
 
   const validEmail = /[^@\s]+@[^@\s]+\.[^@\s]+/.test(email);
   const phoneDigits = String(phone || '').replace(/\D/g, '');
   const validPhone = phoneDigits.length === 10; // basic validation for 10-digit India numbers
-  const backendBase = import.meta.env.VITE_BACKEND_URL || 'https://lets-earn.vercel.app';
-
-  // Enable admin mode only when visiting the secret path.
-  useEffect(() => {
-    try {
-      if (window.location?.pathname === ADMIN_SECRET_PATH) {
-        setAdminMode(true);
-        setAdminOpen(true);
-      }
-    } catch {}
-  }, []);
+  // The state decides CGST/SGST vs IGST on the invoice
+  const validBilling = !!stateCode && (!gstin || GSTIN_RE.test(gstin.trim().toUpperCase()));
 
   useEffect(() => {
-    if (!adminMode) return;
-    const unsub = onAuthStateChanged(auth, setUser);
-    return () => unsub();
-  }, [adminMode]);
+    if (validEmail) trackOnce(`email:${course.id}`, 'email_entered', { courseId: course.id });
+  }, [validEmail]);
 
   useEffect(() => {
-    const unsub = onSnapshot(doc(db, 'settings', 'global'), (snap) => {
-      const p = snap.exists() ? (snap.data().paymentLink || "") : "";
-      setPaymentLink(p);
-    });
-    return () => unsub();
-  }, []);
-
-  // No buyer entitlement tracking via auth in Option B
+    if (validPhone) trackOnce(`phone:${course.id}`, 'phone_entered', { courseId: course.id });
+  }, [validPhone]);
 
   async function handleRealCheckout() {
     setBusy(true);
     setErr("");
+    track('pay_clicked', { courseId: course.id, coupon: !!quote });
     try {
-      if (!backendBase) {
+      if (!BACKEND_BASE) {
         throw new Error('Backend URL is not configured. Set VITE_BACKEND_URL.');
       }
-      const amount = state.course.priceINR || 0;
+      const amount = quote ? quote.amountINR : (course.priceINR || 0);
       const e = (email || '').toLowerCase();
       const p = phoneDigits;
       if (!validEmail) throw new Error('Enter a valid email');
       if (!validPhone) throw new Error('Enter a valid 10-digit phone');
-      const url = `${backendBase}/api/create-order`;
+      if (!validBilling) throw new Error(stateCode ? 'Enter a valid GSTIN or leave it blank' : 'Select your state');
+      const url = `${BACKEND_BASE}/api/create-order`;
       const resp = await fetch(url, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         // Use a pseudo customer id since we don't use auth for buyers
-        body: JSON.stringify({ uid: `email_${e}`, email: e, phone: p, amountINR: amount }),
+        body: JSON.stringify({ uid: `email_${e}`, email: e, phone: p, amountINR: amount, courseId: course.id, couponCode: quote?.code, refCode: getReferral(),
+          name: buyerName.trim(), stateCode, gstin: gstin.trim().toUpperCase() || undefined }),
       });
       const data = await resp.json().catch(() => ({}));
+      if (resp.status === 409 && data?.error === 'price_mismatch') {
+        setQuote(null);
+        throw new Error(`The price of this course is now ₹${data.amountINR}. Please review and pay again.`);
+      }
+      if (data?.error === 'invalid_gstin') throw new Error('Enter a valid GSTIN or leave it blank');
+      if (resp.status === 422 && COUPON_ERRORS[data?.error]) {
+        setQuote(null);
+        throw new Error(`${COUPON_ERRORS[data.error]} Remove it or try another code.`);
+      }
       if (!resp.ok) throw new Error(`${data?.error || 'Create order failed'} @ ${url}`);
+      storeOrder(course.id, { orderId: data.orderId, email: e });
 
       // Use Cashfree Checkout JS if available; else fallback to returning to hosted page
+      track('checkout_opened', { courseId: course.id, sdk: !!window.Cashfree });
       if (window.Cashfree) {
         const cashfree = new window.Cashfree({ mode: 'production' });
         const result = await cashfree.checkout({ paymentSessionId: data.paymentSessionId });
@@ -357,42 +1754,93 @@ export default function App() {
         window.open(`https://www.cashfree.com/pg/view/pay/${data.paymentSessionId}`, '_blank');
       }
     } catch (e) {
-      setErr((e && e.message) ? e.message : `Checkout error @ ${backendBase}`);
+      setErr((e && e.message) ? e.message : `Checkout error @ ${BACKEND_BASE}`);
+      track('checkout_error', { courseId: course.id, error: String(e?.message || 'unknown').slice(0, 100) });
     } finally {
       setBusy(false);
     }
   }
 
+  async function applyCouponCode() {
+    setCouponErr("");
+    setQuote(null);
+    try {
+      const resp = await fetch(`${BACKEND_BASE}/api/coupon-quote`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        // Email lets per-buyer limits show up before checkout
+        body: JSON.stringify({ code: couponCode.trim(), courseId: course.id, email: validEmail ? email.toLowerCase() : undefined }),
+      });
+      const data = await resp.json().catch(() => null);
+      if (!resp.ok) throw new Error(COUPON_ERRORS[data?.error] || data?.error || 'Could not check this code');
+      setQuote(data);
+    } catch (e) {
+      setCouponErr(e?.message || 'Could not check this code');
+    }
+  }
+
   async function requestAccess() {
     // Deprecated in Option B; keeping no-op to avoid accidental auth usage
     alert('Request flow is no longer required. After payment, use your email to download.');
   }
 
-  async function downloadCourse() {
-    try {
-      const e = (email || '').toLowerCase().trim();
-      if (!e) throw new Error('Enter your email first');
-      const resp = await fetch(`${backendBase}/api/download?email=${encodeURIComponent(e)}`, { method: 'GET', redirect: 'follow' });
-      // If server responds with redirect, browser may not auto-follow via fetch
-      // In that case, derive final URL and navigate window to it
-      if (resp.redirected) {
-        window.location.href = resp.url;
-      } else if (resp.status === 302) {
-        const loc = resp.headers.get('Location');
-        if (loc) window.location.href = loc; else throw new Error('No download URL');
-      } else if (resp.ok) {
-        // Some platforms may return OK+JSON with a url
-        const data = await resp.json().catch(() => null);
-        if (data?.url) window.location.href = data.url; else throw new Error('Unexpected download response');
-      } else {
-        const errText = await resp.text().catch(() => 'Download failed');
-        throw new Error(errText);
+  // Without a version the current release is downloaded. Downloading needs proof
+  // of the mailbox: signed-in buyers get a link straight away, anyone else gets
+  // one emailed to the address of their order.
+  async function downloadCourse(version) {
+    track('download_clicked', { courseId: course.id, version: version || 'current' });
+    setErr("");
+    setLinkSent("");
+    try {
+      if (authUser?.emailVerified) {
+        const link = await libraryFetch({ action: 'download', courseId: course.id }).catch((e) => {
+          if (e.message !== 'no_entitlement') throw e;
+          return null;
+        });
+        if (link?.url) {
+          // The signed link serves the file (resumable); it expires in a few minutes
+          window.location.href = version ? `${link.url}&version=${version}` : link.url;
+          return;
+        }
+      }
+      const orders = getStoredOrders(course.id);
+      if (!orders.length) throw new Error('No purchase of this course was found in this browser. Sign in from My library, or use "Send me my download link" below.');
+      // Abandoned checkout attempts are stored too; use the newest order that was paid
+      let data = null;
+      for (const order of orders) {
+        data = await fetchOrderStatus(order);
+        if (data?.access === 'active') {
+          await requestDownloadLink({ email: order.email, courseId: course.id });
+          setLinkSent(order.email);
+          return;
+        }
+        if (data?.phase === 'paid' || data?.phase === 'refunded') break;
       }
+      if (data?.access === 'suspended') throw new Error('Access to this course is on hold while a payment dispute is reviewed.');
+      if (data?.phase === 'refunded') throw new Error('Access to this course was revoked because the payment was refunded.');
+      if (data?.access === 'revoked') throw new Error('Access to this course was revoked. Contact support if you think this is a mistake.');
+      if (data?.access === 'expired') throw new Error('Your access to this course has expired.');
+      if (data?.phase === 'paid' || data?.phase === 'pending') {
+        throw new Error('Payment not confirmed yet. Wait a few seconds and try again.');
+      }
+      throw new Error(data?.error || 'No paid order for this course was found in this browser.');
     } catch (e) {
       setErr(e?.message || 'Download not available yet.');
     }
   }
 
+  async function sendDownloadLink() {
+    setErr("");
+    setLinkSent("");
+    try {
+      if (!validEmail) throw new Error('Enter the email you paid with');
+      await requestDownloadLink({ email, courseId: course.id });
+      setLinkSent(email.toLowerCase().trim());
+    } catch (e) {
+      setErr(e?.message || 'Could not send the link');
+    }
+  }
+
   function simulateSuccess() {
     setBusy(true);
     setErr("");
@@ -403,114 +1851,524 @@ export default function App() {
   }
 
   return (
-    <div className="min-h-screen bg-gradient-to-b from-amber-50 to-white text-neutral-900">
-      <header className="mx-auto flex max-w-6xl items-center justify-between px-4 py-4">
-        <div className="flex items-center gap-2">
-          <img src={logoUrl} alt="Let's Earn logo" className="h-12 w-12" />
+    <main className="mx-auto grid max-w-6xl grid-cols-1 gap-8 px-4 pb-24 pt-6 md:grid-cols-2">
+      <section className="flex flex-col justify-center gap-6">
+        <div>
+          <button onClick={onBack} className="mb-3 text-sm text-neutral-600 hover:underline">← All courses</button>
+          <h1 className="text-3xl md:text-5xl font-bold leading-tight">
+            {course.title}
+          </h1>
+          <p className="mt-3 text-lg text-neutral-700">{course.subtitle}</p>
         </div>
-        {/* Admin button removed; use secret URL to access admin */}
-      </header>
 
-      <main className="mx-auto grid max-w-6xl grid-cols-1 gap-8 px-4 pb-24 pt-6 md:grid-cols-2">
-        <section className="flex flex-col justify-center gap-6">
+        <ul className="space-y-2 text-base">
+          {course.bullets.map((b, i) => (
+            <CheckItem key={i}>{b}</CheckItem>
+          ))}
+        </ul>
+
+        <div className="flex items-end gap-4 pt-2">
           <div>
-            <h1 className="text-3xl md:text-5xl font-bold leading-tight">
-              {state.course.title}
-            </h1>
-            <p className="mt-3 text-lg text-neutral-700">{state.course.subtitle}</p>
+            {quote ? (
+              <div className="flex items-baseline gap-3">
+                <div className="text-4xl font-extrabold">₹{quote.amountINR}</div>
+                <div className="text-xl text-neutral-500 line-through">₹{quote.listPriceINR}</div>
+              </div>
+            ) : (
+              <div className="text-4xl font-extrabold">₹{course.priceINR}</div>
+            )}
+            <div className="text-xs text-neutral-500">One-time payment • ZIP delivered by email</div>
           </div>
+        </div>
 
-          <ul className="space-y-2 text-base">
-            {state.course.bullets.map((b, i) => (
-              <CheckItem key={i}>{b}</CheckItem>
-            ))}
-          </ul>
-
-          <div className="flex items-end gap-4 pt-2">
-            <div>
-              <div className="text-4xl font-extrabold">₹{state.course.priceINR}</div>
-              <div className="text-xs text-neutral-500">One-time payment • ZIP delivered by email</div>
-            </div>
+        <div className="mt-2 grid gap-3 md:grid-cols-[1fr_1fr_auto]">
+          <input
+            className="w-full rounded-2xl border px-4 py-3"
+            type="email"
+            placeholder="Enter your email"
+            value={email}
+            onChange={(e) => setEmail(e.target.value)}
+          />
+          <input
+            className="w-full rounded-2xl border px-4 py-3"
+            type="tel"
+            placeholder="Phone (10 digits)"
+            value={phone}
+            onChange={(e) => setPhone(e.target.value)}
+          />
+          <div className="flex gap-2">
+            <button
+              disabled={!validEmail || !validPhone || !validBilling || busy}
+              onClick={handleRealCheckout}
+              className="rounded-2xl bg-amber-500 px-6 py-3 font-semibold text-black disabled:opacity-50"
+              title="Open payment link"
+            >
+              Pay now
+            </button>
           </div>
+        </div>
+
+        <div className="grid gap-3 md:grid-cols-3">
+          <input
+            className="w-full rounded-2xl border px-4 py-3"
+            placeholder="Name for invoice (optional)"
+            value={buyerName}
+            onChange={(e) => setBuyerName(e.target.value)}
+          />
+          <select className="w-full rounded-2xl border px-4 py-3" value={stateCode} onChange={(e) => setStateCode(e.target.value)}>
+            <option value="">Your state</option>
+            {Object.entries(GST_STATES).map(([code, name]) => <option key={code} value={code}>{name}</option>)}
+          </select>
+          <input
+            className="w-full rounded-2xl border px-4 py-3 uppercase"
+            placeholder="GSTIN (optional, for businesses)"
+            value={gstin}
+            onChange={(e) => setGstin(e.target.value)}
+          />
+        </div>
 
-          <div className="mt-2 grid gap-3 md:grid-cols-[1fr_1fr_auto]">
-            <input
-              className="w-full rounded-2xl border px-4 py-3"
-              type="email"
-              placeholder="Enter your email"
-              value={email}
-              onChange={(e) => setEmail(e.target.value)}
-            />
-            <input
-              className="w-full rounded-2xl border px-4 py-3"
-              type="tel"
-              placeholder="Phone (10 digits)"
-              value={phone}
-              onChange={(e) => setPhone(e.target.value)}
-            />
-            <div className="flex gap-2">
-              <button
-                disabled={!validEmail || !validPhone || busy}
-                onClick={handleRealCheckout}
-                className="rounded-2xl bg-amber-500 px-6 py-3 font-semibold text-black disabled:opacity-50"
-                title="Open payment link"
-              >
-                Pay now
-              </button>
+        <div className="text-sm">
+          {!couponOpen ? (
+            <button onClick={() => setCouponOpen(true)} className="text-neutral-600 underline">Have a code?</button>
+          ) : (
+            <div className="flex flex-wrap items-center gap-2">
+              <input
+                className="rounded-xl border px-3 py-2 uppercase"
+                placeholder="Discount code"
+                value={couponCode}
+                onChange={(e) => { setCouponCode(e.target.value); setQuote(null); setCouponErr(""); }}
+              />
+              <button onClick={applyCouponCode} disabled={!couponCode.trim()} className="rounded-xl border px-4 py-2 disabled:opacity-50">Apply</button>
+              {quote && <span className="text-green-700">{quote.code} applied: ₹{quote.discountINR} off</span>}
+              {couponErr && <span className="text-red-600">{couponErr}</span>}
             </div>
+          )}
+        </div>
+
+        <div className="text-xs text-neutral-600">
+          We use your email and phone only for payment and delivering your course.
+        </div>
+
+        {err && <div className="text-sm text-red-600">{err}</div>}
+        <div className="rounded-2xl border bg-white p-4 text-sm space-y-2">
+          <div className="space-y-2">
+            <div>After payment is successful, click below to get your download. Signed in, it starts right away; otherwise we email a one-time link to the address you paid with.</div>
+            <button onClick={() => downloadCourse()} className="rounded-xl bg-black text-white px-4 py-2">
+              Download ZIP{course.currentRelease ? ` (v${course.currentRelease})` : ''}
+            </button>
+            <div className="text-xs text-neutral-500">If it says payment is not confirmed yet, wait a few seconds and try again.</div>
+          </div>
+          <div className="space-y-2 border-t pt-3">
+            <div>Bought on another device? Enter the email you paid with above and we'll send you a one-time download link.</div>
+            <button onClick={sendDownloadLink} disabled={!validEmail} className="rounded-xl border px-4 py-2 disabled:opacity-50">Send me my download link</button>
+            {linkSent && <div className="text-xs text-green-700">If {linkSent} has bought this course, a download link is on its way. It expires in 30 minutes.</div>}
           </div>
+          {releases.length > 0 && (
+            <div className="space-y-2 border-t pt-3">
+              <div className="font-semibold">What's new</div>
+              {releases.map((r) => (
+                <div key={r.id} className="flex items-start justify-between gap-3">
+                  <div>
+                    <div className="font-medium">
+                      v{r.version}{r.version === course.currentRelease ? ' (latest)' : ''}
+                      {r.createdAt?.seconds ? <span className="text-xs font-normal text-neutral-500"> • {new Date(r.createdAt.seconds * 1000).toLocaleDateString()}</span> : null}
+                    </div>
+                    {r.notes && <div className="text-xs text-neutral-600 whitespace-pre-line">{r.notes}</div>}
+                  </div>
+                  <button onClick={() => downloadCourse(r.version)} className="shrink-0 text-xs underline">Download v{r.version}</button>
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      </section>
 
-          <div className="text-xs text-neutral-600">
-            We use your email and phone only for payment and delivering your course.
+      <aside className="relative">
+        <div className="absolute inset-0 -z-10 animate-pulse rounded-3xl bg-amber-200/40 blur-3xl" />
+
+        <div className="rounded-3xl border bg-white p-6 shadow-sm">
+          <div className="rounded-2xl bg-gradient-to-br from-amber-300 to-orange-200 p-6">
+            <div className="text-sm">Featured course</div>
+            <div className="mt-1 text-2xl font-bold">{course.title}</div>
+            <div className="mt-1 text-sm">ZIP package • Lifetime access</div>
           </div>
 
-          {err && <div className="text-sm text-red-600">{err}</div>}
-          <div className="rounded-2xl border bg-white p-4 text-sm space-y-2">
-            <div className="space-y-2">
-              <div>After payment is successful, click below to download your course. Use the same email you paid with.</div>
-              <button onClick={downloadCourse} className="rounded-xl bg-black text-white px-4 py-2">Download ZIP</button>
-              <div className="text-xs text-neutral-500">If it says “No entitlement for this email”, wait a few seconds for payment confirmation and try again.</div>
+          <div className="mt-6 grid gap-3 text-sm">
+            <div className="rounded-xl border p-3">
+              <div className="font-semibold">Fast wins</div>
+              <div className="text-neutral-600">Actionable steps to get to revenue faster.</div>
+            </div>
+            <div className="rounded-xl border p-3">
+              <div className="font-semibold">Founder-tested</div>
+              <div className="text-neutral-600">No fluff. Just what works in India.</div>
+            </div>
+            <div className="rounded-xl border p-3">
+              <div className="font-semibold">Keep the ZIP</div>
+              <div className="text-neutral-600">Download, revisit, and use the templates anytime.</div>
             </div>
           </div>
-        </section>
 
-        <aside className="relative">
-          <div className="absolute inset-0 -z-10 animate-pulse rounded-3xl bg-amber-200/40 blur-3xl" />
+          <div className="mt-6 rounded-xl bg-amber-50 p-4 text-xs text-neutral-600">
+            <b>Note:</b> This demo uses a simulated checkout. Connect your backend to enable real payments and automated emails.
+          </div>
+        </div>
+      </aside>
+    </main>
+  );
+}
 
-          <div className="rounded-3xl border bg-white p-6 shadow-sm">
-            <div className="rounded-2xl bg-gradient-to-br from-amber-300 to-orange-200 p-6">
-              <div className="text-sm">Featured course</div>
-              <div className="mt-1 text-2xl font-bold">{state.course.title}</div>
-              <div className="mt-1 text-sm">ZIP package • Lifetime access</div>
-            </div>
+// ---- Buyer library ---------------------------------------------------------
+// Optional sign-in (Google or email link). The API links past orders placed
+// with the same email, so buyers see everything they paid for.
+function LibraryPage({ onOpenCourse }) {
+  const user = useAuthUser();
+  const [email, setEmail] = useState("");
+  const [linkSent, setLinkSent] = useState(false);
+  const [library, setLibrary] = useState(null);
+  const [err, setErr] = useState("");
 
-            <div className="mt-6 grid gap-3 text-sm">
-              <div className="rounded-xl border p-3">
-                <div className="font-semibold">Fast wins</div>
-                <div className="text-neutral-600">Actionable steps to get to revenue faster.</div>
-              </div>
-              <div className="rounded-xl border p-3">
-                <div className="font-semibold">Founder-tested</div>
-                <div className="text-neutral-600">No fluff. Just what works in India.</div>
-              </div>
-              <div className="rounded-xl border p-3">
-                <div className="font-semibold">Keep the ZIP</div>
-                <div className="text-neutral-600">Download, revisit, and use the templates anytime.</div>
+  // Completes an emailed sign-in link that brought the buyer here
+  useEffect(() => {
+    if (!isSignInWithEmailLink(auth, window.location.href)) return;
+    const saved = localStorage.getItem(SIGNIN_EMAIL_LS_KEY) || prompt('Confirm the email you asked for a sign-in link with');
+    if (!saved) return;
+    signInWithEmailLink(auth, saved, window.location.href)
+      .then(() => {
+        localStorage.removeItem(SIGNIN_EMAIL_LS_KEY);
+        window.history.replaceState(null, '', LIBRARY_PATH);
+      })
+      .catch((e) => setErr(e?.code === 'auth/invalid-action-code' ? 'This sign-in link was already used or has expired.' : (e?.message || 'Sign-in failed')));
+  }, []);
+
+  useEffect(() => {
+    setLibrary(null);
+    if (!user) return;
+    libraryFetch({}).then(setLibrary, (e) => setErr(e.message));
+  }, [user]);
+
+  async function sendLink() {
+    setErr("");
+    try {
+      await sendSignInLinkToEmail(auth, email.trim(), { url: `${window.location.origin}${LIBRARY_PATH}`, handleCodeInApp: true });
+      localStorage.setItem(SIGNIN_EMAIL_LS_KEY, email.trim());
+      setLinkSent(true);
+    } catch (e) {
+      setErr(e?.message || 'Could not send the sign-in link');
+    }
+  }
+
+  async function download(courseId) {
+    setErr("");
+    track('download_clicked', { courseId, from: 'library' });
+    try {
+      const { url } = await libraryFetch({ action: 'download', courseId });
+      window.location.href = url;
+    } catch (e) {
+      setErr(e.message === 'access_revoked' ? 'Access to this course is not active.' : e.message);
+    }
+  }
+
+  let body;
+  if (user === undefined) {
+    body = <div className="text-sm text-neutral-600">Loading…</div>;
+  } else if (!user) {
+    body = (
+      <div className="max-w-md space-y-4">
+        <p className="text-neutral-700">Sign in with the email you paid with to see your courses, invoices and downloads.</p>
+        <button onClick={() => signInWithPopup(auth, googleProvider).catch((e) => setErr(e?.message || 'Sign-in failed'))} className="rounded-xl bg-black px-4 py-2 text-white">
+          Continue with Google
+        </button>
+        <div className="text-xs text-neutral-500">or get a one-time sign-in link</div>
+        {linkSent ? (
+          <div className="text-sm text-green-700">Check {email} for a sign-in link.</div>
+        ) : (
+          <div className="flex gap-2">
+            <input type="email" className="flex-1 rounded-xl border px-3 py-2" placeholder="you@example.com" value={email} onChange={(e) => setEmail(e.target.value)} />
+            <button onClick={sendLink} className="rounded-xl border px-4 py-2" disabled={!/[^@\s]+@[^@\s]+\.[^@\s]+/.test(email)}>Email me a link</button>
+          </div>
+        )}
+      </div>
+    );
+  } else if (!library) {
+    body = <div className="text-sm text-neutral-600">{err ? '' : 'Loading your purchases…'}</div>;
+  } else {
+    body = (
+      <div className="space-y-8">
+        <section>
+          <h2 className="text-xl font-semibold">Courses</h2>
+          {library.courses.length === 0 && (
+            <p className="mt-2 text-sm text-neutral-600">No purchases found for {library.email}. Bought with another email? Sign in with that one.</p>
+          )}
+          <div className="mt-3 grid gap-4 md:grid-cols-2">
+            {library.courses.map((c) => (
+              <div key={c.courseId} className="rounded-2xl border bg-white p-4">
+                <button onClick={() => onOpenCourse(c.courseId)} className="text-left font-semibold hover:underline">{c.title}</button>
+                <div className="mt-1 text-xs text-neutral-500">
+                  {c.currentRelease ? `v${c.currentRelease} • ` : ''}{c.downloads} of {c.maxDownloads} downloads used
+                  {c.expiresAt ? ` • ${c.status === 'expired' ? 'expired' : 'access until'} ${new Date(c.expiresAt).toLocaleDateString()}` : ''}
+                </div>
+                {c.status === 'active' ? (
+                  <button onClick={() => download(c.courseId)} className="mt-3 rounded-xl bg-black px-4 py-2 text-sm text-white">Download ZIP</button>
+                ) : (
+                  <div className="mt-3 text-sm text-neutral-600">
+                    {c.status === 'suspended' ? 'On hold while a payment dispute is reviewed.' : c.status === 'expired' ? 'Your access has expired.' : 'Access was revoked.'}
+                  </div>
+                )}
               </div>
+            ))}
+          </div>
+        </section>
+        {library.orders.length > 0 && (
+          <section>
+            <h2 className="text-xl font-semibold">Orders</h2>
+            <div className="mt-3 space-y-2">
+              {library.orders.map((o) => (
+                <div key={o.orderId} className="flex items-center justify-between rounded-xl border bg-white p-3 text-sm">
+                  <div>
+                    <div className="font-medium">{o.courseId} • ₹{o.amountINR}{o.status === 'refunded' ? ' • refunded' : ''}</div>
+                    <div className="text-xs text-neutral-500">{o.orderId}{o.createdAt ? ` • ${new Date(o.createdAt).toLocaleDateString()}` : ''}</div>
+                  </div>
+                  <button onClick={() => downloadInvoice({ orderId: o.orderId, email: library.email }).catch((e) => setErr(e.message))} className="rounded-xl border px-3 py-1">
+                    Invoice
+                  </button>
+                </div>
+              ))}
             </div>
+          </section>
+        )}
+      </div>
+    );
+  }
 
-            <div className="mt-6 rounded-xl bg-amber-50 p-4 text-xs text-neutral-600">
-              <b>Note:</b> This demo uses a simulated checkout. Connect your backend to enable real payments and automated emails.
-            </div>
+  return (
+    <main className="mx-auto max-w-6xl px-4 pb-24 pt-6">
+      <div className="flex items-center justify-between">
+        <h1 className="text-3xl font-bold">My library</h1>
+        {user && (
+          <div className="flex items-center gap-2 text-sm">
+            <span className="text-neutral-600">{user.email}</span>
+            <button onClick={() => signOut(auth)} className="rounded-xl border px-3 py-1">Sign out</button>
           </div>
-        </aside>
+        )}
+      </div>
+      {err && <div className="mt-4 text-sm text-red-600">{err}</div>}
+      <div className="mt-6">{body}</div>
+    </main>
+  );
+}
+
+// ---- Payment return page ---------------------------------------------------
+// Cashfree sends the buyer back to /?order_id=... The webhook usually lands a
+// few seconds later, so poll the order until it settles.
+const ORDER_POLL_MS = 3000;
+const ORDER_POLL_MAX = 40; // ~2 minutes, then fall back to the receipt email
+
+function ReturnPage({ orderId, courses, onOpenCourse, onOpenLibrary, onDone }) {
+  const stored = useMemo(() => findStoredOrder(orderId), [orderId]);
+  const [status, setStatus] = useState(null);
+  const [timedOut, setTimedOut] = useState(false);
+  const [linkResent, setLinkResent] = useState(false);
+
+  useEffect(() => {
+    if (!stored) return;
+    let cancelled = false;
+    let timer = null;
+    let polls = 0;
+    async function poll() {
+      const data = await fetchOrderStatus(stored).catch(() => null);
+      if (cancelled) return;
+      if (data) setStatus(data);
+      // The invoice is issued right after access is granted; keep polling until it shows up
+      const settled = (data?.access === 'active' && data?.invoiceNumber) || ['failed', 'refunded'].includes(data?.phase) || ['suspended', 'revoked', 'expired'].includes(data?.access);
+      if (settled) return;
+      if (++polls >= ORDER_POLL_MAX) {
+        setTimedOut(true);
+        return;
+      }
+      timer = setTimeout(poll, ORDER_POLL_MS);
+    }
+    poll();
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [stored]);
+
+  const courseId = status?.courseId || stored?.courseId;
+  const course = courses.find((c) => c.id === courseId);
+  const phase = status?.phase || 'pending';
+
+  let body;
+  if (!stored) {
+    body = (
+      <p className="text-neutral-700">
+        We could not find order <b>{orderId}</b> in this browser. If you paid, your receipt and download link are on their way by email,
+        or use "Send me my download link" on the course page.
+      </p>
+    );
+  } else if (status?.error === 'order_not_found') {
+    body = <p className="text-neutral-700">We could not find this order. If money was deducted, reply to your payment confirmation email.</p>;
+  } else if (phase === 'failed') {
+    body = (
+      <p className="text-neutral-700">
+        The payment did not go through and you have not been charged for this order.
+        {course && <> <button onClick={() => onOpenCourse(course.id)} className="underline">Try again</button></>}
+      </p>
+    );
+  } else if (phase === 'refunded') {
+    body = <p className="text-neutral-700">This order was refunded, so the download is no longer available.</p>;
+  } else if (status?.access === 'revoked') {
+    body = <p className="text-neutral-700">Access to this course was revoked. Contact support if you think this is a mistake.</p>;
+  } else if (status?.access === 'expired') {
+    body = <p className="text-neutral-700">Your access to this course has expired.</p>;
+  } else if (status?.access === 'suspended') {
+    body = <p className="text-neutral-700">Access to this course is on hold while a payment dispute is reviewed.</p>;
+  } else if (status?.access === 'active') {
+    // The download itself only comes from the emailed link or a signed-in account
+    body = (
+      <div className="space-y-3">
+        <p className="text-neutral-700">
+          Payment received. Thank you! Your receipt and download link are on their way to <b>{stored.email}</b>.
+        </p>
+        <div className="flex flex-wrap gap-2">
+          <button onClick={onOpenLibrary} className="rounded-xl bg-black px-4 py-2 text-white">Sign in to download now</button>
+          <button
+            onClick={() => {
+              track('download_clicked', { courseId: status.courseId, from: 'return_page' });
+              requestDownloadLink({ email: stored.email, courseId: status.courseId }).then(() => setLinkResent(true), (e) => alert(e.message));
+            }}
+            disabled={linkResent}
+            className="rounded-xl border px-4 py-2 disabled:opacity-50"
+          >
+            {linkResent ? 'Link sent' : 'Email me a download link'}
+          </button>
+          {status.invoiceNumber && (
+            <button onClick={() => downloadInvoice(stored).catch((e) => alert(e.message))} className="rounded-xl border px-4 py-2">
+              Download GST invoice
+            </button>
+          )}
+        </div>
+        <div className="text-xs text-neutral-500">Sign in with {stored.email} to download now and any time later from My library.</div>
+      </div>
+    );
+  } else if (timedOut) {
+    body = (
+      <p className="text-neutral-700">
+        We are still waiting for the payment to be confirmed. You can close this page: your receipt and download link will arrive by email
+        once it is.
+      </p>
+    );
+  } else {
+    body = (
+      <p className="text-neutral-700">
+        {phase === 'paid' ? 'Payment received. Setting up your access…' : 'Confirming your payment…'}
+      </p>
+    );
+  }
+
+  return (
+    <main className="mx-auto max-w-2xl px-4 pb-24 pt-6">
+      <h1 className="text-3xl font-bold leading-tight">{status?.access === 'active' ? 'Thanks for your purchase!' : 'Your order'}</h1>
+      {course && <p className="mt-2 text-lg text-neutral-700">{course.title}</p>}
+      <div className="mt-6 rounded-2xl border bg-white p-5 text-sm">
+        {body}
+        <div className="mt-4 text-xs text-neutral-500">Order {orderId}</div>
+      </div>
+      <button onClick={onDone} className="mt-4 text-sm text-neutral-600 hover:underline">← All courses</button>
+    </main>
+  );
+}
+
+// ---- Main App --------------------------------------------------------------
+export default function App() {
+  const cashfreeReady = useCashfreeSdk();
+  const [courses, coursesLoading] = useCourses();
+  const [path, navigate, search] = usePath();
+  const [adminOpen, setAdminOpen] = useState(false);
+  const [adminMode, setAdminMode] = useState(false);
+  const [user, setUser] = useState(null); // used only for Admin panel via secret path
+  const [paymentLink, setPaymentLink] = useState("");
+
+  useEffect(() => {
+    captureReferral();
+    // Admin visits stay out of the storefront funnel
+    if (window.location.pathname !== ADMIN_SECRET_PATH) initAnalytics(BACKEND_BASE);
+  }, []);
+
+  useEffect(() => {
+    const id = path.startsWith(COURSE_PATH_PREFIX) ? decodeURIComponent(path.slice(COURSE_PATH_PREFIX.length)) : undefined;
+    track('page_view', { courseId: id });
+  }, [path]);
+
+  // Enable admin mode only when visiting the secret path.
+  useEffect(() => {
+    try {
+      if (window.location?.pathname === ADMIN_SECRET_PATH) {
+        setAdminMode(true);
+        setAdminOpen(true);
+      }
+    } catch {}
+  }, []);
+
+  useEffect(() => {
+    if (!adminMode) return;
+    const unsub = onAuthStateChanged(auth, setUser);
+    return () => unsub();
+  }, [adminMode]);
+
+  useEffect(() => {
+    const unsub = onSnapshot(doc(db, 'settings', 'global'), (snap) => {
+      const p = snap.exists() ? (snap.data().paymentLink || "") : "";
+      setPaymentLink(p);
+    });
+    return () => unsub();
+  }, []);
+
+  // No buyer entitlement tracking via auth in Option B
+
+  const courseId = path.startsWith(COURSE_PATH_PREFIX) ? decodeURIComponent(path.slice(COURSE_PATH_PREFIX.length)) : null;
+  const course = courseId ? courses.find((c) => c.id === courseId) : null;
+  // Set by Cashfree's return_url; navigating away drops the query string
+  const returnOrderId = path === '/' ? new URLSearchParams(search).get('order_id') : null;
+
+  let page;
+  if (returnOrderId) {
+    page = <ReturnPage key={returnOrderId} orderId={returnOrderId} courses={courses} onOpenCourse={(id) => navigate(coursePath(id))} onOpenLibrary={() => navigate(LIBRARY_PATH)} onDone={() => navigate('/')} />;
+  } else if (path === LIBRARY_PATH) {
+    page = <LibraryPage onOpenCourse={(id) => navigate(coursePath(id))} />;
+  } else if (!courseId) {
+    page = <Catalog courses={courses} loading={coursesLoading} onOpen={(id) => navigate(coursePath(id))} />;
+  } else if (course) {
+    page = <CoursePage key={course.id} course={course} onBack={() => navigate('/')} />;
+  } else {
+    page = (
+      <main className="mx-auto max-w-6xl px-4 pb-24 pt-6 text-sm text-neutral-600">
+        {coursesLoading ? 'Loading course…' : (
+          <>This course does not exist. <button onClick={() => navigate('/')} className="underline">Browse all courses</button></>
+        )}
       </main>
+    );
+  }
+
+  return (
+    <div className="min-h-screen bg-gradient-to-b from-amber-50 to-white text-neutral-900">
+      <header className="mx-auto flex max-w-6xl items-center justify-between px-4 py-4">
+        <a href="/" onClick={(e) => { e.preventDefault(); navigate('/'); }} className="flex items-center gap-2">
+          <img src={logoUrl} alt="Let's Earn logo" className="h-12 w-12" />
+        </a>
+        <a href={LIBRARY_PATH} onClick={(e) => { e.preventDefault(); navigate(LIBRARY_PATH); }} className="rounded-xl border px-4 py-2 text-sm">
+          My library
+        </a>
+        {/* Admin button removed; use secret URL to access admin */}
+      </header>
+
+      {page}
 
       <footer className="mx-auto max-w-6xl px-4 pb-10 text-xs text-neutral-500">
         © {new Date().getFullYear()} Aumorphic. All rights reserved.
       </footer>
 
-      <AdminPanel open={adminOpen} onClose={() => setAdminOpen(false)} state={state} setState={setState} />
+      <AdminPanel open={adminOpen} onClose={() => setAdminOpen(false)} courses={courses} />
 
       {false && <BackendNotes />}
     </div>
@@ -521,11 +2379,12 @@ export default function App() {
 function BackendNotes() {
   return (
     <div className="fixed bottom-2 right-2 w-[360px] rounded-xl border bg-white p-3 text-xs shadow">
-      <div className="font-semibold">Backend TODO</div>
+      <div className="font-semibold">Backend endpoints</div>
       <ol className="list-decimal pl-4 space-y-1">
-        <li>Create order endpoint: POST /api/create-order → returns {{ orderToken, orderId }}</li>
-        <li>Verify endpoint: GET /api/verify-order?orderId=...</li>
-        <li>Email send endpoint: POST /api/send-course-email</li>
+        <li>Create order: POST /api/create-order → returns {"{ orderId, paymentSessionId, amountINR, discountINR }"}</li>
+        <li>Order status: POST /api/order-status (polled by the payment return page)</li>
+        <li>Course email: sent by /api/cashfree-webhook on payment; /api/email-retry (cron, every 10 minutes) resends failures</li>
+        <li>Buyer copies: /api/watermark-build (cron, every minute) makes the large ones; failed ones are listed for rebuild in the admin panel</li>
       </ol>
     </div>
   );